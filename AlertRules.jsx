@@ -0,0 +1,150 @@
+import React, { useState } from "react";
+import { saveAlertRule, deleteAlertRule, acknowledgeAlerts } from "./db";
+import { useAlertRules, useFiredAlerts } from "./useAlerts";
+import { ALERT_METRICS, ALERT_OPS, describeRule, metricUnit, toDisplayValue, fromDisplayValue } from "./alerts";
+import { requestNotificationPermission, notificationsSupported } from "./notify";
+import { tagLabel } from "./TagPicker";
+import { useSetting, useUnits } from "./useSetting";
+import { useHeatModel } from "./useHeatModel";
+import { useLocations } from "./useLocations";
+
+const NEW_RULE = { mac: "", locationId: "", metric: "temperature", op: "above", threshold: 75 };
+
+// Label of a tag mac, null meaning any tag
+export function alertTagLabel(tags, mac) {
+    if (mac == null) return "Any tag";
+    const tag = tags.find(tag => tag.mac === mac);
+    return tag ? tagLabel(tag) : mac;
+}
+
+function formatValue(alert, display) {
+    const value = toDisplayValue(alert.metric, alert.value, display);
+    return `${value.toFixed(alert.metric === "battery" ? 2 : 0)} ${metricUnit(alert.metric, display)}`.trim();
+}
+
+// Threshold and hysteresis of a rule in the display units, rounded for the form
+function toDraftValue(metric, value, display, difference = false) {
+    return +toDisplayValue(metric, value, display, difference).toFixed(1);
+}
+
+// Edit alert rules and browse fired alerts
+export default function AlertRules({ tags = [], onBack }) {
+    const rules = useAlertRules();
+    const locations = useLocations();
+    const locationNames = Object.fromEntries(locations.map(location => [location.id, location.name]));
+    const alerts = useFiredAlerts();
+    const [alertDefaults] = useSetting("alertDefaults");
+    const units = useUnits();
+    const [heatModel] = useHeatModel();
+    const display = { heatModel, temperatureUnit: units.temperature };
+    // Threshold and hysteresis are edited in the display units
+    const [draft, setDraft] = useState(() => ({
+        ...NEW_RULE,
+        threshold: toDraftValue(NEW_RULE.metric, NEW_RULE.threshold, display),
+        hysteresis: toDraftValue(NEW_RULE.metric, alertDefaults.hysteresis, display, true)
+    }));
+    const [permission, setPermission] = useState(() => notificationsSupported() ? Notification.permission : "unsupported");
+
+    function update(key, value) {
+        setDraft(d => ({ ...d, [key]: value }));
+    }
+
+    function handleMetric(metric) {
+        setDraft(d => ({
+            ...d,
+            metric,
+            threshold: metric === "noData" ? alertDefaults.noDataSeconds
+                : d.metric === "noData" ? toDraftValue(metric, NEW_RULE.threshold, display) : d.threshold
+        }));
+    }
+
+    async function handleAdd(e) {
+        e.preventDefault();
+        if (isNaN(draft.threshold) || isNaN(draft.hysteresis)) return;
+        await saveAlertRule({
+            ...draft,
+            threshold: fromDisplayValue(draft.metric, draft.threshold, display),
+            hysteresis: fromDisplayValue(draft.metric, draft.hysteresis, display, true),
+            mac: draft.mac || null,
+            locationId: draft.locationId === "" ? null : Number(draft.locationId)
+        });
+        // Asking needs a user gesture, adding a rule is a natural moment
+        setPermission(await requestNotificationPermission());
+    }
+
+    return (
+        <section className="alert-rules">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            <article>
+                <h3>Rules</h3>
+                {rules.length === 0 && <p>No alert rules.</p>}
+                <ul>
+                    {rules.map(rule => (
+                        <li key={rule.id}>
+                            <label>
+                                <input type="checkbox" checked={rule.enabled !== false}
+                                    onChange={e => saveAlertRule({ ...rule, enabled: e.target.checked })} />
+                                {rule.locationId != null && `${locationNames[rule.locationId] ?? "Deleted location"}, `}
+                                {alertTagLabel(tags, rule.mac)}: {describeRule(rule, display)}
+                                {rule.metric !== "noData" && rule.hysteresis > 0
+                                    && ` (±${toDraftValue(rule.metric, rule.hysteresis, display, true)})`}
+                            </label>
+                            <a href="#" onClick={e => { e.preventDefault(); deleteAlertRule(rule.id); }}>Delete</a>
+                        </li>
+                    ))}
+                </ul>
+                <form className="alert-rule-form" onSubmit={handleAdd}>
+                    {locations.length > 0 && (
+                        <select value={draft.locationId} onChange={e => update("locationId", e.target.value)}>
+                            <option value="">Any location</option>
+                            {locations.map(location => <option key={location.id} value={location.id}>{location.name}</option>)}
+                        </select>
+                    )}
+                    <select value={draft.mac} onChange={e => update("mac", e.target.value)}>
+                        <option value="">Any tag</option>
+                        {tags.map(tag => <option key={tag.mac} value={tag.mac}>{tagLabel(tag)}</option>)}
+                    </select>
+                    <select value={draft.metric} onChange={e => handleMetric(e.target.value)}>
+                        {Object.entries(ALERT_METRICS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                    {draft.metric !== "noData" && (
+                        <select value={draft.op} onChange={e => update("op", e.target.value)}>
+                            {Object.entries(ALERT_OPS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                        </select>
+                    )}
+                    <label>
+                        {metricUnit(draft.metric, display)}
+                        <input type="number" step="any" value={draft.threshold}
+                            onChange={e => update("threshold", parseFloat(e.target.value))} />
+                    </label>
+                    {draft.metric !== "noData" && (
+                        <label>
+                            Hysteresis
+                            <input type="number" step="any" min="0" value={draft.hysteresis}
+                                onChange={e => update("hysteresis", parseFloat(e.target.value))} />
+                        </label>
+                    )}
+                    <button type="submit">Add rule</button>
+                </form>
+                {permission === "denied" && <p className="error-msg">Notifications are blocked, alerts are only shown in the app.</p>}
+                {permission === "unsupported" && <p>This browser has no notifications, alerts are only shown in the app.</p>}
+            </article>
+            <article>
+                <h3>Fired alerts</h3>
+                {alerts.length === 0 && <p>No alerts yet.</p>}
+                <ul>
+                    {alerts.map(alert => (
+                        <li key={alert.id} className={alert.acknowledged ? undefined : "alert-new"}>
+                            {new Date(alert.ts).toLocaleString()} {alertTagLabel(tags, alert.mac)}: {alert.message} ({formatValue(alert, display)})
+                        </li>
+                    ))}
+                </ul>
+                {alerts.some(alert => !alert.acknowledged) && (
+                    <button className="outline" onClick={acknowledgeAlerts}>Mark all seen</button>
+                )}
+            </article>
+        </section>
+    );
+}
@@ -0,0 +1,84 @@
+import React, { useState } from "react";
+import { saveAnnotation, deleteAnnotation } from "./db";
+import { ANNOTATION_KINDS, annotationKind } from "./annotations";
+import { toLocalInput } from "./DataFiles";
+
+function formatTime(ts) {
+    return new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+export function formatAnnotationTime(annotation) {
+    return annotation.end === null
+        ? formatTime(annotation.ts)
+        : `${formatTime(annotation.ts)}–${formatTime(annotation.end)}`;
+}
+
+// Adds an annotation for mac (null for all tags). With from and to the
+// time or range can be chosen within them, without it is stamped now.
+export function AnnotationForm({ mac = null, from = null, to = null }) {
+    const ranged = from !== null && to !== null;
+    const [kind, setKind] = useState("note");
+    const [text, setText] = useState("");
+    const [at, setAt] = useState(() => ranged ? toLocalInput(Math.min(Date.now(), to)) : "");
+    const [until, setUntil] = useState("");
+    const [error, setError] = useState(null);
+
+    async function handleAdd(e) {
+        e.preventDefault();
+        try {
+            await saveAnnotation({
+                ts: ranged ? new Date(at).getTime() : Date.now(),
+                end: ranged && until ? new Date(until).getTime() : null,
+                mac,
+                kind,
+                text
+            });
+            setText("");
+            setUntil("");
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }
+
+    return (
+        <form className="annotation-form" onSubmit={handleAdd}>
+            <select value={kind} onChange={e => setKind(e.target.value)}>
+                {Object.entries(ANNOTATION_KINDS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <input type="text" value={text} placeholder={annotationKind(kind).placeholder ?? "Note"}
+                onChange={e => setText(e.target.value)} />
+            {ranged && (
+                <>
+                    <label>At <input type="datetime-local" value={at} onChange={e => setAt(e.target.value)} /></label>
+                    <label>Until <input type="datetime-local" value={until} onChange={e => setUntil(e.target.value)} /></label>
+                </>
+            )}
+            <button type="submit">Add</button>
+            {error && <div className="error-msg">{error}</div>}
+        </form>
+    );
+}
+
+// Annotations of a session or time range with a form to add more
+export default function AnnotationPanel({ annotations, mac = null, from, to }) {
+    const sorted = [...annotations].sort((a, b) => a.ts - b.ts);
+    return (
+        <article className="annotation-panel">
+            <h3>Annotations</h3>
+            {sorted.length === 0 && <p>No annotations.</p>}
+            <ul>
+                {sorted.map(annotation => (
+                    <li key={annotation.id}>
+                        <span style={{ color: annotationKind(annotation.kind).color }}>
+                            {formatAnnotationTime(annotation)} {annotationKind(annotation.kind).label}
+                        </span>
+                        {annotation.text && <> {annotation.text}</>}
+                        <a href="#" onClick={e => { e.preventDefault(); deleteAnnotation(annotation.id); }}>Delete</a>
+                    </li>
+                ))}
+            </ul>
+            <AnnotationForm mac={mac} from={from} to={to} />
+        </article>
+    );
+}
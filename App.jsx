@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo, useCallback } from "react";
 import * as d3 from "d3";
 import "./App.css";
 import {
@@ -10,21 +10,180 @@ import {
   getLoylyColor,
   WINDOW_MS
 } from "./ruuvi";
-import { db, logSample } from "./db";
-import { useRecentSamples } from "./useRecentSamples";
+import { db, logSample, compactSamples, saveTagStats, importTagLog, getSetting, setSetting, querySamples, logAlert, acknowledgeAlerts } from "./db";
+import { createSimulatorSensor } from "./simulator";
+import { createReplaySensor } from "./replay";
+import { createPublisher, createRemoteSensor } from "./remote";
+import { createGatewaySensor } from "./gateway";
+import { createIngestor } from "./ingestion";
+import { createAlertEngine } from "./alerts";
+import { deliverAlert } from "./notify";
+import { useStorageEstimate } from "./useStorageEstimate";
+import { STORAGE_WARNING_RATIO } from "./storage";
+import { onUpdateAvailable, applyUpdate } from "./pwa";
+import { useRecentSamples, useSamplesInRange, useLatestSamples } from "./useRecentSamples";
+import { useSessions } from "./useSessions";
+import { useSetting, useUnits } from "./useSetting";
+import { toDisplayUnits } from "./settings";
+import { CHART_PANELS, panelUnit, formatPanelValue } from "./chartPanels";
+import { useTags } from "./useTags";
+import { useRecentLoylyEvents, useLoylyEventsInRange } from "./useLoylyEvents";
+import { useRecentAnnotations, useAnnotationsInRange } from "./useAnnotations";
+import { annotationMarkers } from "./annotations";
+import { useLocations, useActiveLocation } from "./useLocations";
+import { locationMacs, resolveLocationRules, outsideExpectedRange } from "./locations";
+import { useHeatModel } from "./useHeatModel";
+import { useAlertRules, useFiredAlerts } from "./useAlerts";
+import { useHeatUpPrediction } from "./useHeatUp";
+import { heatUpCurve } from "./heatup";
+import { HEAT_MODELS, applyHeatModel, heatModelUnit } from "./heatIndex";
 import TimeSeriesChart from "./TimeSeriesChart";
+import TagPicker, { tagLabel } from "./TagPicker";
+import SimulatorPanel from "./SimulatorPanel";
+import SessionList from "./SessionList";
+import DataFiles from "./DataFiles";
+import AlertRules, { alertTagLabel } from "./AlertRules";
+import Statistics from "./Statistics";
+import SettingsPanel from "./SettingsPanel";
+import TagDiagnostics from "./TagDiagnostics";
+import CalibrationWizard from "./CalibrationWizard";
+import { AnnotationForm } from "./AnnotationPanel";
+import LocationManager, { LocationSelect } from "./LocationManager";
+import { WINDOW_OPTIONS, MIN_WINDOW_MS, zoomView, panView } from "./timeWindow";
+
+// RuuviTags keep about ten days of history
+const TAG_LOG_HISTORY_MS = 10 * 24 * 60 * 60 * 1000;
+const STATS_SAVE_INTERVAL_MS = 30 * 1000;
+const ALERT_CHECK_INTERVAL_MS = 5 * 1000;
+// How far the heat-up projection is drawn when the target is out of reach
+const PROJECTION_HORIZON_MS = 60 * 60 * 1000;
+const PROJECTION_POINTS = 30;
+const COMPACTION_DELAY_MS = 30 * 1000;
+const COMPACTION_INTERVAL_MS = 60 * 60 * 1000;
+const MIN_FRAME_INTERVAL_MS = 1000 / 30;
+const MAX_FRAME_INTERVAL_MS = 1000;
 
 let wakeLock = null;
+
+async function fireAlert(alert) {
+    await logAlert(alert);
+    const tag = alert.mac === null ? null : await db.tags.get(alert.mac);
+    await deliverAlert(alert.message, tag ? tagLabel(tag) : alert.mac ?? "", `${alert.ruleId}:${alert.mac}`);
+}
+
 export default function RuuviApp() {
-    const [connectionState, setConnectionState] = useState("idle"); // idle, connecting, connected, disconnecting
-    const [debugMode, setDebugMode] = useState(false);
-    const [sensor, setSensor] = useState({ temperature: null, humidity: null, apparentTemperature: null });
+    const [connectionState, setConnectionState] = useState("idle"); // see connection.js
+    const [debugSource, setDebugSource] = useState(null); // null, debug, simulator, replay
+    const [replayed, setReplayed] = useState([]); // samples of a replay, kept in memory only
     const [error, setError] = useState(null);
-    const [deviceInfo, setDeviceInfo] = useState({ name: null, mac: null });
     const sensorRef = useRef(null);
+    const ingestorRef = useRef(null);
+    if (ingestorRef.current === null) ingestorRef.current = createIngestor();
+    const alertEngineRef = useRef(null);
+    if (alertEngineRef.current === null) alertEngineRef.current = createAlertEngine();
+    const publisherRef = useRef(null);
+    const [shareStatus, setShareStatus] = useState(null); // see createPublisher
     const [now, setNow] = useState(Date.now());
+    const [selectedMac, setSelectedMac] = useState(null); // null shows all tags
+    const [view, setView] = useState("live"); // live, sessions, data, alerts, statistics, settings, diagnostics, calibration, locations
 
-    const history = useRecentSamples(WINDOW_MS);
+    const tags = useTags();
+    const locations = useLocations();
+    const [location, activeLocationId, setActiveLocationId] = useActiveLocation();
+    // Only tags of the current location are shown, the first known tag
+    // heard after connecting picks the location
+    // Keyed by the macs of the location, so filtered arrays stay the same
+    // between renders and the charts don't rebuild every frame
+    const locationMacsKey = location ? locationMacs(tags, location.id).join(",") : null;
+    const inActiveLocation = useMemo(() => {
+        if (locationMacsKey === null) return () => true;
+        const macs = new Set(locationMacsKey.split(","));
+        return item => macs.has(item.mac);
+    }, [locationMacsKey]);
+    const locationTags = useMemo(() => tags.filter(inActiveLocation), [tags, inActiveLocation]);
+    const tagsRef = useRef(tags);
+    tagsRef.current = tags;
+    const locationPickedRef = useRef(false);
+    const [heatModel, heatModelId, setHeatModelId] = useHeatModel();
+    const [windowSetting, setWindowSetting] = useSetting("chartWindow");
+    const [staleTimeoutMs] = useSetting("staleTimeoutMs");
+    const [sensorMode, setSensorMode] = useSetting("sensorMode"); // scan, gatt, gateway, remote
+    const [heatUpTarget, setHeatUpTarget] = useSetting("heatUpTarget"); // °C
+    const [scanNamePrefix] = useSetting("scanNamePrefix");
+    const [debugBaseline] = useSetting("debugBaseline");
+    const [chartColors] = useSetting("chartColors");
+    const [chartPanels] = useSetting("chartPanels");
+    const [shareEnabled] = useSetting("shareEnabled");
+    const [relayUrl] = useSetting("relayUrl");
+    const [relayRoom] = useSetting("relayRoom");
+    const [gatewayUrl] = useSetting("gatewayUrl");
+    const [gatewayToken] = useSetting("gatewayToken");
+    const units = useUnits();
+    const [logStatus, setLogStatus] = useState(null);
+    const [zoom, setZoom] = useState(null); // { end, windowMs } after zooming or panning, see timeWindow.js
+    const sessions = useSessions();
+    const alertRules = useAlertRules();
+    const newAlerts = useFiredAlerts().filter(alert => !alert.acknowledged);
+
+    // Resolve the visible time range: browsed history, the ongoing session or a trailing window
+    const sessionMode = windowSetting === "session" && zoom === null;
+    const activeSession = sessionMode
+        ? sessions?.find(s => s.end === null && (selectedMac === null || s.mac === selectedMac) && inActiveLocation(s))
+        : null;
+    const browsing = zoom !== null && zoom.end !== null;
+    const windowMs = zoom?.windowMs
+        ?? (sessionMode ? (activeSession ? Math.max(now - activeSession.start, MIN_WINDOW_MS) : WINDOW_MS) : windowSetting);
+    const chartEnd = browsing ? zoom.end : now;
+    const [rangeFrom, rangeTo] = browsing
+        ? [zoom.end - zoom.windowMs, zoom.end]
+        : activeSession ? [activeSession.start, Infinity] : [null, null];
+    const recentWindowMs = rangeFrom === null ? windowMs : null;
+
+    const recentSamples = useRecentSamples(recentWindowMs, selectedMac);
+    const rangeSamples = useSamplesInRange(rangeFrom, rangeTo, selectedMac);
+    const samples = useMemo(
+        () => debugSource === "replay"
+            ? replayed
+            : (rangeFrom === null ? recentSamples : rangeSamples).filter(inActiveLocation),
+        [debugSource, replayed, rangeFrom, recentSamples, rangeSamples, inActiveLocation]
+    );
+    // Löyly values are recomputed from raw T/RH under the selected model
+    const history = useMemo(() => applyHeatModel(samples, heatModel), [samples, heatModel]);
+    const displayHistory = useMemo(
+        () => toDisplayUnits(history, units, heatModel),
+        [history, units.temperature, units.pressure, heatModel]
+    );
+    const heatUnit = useMemo(() => heatModelUnit(heatModel, units.temperature), [heatModel, units.temperature]);
+    // Takes löyly in the display unit, as charted
+    const loylyColorFn = useCallback(val => getLoylyColor(heatUnit.invert(val), heatModel.range), [heatModel, heatUnit]);
+    const tagColors = useMemo(() => Object.fromEntries(
+        tags.map((tag, i) => [tag.mac, d3.schemeTableau10[i % d3.schemeTableau10.length]])
+    ), [tags]);
+    const recentLoylyEvents = useRecentLoylyEvents(recentWindowMs, selectedMac);
+    const rangeLoylyEvents = useLoylyEventsInRange(rangeFrom, rangeTo, selectedMac);
+    const loylyEvents = useMemo(
+        () => (rangeFrom === null ? recentLoylyEvents : rangeLoylyEvents).filter(inActiveLocation),
+        [rangeFrom, recentLoylyEvents, rangeLoylyEvents, inActiveLocation]
+    );
+    const recentAnnotations = useRecentAnnotations(recentWindowMs, selectedMac);
+    const rangeAnnotations = useAnnotationsInRange(rangeFrom, rangeTo, selectedMac);
+    const annotations = useMemo(
+        () => (rangeFrom === null ? recentAnnotations : rangeAnnotations)
+            .filter(annotation => annotation.mac === null || inActiveLocation(annotation)),
+        [rangeFrom, recentAnnotations, rangeAnnotations, inActiveLocation]
+    );
+    const chartMarkers = useMemo(() => [
+        ...loylyEvents.map(event => ({
+            ts: event.ts,
+            color: tags.length > 1 ? tagColors[event.mac] : undefined
+        })),
+        ...annotationMarkers(annotations)
+    ], [loylyEvents, annotations, tags, tagColors]);
+    // The picker shows every tag's latest reading, whichever tag is selected
+    const latestSamples = useLatestSamples(locationTags.map(tag => tag.mac));
+    const latestByMac = useMemo(() => Object.fromEntries(
+        toDisplayUnits(applyHeatModel(Object.values(latestSamples), heatModel), units, heatModel).map(sample => [sample.mac, sample])
+    ), [latestSamples, heatModel, units.temperature, units.pressure]);
     
     
     const prevSampleTime = history.length > 0 ? history[history.length - 1].ts : 0;
@@ -32,56 +191,154 @@ export default function RuuviApp() {
     let timeDecay = Math.exp(-timeSincePrevSample/10);
     let labelOpacity = Math.max(timeDecay, 0.5); // Ensure minimum opacity
 
-    // Continuously update 'now' for smooth scrolling x axis
+    // Continuously update 'now' for smooth scrolling x axis. Frames are
+    // budgeted so the charts move about a pixel per frame, wide windows
+    // need only a few updates per second.
+    const frameIntervalRef = useRef(0);
+    frameIntervalRef.current = Math.min(MAX_FRAME_INTERVAL_MS, Math.max(MIN_FRAME_INTERVAL_MS, windowMs / 1000));
     useEffect(() => {
         let raf;
-        function update() {
-            let now = Date.now();
-            
-
-            //console.log(prevSampleTime, timeSincePrevSample, decay);
-            setNow(now);
+        let lastFrame = 0;
+        function update(frameTime) {
+            if (frameTime - lastFrame >= frameIntervalRef.current) {
+                lastFrame = frameTime;
+                setNow(Date.now());
+            }
             raf = requestAnimationFrame(update);
         }
         raf = requestAnimationFrame(update);
         return () => raf && cancelAnimationFrame(raf);
     }, []);
 
+    // Background compaction of old samples, see compaction.js
+    useEffect(() => {
+        function compact() {
+            compactSamples().catch(err => console.error("Compaction failed:", err));
+        }
+        let interval = null;
+        const timeout = setTimeout(() => {
+            compact();
+            interval = setInterval(compact, COMPACTION_INTERVAL_MS);
+        }, COMPACTION_DELAY_MS);
+        return () => {
+            clearTimeout(timeout);
+            if (interval) clearInterval(interval);
+        };
+    }, []);
+
+    const storageEstimate = useStorageEstimate();
+    const [updateAvailable, setUpdateAvailable] = useState(false);
+    useEffect(() => onUpdateAvailable(setUpdateAvailable), []);
+
+    // Chart zoom and pan gestures
+    function handleZoom(factor, anchor) {
+        setZoom(z => zoomView(z ?? { end: null, windowMs }, factor, anchor, Date.now()));
+    }
+
+    function handlePan(deltaMs) {
+        setZoom(z => panView(z ?? { end: null, windowMs }, deltaMs, Date.now()));
+    }
+
+    function handleWindowSelect(value) {
+        setWindowSetting(value);
+        setZoom(null);
+    }
+
+    // Every sensor update goes through the ingestor, which stamps the
+    // receive time and drops repeated advertisements before logging
+    function handleSensorUpdate(update) {
+        const sample = ingestorRef.current.ingest(update);
+        if (!sample) return;
+        // Replays would otherwise end up in the history and alerts
+        if (sensorRef.current?.replay) {
+            setReplayed(r => [...r, sample]);
+            return;
+        }
+        logSample(sample).catch(err => console.error("Logging sample failed:", err));
+        if (!locationPickedRef.current && sample.mac != null) {
+            const locationId = tagsRef.current.find(tag => tag.mac === sample.mac)?.locationId;
+            if (locationId != null) {
+                locationPickedRef.current = true;
+                setActiveLocationId(locationId);
+            }
+        }
+        publisherRef.current?.publish(sample);
+        for (const alert of alertEngineRef.current.evaluate(sample)) {
+            fireAlert(alert).catch(err => console.error("Alert delivery failed:", err));
+        }
+    }
+
+    // Share the live view through the relay, unless this browser is itself
+    // showing a shared view
+    useEffect(() => {
+        if (!shareEnabled || sensorMode === "remote" || !relayUrl) return;
+        const publisher = createPublisher({ url: relayUrl, room: relayRoom, onStatus: setShareStatus });
+        publisherRef.current = publisher;
+        return () => {
+            publisher.close();
+            publisherRef.current = null;
+            setShareStatus(null);
+        };
+    }, [shareEnabled, sensorMode, relayUrl, relayRoom]);
+
+    // Alert rules are evaluated on every sample, silence is checked periodically
+    useEffect(() => {
+        alertEngineRef.current.setRules(resolveLocationRules(alertRules, tags));
+    }, [alertRules, tags]);
+
+    useEffect(() => {
+        alertEngineRef.current.setDisplay({ heatModel, temperatureUnit: units.temperature });
+    }, [heatModel, units.temperature]);
+
+    // A tag of another location can't be shown
+    useEffect(() => {
+        setSelectedMac(null);
+    }, [activeLocationId]);
+
+    useEffect(() => {
+        const interval = setInterval(() => {
+            for (const alert of alertEngineRef.current.check(Date.now())) {
+                fireAlert(alert).catch(err => console.error("Alert delivery failed:", err));
+            }
+        }, ALERT_CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    // Calibrations are applied as samples are ingested
+    useEffect(() => {
+        ingestorRef.current.setCalibrations(Object.fromEntries(
+            tags.filter(tag => tag.calibration).map(tag => [tag.mac, tag.calibration])
+        ));
+    }, [tags]);
+
+    // Persist packet loss statistics now and then
+    useEffect(() => {
+        const interval = setInterval(() => {
+            for (const [mac, stats] of ingestorRef.current.getAllStats()) {
+                if (mac !== null) saveTagStats(mac, stats);
+            }
+        }, STATS_SAVE_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
     // Start/stop sensor
-    async function startSensor(isDebug) {
+    function handleConnectionState(state, stateError) {
+        setConnectionState(state);
+        setError(stateError);
+    }
+
+    // Start a sensor from a factory taking (onUpdate, options)
+    async function startSensor(createSensor, extraOptions = {}) {
         if (sensorRef.current) {
             await sensorRef.current.stop();
         }
-        setSensor({ temperature: null, humidity: null, apparentTemperature: null });
         setError(null);
-        setDeviceInfo({ name: null, mac: null });
 
-        let s;
-        if (isDebug) {
-            s = createDebugSensor(update => setSensor(update));
-        } else {
-            s = createBleScanSensor((update, meta) => {
-                if (update.error) {
-                    setError(update.error);
-                    // If there's an error during connection, revert state
-                    if (connectionState === "connecting") {
-                        setConnectionState("idle");
-                    }
-                } else {
-                    setSensor(update);
-                    if (meta && (meta.name || meta.mac)) {
-                        setDeviceInfo({ name: meta.name ?? null, mac: meta.mac ?? null });
-                    }
-                }
-            });
-        }
+        const options = { onStateChange: handleConnectionState, staleTimeoutMs, namePrefix: scanNamePrefix, ...extraOptions };
+        const s = createSensor(handleSensorUpdate, options);
         sensorRef.current = s;
+        locationPickedRef.current = false;
         await s.start();
-        // If we are in debug mode, we are instantly connected.
-        // Otherwise, the connection is established when we get the first data.
-        if (isDebug) {
-            setConnectionState("connected");
-        }
     }
 
     async function stopSensor() {
@@ -89,20 +346,21 @@ export default function RuuviApp() {
             await sensorRef.current.stop();
             sensorRef.current = null;
         }
-        setSensor({ temperature: null, humidity: null, apparentTemperature: null });
+        // A stopped sensor is not a silent tag
+        alertEngineRef.current.clearSeen();
         setError(null);
         setConnectionState("idle");
     }
 
     // UI event handlers
     function handleDebugStop() {
-        setDebugMode(false);
+        setDebugSource(null);
+        setReplayed([]);
         stopSensor();
     }
 
     async function handleScanClick() {
-        if (connectionState === "connected") {
-            setConnectionState("disconnecting");
+        if (connectionState !== "idle" && connectionState !== "failed") {
             await stopSensor();
             if (wakeLock) {
                 wakeLock.release();
@@ -111,31 +369,47 @@ export default function RuuviApp() {
             return;
         }
 
-        if (connectionState === "idle") {
-            setDebugMode(false);
-            setConnectionState("connecting");
-            try {
-                await startSensor(false);
-                // The state will be set to 'connected' by the effect hook when data arrives
-                wakeLock = await navigator.wakeLock.request('screen');
-                console.debug("Wake lock", wakeLock);
-            } catch (err) {
-                console.error("Error during connection setup:", err);
-                setError(err.message || "Connection failed. Please try again.");
-                setConnectionState("idle");
-                if (sensorRef.current) {
-                    await sensorRef.current.stop();
-                    sensorRef.current = null;
-                }
-            }
+        setDebugSource(null);
+        if (sensorMode === "remote") {
+            await startSensor(createRemoteSensor, { url: relayUrl, room: relayRoom });
+        } else if (sensorMode === "gateway") {
+            await startSensor(createGatewaySensor, { url: gatewayUrl, token: gatewayToken });
+        } else {
+            await startSensor(sensorMode === "gatt" ? createRuuviNusSensor : createBleScanSensor);
+        }
+        if (sensorRef.current?.connection.state === "failed") return;
+        try {
+            wakeLock = await navigator.wakeLock.request('screen');
+            console.debug("Wake lock", wakeLock);
+        } catch (err) {
+            // Not fatal, the screen may just turn off
+            console.warn("Wake lock failed:", err);
+        }
+    }
+
+    // Fill gaps in the stored data from the log of a GATT connected tag
+    async function handleLogDownload() {
+        const s = sensorRef.current;
+        if (!s?.downloadLog) return;
+        const downloaded = await getSetting("tagLogDownloaded", {});
+        const since = downloaded[s.deviceId] ?? Date.now() - TAG_LOG_HISTORY_MS;
+        const startedAt = Date.now();
+        setLogStatus("Downloading tag history...");
+        try {
+            const samples = await s.downloadLog(since, count => setLogStatus(`Downloading tag history... ${count} records`));
+            const { added } = await importTagLog(samples);
+            await setSetting("tagLogDownloaded", { ...downloaded, [s.deviceId]: startedAt });
+            setLogStatus(`Downloaded ${samples.length} records from the tag, ${added} filled gaps.`);
+        } catch (err) {
+            console.error("Log download failed:", err);
+            setLogStatus(`History download failed: ${err.message}`);
         }
     }
 
     async function handleFakeLoyly() {
-        if (!debugMode) {
-            setDebugMode(true);
-            setConnectionState("connecting");
-            await startSensor(true);
+        if (!debugSource) {
+            setDebugSource("debug");
+            await startSensor(createDebugSensor, { baseline: location?.baseline ?? debugBaseline });
             // Do NOT trigger fakeLoyly on first press
             return;
         }
@@ -144,6 +418,24 @@ export default function RuuviApp() {
         }
     }
 
+    async function handleSimulator() {
+        setDebugSource("simulator");
+        await startSensor(createSimulatorSensor);
+    }
+
+    // Play back stored or imported samples as if they came from a sensor
+    async function handleReplay(samples, speed) {
+        setDebugSource("replay");
+        setReplayed([]);
+        setView("live");
+        await startSensor(createReplaySensor, { samples, speed });
+    }
+
+    async function handleReplaySession(session, speed) {
+        const samples = await querySamples({ from: session.start, to: session.end ?? session.lastTs, mac: session.mac });
+        await handleReplay(samples, speed);
+    }
+
     // Clean up on unmount
     useEffect(() => {
         return () => {
@@ -156,107 +448,270 @@ export default function RuuviApp() {
         };
     }, []);
 
-    // Update history and log sample when new sensor data arrives
-    useEffect(() => {
-        if (sensor.apparentTemperature === null && sensor.temperature === null) {
-            return;
-        }
-
-        // If we were connecting and we received data, we are now connected.
-        if (connectionState === "connecting") {
-            setConnectionState("connected");
-        }
-
-        const now = Date.now();
-        const sample = {
-            ...sensor,
-            ts: now
-        };
-        logSample(sample, deviceInfo);
-    }, [sensor, connectionState, deviceInfo]);
-
     // Use last sample from history for label values, always show even when disconnected
     const lastSample = history.length > 0 ? history[history.length - 1] : null;
-    let t = lastSample?.temperature ?? '?';
-    let rh = lastSample?.humidity ?? '?';
-    let at = lastSample?.apparentTemperature ?? '?';
-    if (t !== '?') t = t.toFixed(1);
-    if (rh !== '?') rh = rh.toFixed(1);
-    if (at !== '?') at = at.toFixed(1);
-    let loylyColor = (at !== '?') ? getLoylyColor(at) : '#fff';
+    const at = lastSample?.apparentTemperature;
+    let loylyColor = typeof at === 'number' ? loylyColorFn(heatUnit.convert(at)) : '#fff';
+
+    // Heat-up prediction for the selected tag, or the one heard last
+    const heatUp = useHeatUpPrediction(selectedMac ?? lastSample?.mac ?? null, heatUpTarget);
+    const heatingUp = heatUp !== null && heatUp.eta !== heatUp.from.ts;
+    const projection = useMemo(() => {
+        if (!heatingUp || browsing) return [];
+        const { fit, from, eta } = heatUp;
+        const until = eta ?? from.ts + PROJECTION_HORIZON_MS;
+        return Array.from({ length: PROJECTION_POINTS + 1 }, (_, i) => {
+            const ts = from.ts + (until - from.ts) * i / PROJECTION_POINTS;
+            return { ts, temperature: units.temperature.convert(heatUpCurve(fit, from, ts)) };
+        });
+    }, [heatUp, heatingUp, browsing, units.temperature]);
+    const formatTemperature = c => `${units.temperature.convert(c).toFixed(0)} ${units.temperature.label}`;
+    let heatUpText = null;
+    if (heatUp && !heatingUp) {
+        heatUpText = `${formatTemperature(heatUpTarget)} reached`;
+    } else if (heatUp && heatUp.eta === null) {
+        heatUpText = `Levelling off at about ${formatTemperature(heatUp.fit.tMax)}, below ${formatTemperature(heatUpTarget)}`;
+    } else if (heatUp) {
+        const minutes = Math.max(0, Math.round((heatUp.eta - now) / 60000));
+        heatUpText = `${formatTemperature(heatUpTarget)} in about ${minutes} min (${d3.timeFormat("%H:%M")(new Date(heatUp.eta))})`;
+    }
 
     const buttonText = {
         idle: "Connect",
-        connecting: "Connecting...",
+        scanning: "Scanning... (cancel)",
         connected: "Disconnect",
-        disconnecting: "Disconnecting...",
+        stale: "Disconnect",
+        reconnecting: "Reconnecting... (cancel)",
+        failed: "Retry",
     }[connectionState];
+    const expectedText = outsideExpectedRange(location, lastSample?.temperature)
+        ? `Outside the expected ${location.expectedRange.map(formatTemperature).join("–")} of ${location.name}`
+        : null;
+
+    if (view === "locations") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <LocationManager tags={tags} onBack={() => setView("live")} />
+            </main>
+        );
+    }
+    if (view === "sessions") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <SessionList tags={tags} onBack={() => setView("live")} onReplay={handleReplaySession} />
+            </main>
+        );
+    }
+    if (view === "data") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <DataFiles tags={tags} onBack={() => setView("live")} onReplay={handleReplay} />
+            </main>
+        );
+    }
+    if (view === "calibration") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <CalibrationWizard tags={tags} onBack={() => setView("live")} />
+            </main>
+        );
+    }
+    if (view === "diagnostics") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <TagDiagnostics tags={tags} onBack={() => setView("live")} />
+            </main>
+        );
+    }
+    if (view === "settings") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <SettingsPanel tags={tags} onBack={() => setView("live")} />
+            </main>
+        );
+    }
+    if (view === "statistics") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <Statistics tags={tags} onBack={() => setView("live")} />
+            </main>
+        );
+    }
+    if (view === "alerts") {
+        return (
+            <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
+                <AlertRules tags={tags} onBack={() => setView("live")} />
+            </main>
+        );
+    }
     return (
         <main style={{ width: '100%', maxWidth: 800, margin: '0 auto' }}>
-            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2.5em', marginBottom: '2em', marginTop: '0.5em' }}>
-                {/* Apparent Temperature (Löyly) */}
-                <div style={{ width: '100%' }}>
-                    <div className="display-block" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.2em' }}>
-                        <div className="loyly-label" style={{ textAlign: 'left', flex: 1 }}>Löyly</div>
-                        <div className="loyly-value" style={{ color: loylyColor, textAlign: 'right', flex: 1 }}>
-                            <span style={{ opacity: labelOpacity }}>{at}</span><span>°L</span>
-                        </div>
-                    </div>
-                    <TimeSeriesChart
-                        data={history}
-                        now={now}
-                        valueKey="apparentTemperature"
-                        lineColor="rgba(255, 255, 255, 0.8)"
-                        fillColorFn={getLoylyColor}
-                        heightRatio={1.3}
-                    />
+            {updateAvailable && (
+                <div className="update-banner">
+                    A new version is available.
+                    <button className="outline" onClick={applyUpdate}>Reload</button>
                 </div>
-                {/* Temperature */}
-                <div style={{ width: '100%' }}>
-                    <div className="display-block" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.2em' }}>
-                        <div className="temp-label" style={{ textAlign: 'left', flex: 1 }}>Temperature</div>
-                        <div className="temp-value" style={{ textAlign: 'right', flex: 1 }}>
-                            <span style={{ opacity: labelOpacity }}>{t}</span><span>°C</span>
-                        </div>
-                    </div>
-                    <TimeSeriesChart
-                        data={history}
-                        now={now}
-                        valueKey="temperature"
-                        lineColor="#fff"
-                        heightRatio={1}
-                    />
+            )}
+            {newAlerts.length > 0 && (
+                <div className="alert-banner" role="alert">
+                    <ul>
+                        {newAlerts.slice(0, 3).map(alert => (
+                            <li key={alert.id}>{alertTagLabel(tags, alert.mac)}: {alert.message}</li>
+                        ))}
+                    </ul>
+                    {newAlerts.length > 3 && <div>and {newAlerts.length - 3} more</div>}
+                    <button className="outline" onClick={acknowledgeAlerts}>Dismiss</button>
                 </div>
-                {/* Humidity */}
-                <div style={{ width: '100%' }}>
-                    <div className="display-block" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.2em' }}>
-                        <div className="hum-label" style={{ textAlign: 'left', flex: 1 }}>Humidity</div>
-                        <div className="hum-value" style={{ textAlign: 'right', flex: 1 }}>
-                            <span style={{ opacity: labelOpacity }}>{rh}</span><span>%</span>
-                        </div>
-                    </div>
-                    <TimeSeriesChart
-                        data={history}
-                        now={now}
-                        valueKey="humidity"
-                        lineColor="#7fd"
-                        heightRatio={1}
-                    />
+            )}
+            {locations.length > 0 && (
+                <div className="location-picker">
+                    <LocationSelect locations={locations} value={activeLocationId} onChange={setActiveLocationId} />
                 </div>
+            )}
+            <TagPicker
+                tags={locationTags}
+                colors={tagColors}
+                latest={latestByMac}
+                unit={heatUnit.label}
+                selected={selectedMac}
+                onSelect={setSelectedMac}
+            />
+            <div className="window-picker">
+                {WINDOW_OPTIONS.map(option => (
+                    <button
+                        key={option.label}
+                        className={windowSetting === option.value && zoom === null ? '' : 'outline'}
+                        onClick={() => handleWindowSelect(option.value)}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+                {browsing && (
+                    <button className="contrast" onClick={() => setZoom(null)}>Live</button>
+                )}
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '2.5em', marginBottom: '2em', marginTop: '0.5em' }}>
+                {chartPanels.filter(id => CHART_PANELS[id]).map(id => {
+                    const panel = CHART_PANELS[id];
+                    const isLoyly = panel.kind === "loyly";
+                    const value = lastSample?.[panel.valueKey];
+                    const display = typeof value === 'number' ? formatPanelValue(panel, value, units, heatModel) : '?';
+                    return (
+                        <div key={id} style={{ width: '100%' }}>
+                            <div className="display-block" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.2em' }}>
+                                <div className={isLoyly ? "loyly-label" : "temp-label"} style={{ textAlign: 'left', flex: 1 }}>{panel.label}</div>
+                                <div className={isLoyly ? "loyly-value" : "temp-value"} style={{ color: isLoyly ? loylyColor : undefined, textAlign: 'right', flex: 1 }}>
+                                    <span style={{ opacity: labelOpacity }}>{display}</span><span>{panelUnit(panel, units, heatModel)}</span>
+                                </div>
+                            </div>
+                            {id === "temperature" && heatUpText && <div className="heatup-eta">{heatUpText}</div>}
+                            {id === "temperature" && expectedText && <div className="heatup-eta">{expectedText}</div>}
+                            <TimeSeriesChart
+                                data={displayHistory}
+                                now={chartEnd}
+                                windowMs={windowMs}
+                                absoluteTime={browsing}
+                                onZoom={handleZoom}
+                                onPan={handlePan}
+                                valueKey={panel.valueKey}
+                                seriesKey="mac"
+                                seriesColors={tagColors}
+                                markers={chartMarkers}
+                                projection={id === "temperature" ? projection : undefined}
+                                lineColor={chartColors[id]}
+                                fillColorFn={isLoyly ? loylyColorFn : undefined}
+                                heightRatio={panel.heightRatio ?? 1}
+                            />
+                        </div>
+                    );
+                })}
+                {!browsing && <AnnotationForm mac={selectedMac} />}
+                {connectionState === "stale" && (
+                    <div className="error-msg">No data from the sensor for {Math.round(staleTimeoutMs / 1000)} s.</div>
+                )}
                 {error && <div className="error-msg">{error}</div>}
+                {storageEstimate && storageEstimate.ratio >= STORAGE_WARNING_RATIO && (
+                    <div className="error-msg">
+                        Storage is {(storageEstimate.ratio * 100).toFixed(0)} % full. Export old data or shorten the retention period.
+                    </div>
+                )}
             </div>
             <section className="debug-controls" style={{ textAlign: 'center' }}>
                 <button
                     id="scan"
                     onClick={handleScanClick}
-                    disabled={connectionState === "connecting" || connectionState === "disconnecting"}
-                    className={connectionState === 'connected' ? 'contrast' : ''}
+                    className={connectionState === 'connected' || connectionState === 'stale' ? 'contrast' : ''}
                     style={{ width: '100%', fontSize: '1.2em', marginTop: '2em' }}
                 >
                     {buttonText}
                 </button>
+                <div className="sensor-mode">
+                    <label>
+                        <input type="radio" name="sensorMode" value="scan" checked={sensorMode === "scan"}
+                            disabled={connectionState !== "idle" && connectionState !== "failed"}
+                            onChange={() => setSensorMode("scan")} />
+                        Scan all tags
+                    </label>
+                    <label>
+                        <input type="radio" name="sensorMode" value="gatt" checked={sensorMode === "gatt"}
+                            disabled={connectionState !== "idle" && connectionState !== "failed"}
+                            onChange={() => setSensorMode("gatt")} />
+                        Connect to one tag
+                    </label>
+                    <label>
+                        <input type="radio" name="sensorMode" value="gateway" checked={sensorMode === "gateway"}
+                            disabled={connectionState !== "idle" && connectionState !== "failed"}
+                            onChange={() => setSensorMode("gateway")} />
+                        Ruuvi Gateway
+                    </label>
+                    <label>
+                        <input type="radio" name="sensorMode" value="remote" checked={sensorMode === "remote"}
+                            disabled={connectionState !== "idle" && connectionState !== "failed"}
+                            onChange={() => setSensorMode("remote")} />
+                        Shared view
+                    </label>
+                </div>
+                {sensorMode === "gatt" && !debugSource && (connectionState === "connected" || connectionState === "stale") && (
+                    <div className="debug-links">
+                        <a href="#" onClick={e => { e.preventDefault(); handleLogDownload(); }}>Download tag history</a>
+                    </div>
+                )}
+                {logStatus && <div className="log-status">{logStatus}</div>}
+                {shareStatus && (
+                    <div className="log-status">
+                        {shareStatus.connected
+                            ? `Sharing to room ${relayRoom}, ${shareStatus.subscribers} watching`
+                            : `Relay ${relayUrl} is not reachable, retrying`}
+                    </div>
+                )}
+                {debugSource === "simulator" && connectionState !== "idle" && (
+                    <SimulatorPanel sensor={sensorRef.current} />
+                )}
+                <label className="model-select">
+                    Heat-up target
+                    <input type="number" step="5" value={Math.round(units.temperature.convert(heatUpTarget))}
+                        onChange={e => e.target.value && setHeatUpTarget(units.temperature.invert(Number(e.target.value)))} />
+                    {units.temperature.label}
+                </label>
+                <label className="model-select">
+                    Löyly model
+                    <select value={heatModelId} onChange={e => setHeatModelId(e.target.value)}>
+                        {Object.entries(HEAT_MODELS).map(([id, model]) => (
+                            <option key={id} value={id}>{model.name}</option>
+                        ))}
+                    </select>
+                </label>
                 <div className="debug-links">
+                    <a href="#" onClick={e => { e.preventDefault(); setView("sessions"); }}>Sessions</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("statistics"); }}>Statistics</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("data"); }}>Data</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("alerts"); }}>Alerts</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("diagnostics"); }}>Tags</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("calibration"); }}>Calibrate</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("locations"); }}>Locations</a>
+                    <a href="#" onClick={e => { e.preventDefault(); setView("settings"); }}>Settings</a>
                     <a href="#" onClick={e => { e.preventDefault(); handleFakeLoyly(); }}>Fake löyly</a>
+                    <a href="#" onClick={e => { e.preventDefault(); handleSimulator(); }}>Simulator</a>
                 </div>
             </section>
         </main>
@@ -0,0 +1,76 @@
+import React, { useRef, useState, useEffect } from "react";
+import * as d3 from "d3";
+
+const ASPECT = 0.35;
+const MARGIN = { top: 16, right: 0, bottom: 24, left: 0 };
+
+// Vertical bar chart of [{ key, label, value }] for histograms and
+// per-period trends. color may be a function of the datum.
+export default function BarChart({ data, color = "#7fd", format = d3.format("~g") }) {
+    const ref = useRef();
+    const [width, setWidth] = useState(0);
+
+    useEffect(() => {
+        if (!ref.current) return;
+        const parent = ref.current.parentElement;
+        if (!parent) return;
+        setWidth(parent.offsetWidth);
+        const observer = new window.ResizeObserver(entries => {
+            for (let entry of entries) {
+                if (entry.contentRect) {
+                    setWidth(entry.contentRect.width);
+                }
+            }
+        });
+        observer.observe(parent);
+        return () => observer.disconnect();
+    }, []);
+
+    const height = Math.round(width * ASPECT);
+
+    useEffect(() => {
+        if (!ref.current || width === 0) return;
+        const svg = d3.select(ref.current);
+        svg.selectAll("*").remove();
+        svg.attr("width", width).attr("height", height);
+
+        const x = d3.scaleBand()
+            .domain(data.map(d => d.key))
+            .range([MARGIN.left, width - MARGIN.right])
+            .padding(0.15);
+        const y = d3.scaleLinear()
+            .domain([0, d3.max(data, d => d.value) || 1])
+            .range([height - MARGIN.bottom, MARGIN.top]);
+
+        const bars = svg.append('g').selectAll('g')
+            .data(data)
+            .join('g')
+            .attr('transform', d => `translate(${x(d.key)},0)`);
+        bars.append('rect')
+            .attr('y', d => y(d.value))
+            .attr('width', x.bandwidth())
+            .attr('height', d => y(0) - y(d.value))
+            .attr('fill', d => typeof color === 'function' ? color(d) : color)
+            .attr('opacity', 0.8);
+        bars.append('text')
+            .attr('x', x.bandwidth() / 2)
+            .attr('y', d => y(d.value) - 3)
+            .attr('fill', '#aaa')
+            .attr('font-size', '0.7em')
+            .attr('text-anchor', 'middle')
+            .text(d => d.value ? format(d.value) : '');
+
+        // Label at most ~12 bars
+        const every = Math.ceil(data.length / 12);
+        svg.append('g')
+            .attr('transform', `translate(0,${height - MARGIN.bottom})`)
+            .call(d3.axisBottom(x)
+                .tickValues(data.filter((_, i) => i % every === 0).map(d => d.key))
+                .tickFormat(key => data.find(d => d.key === key)?.label ?? key)
+            )
+            .call(axis => axis.selectAll('text').attr('fill', '#aaa').attr('font-size', '1em'))
+            .call(axis => axis.selectAll('.domain, .tick line').attr('stroke', '#444'));
+    }, [data, width, height, color, format]);
+
+    return <svg ref={ref} style={{ width: "100%", height: "auto", display: "block" }} />;
+}
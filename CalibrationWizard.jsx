@@ -0,0 +1,189 @@
+import React, { useState, useMemo, useEffect } from "react";
+import { saveCalibration, recalibrateHistory } from "./db";
+import { useRecentSamples } from "./useRecentSamples";
+import { NO_CALIBRATION, correct, pairSamples, pairValues, fitOffset, fitLinear, correctionError } from "./calibration";
+import { tagLabel } from "./TagPicker";
+import TimeSeriesChart from "./TimeSeriesChart";
+
+const COMPARE_WINDOWS = [
+    { label: "10 min", value: 10 * 60 * 1000 },
+    { label: "30 min", value: 30 * 60 * 1000 },
+    { label: "2 h", value: 2 * 60 * 60 * 1000 }
+];
+const QUANTITIES = {
+    temperature: { label: "Temperature", unit: "°C" },
+    humidity: { label: "Humidity", unit: "%" }
+};
+
+function formatNumber(value, digits = 2) {
+    return value == null || isNaN(value) ? '?' : value.toFixed(digits);
+}
+
+// Offset or two-point correction of one quantity
+function CorrectionEditor({ label, unit, correction, onChange }) {
+    const linear = correction.points?.length === 2;
+    const setPoint = (i, j, value) => {
+        const points = correction.points.map(point => point.slice());
+        points[i][j] = value;
+        onChange({ points });
+    };
+    return (
+        <fieldset>
+            <legend>{label}</legend>
+            <label>
+                <input type="checkbox" checked={linear}
+                    onChange={e => onChange(e.target.checked ? { points: [[20, 20], [80, 80]] } : { offset: 0 })} />
+                Two-point correction
+            </label>
+            {linear ? correction.points.map((point, i) => (
+                <div className="settings-row" key={i}>
+                    <label>Reading ({unit})
+                        <input type="number" step="any" value={point[0]} onChange={e => setPoint(i, 0, Number(e.target.value))} />
+                    </label>
+                    <label>True value ({unit})
+                        <input type="number" step="any" value={point[1]} onChange={e => setPoint(i, 1, Number(e.target.value))} />
+                    </label>
+                </div>
+            )) : (
+                <label>Offset ({unit})
+                    <input type="number" step="any" value={correction.offset ?? 0} onChange={e => onChange({ offset: Number(e.target.value) })} />
+                </label>
+            )}
+        </fieldset>
+    );
+}
+
+// Calibrate a tag against a reference tag placed next to it
+export default function CalibrationWizard({ tags = [], onBack }) {
+    const [mac, setMac] = useState(() => tags[0]?.mac ?? "");
+    const [referenceMac, setReferenceMac] = useState(() => tags[1]?.mac ?? "");
+    const [windowMs, setWindowMs] = useState(COMPARE_WINDOWS[1].value);
+    const tag = tags.find(tag => tag.mac === mac);
+    const [draft, setDraft] = useState(NO_CALIBRATION);
+    const [status, setStatus] = useState(null);
+
+    // Start editing from the stored calibration of the chosen tag
+    useEffect(() => {
+        setDraft({ ...NO_CALIBRATION, ...tag?.calibration });
+        setStatus(null);
+    }, [mac, tag?.calibration?.version]);
+
+    const samples = useRecentSamples(mac ? windowMs : null, mac || null);
+    const reference = useRecentSamples(referenceMac ? windowMs : null, referenceMac || null);
+    const values = useMemo(() => {
+        const pairs = pairSamples(samples, reference);
+        return { temperature: pairValues(pairs, "temperature"), humidity: pairValues(pairs, "humidity") };
+    }, [samples, reference]);
+    const chartData = useMemo(() => samples.concat(reference), [samples, reference]);
+    const now = Date.now();
+    const colors = { [mac]: "#ffcc66", [referenceMac]: "#7fd" };
+
+    function handleSuggestion(key, correction) {
+        setDraft(d => ({ ...d, [key]: correction }));
+    }
+
+    async function handleSave(reapply) {
+        const { version, ...calibration } = draft;
+        await saveCalibration(mac, calibration);
+        if (!reapply) {
+            setStatus("Calibration saved, it applies to new samples.");
+            return;
+        }
+        setStatus("Recalibrating stored samples...");
+        const count = await recalibrateHistory(mac);
+        setStatus(`Calibration saved and applied to ${count} stored samples.`);
+    }
+
+    const tagSelect = (value, onChange, exclude) => (
+        <select value={value} onChange={e => onChange(e.target.value)}>
+            <option value="">Choose tag</option>
+            {tags.filter(tag => tag.mac !== exclude).map(tag => <option key={tag.mac} value={tag.mac}>{tagLabel(tag)}</option>)}
+        </select>
+    );
+
+    return (
+        <section className="calibration">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            <article>
+                <h3>Compare</h3>
+                <p>Place the tags side by side, ideally through a heat-up so the readings cover a wide range.</p>
+                <div className="settings-row">
+                    <label>Calibrate {tagSelect(mac, setMac, referenceMac)}</label>
+                    <label>Reference {tagSelect(referenceMac, setReferenceMac, mac)}</label>
+                    <label>
+                        Over the last
+                        <select value={windowMs} onChange={e => setWindowMs(Number(e.target.value))}>
+                            {COMPARE_WINDOWS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+                {mac && referenceMac && (
+                    <>
+                        <TimeSeriesChart data={chartData} now={now} windowMs={windowMs} valueKey="temperature"
+                            seriesKey="mac" seriesColors={colors} heightRatio={0.8} />
+                        <table>
+                            <thead>
+                                <tr><th></th><th>Pairs</th><th>Current error</th><th>Offset fit</th><th>Linear fit</th></tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(QUANTITIES).map(([key, { label, unit }]) => {
+                                    const offset = fitOffset(values[key]);
+                                    const linear = fitLinear(values[key], key === "temperature" ? 10 : 20);
+                                    return (
+                                        <tr key={key}>
+                                            <td>{label}</td>
+                                            <td>{values[key].length}</td>
+                                            <td>{formatNumber(correctionError(values[key], draft[key]))} {unit}</td>
+                                            <td>
+                                                {offset && (
+                                                    <a href="#" onClick={e => { e.preventDefault(); handleSuggestion(key, offset); }}>
+                                                        {formatNumber(offset.offset)} {unit} (±{formatNumber(correctionError(values[key], offset))})
+                                                    </a>
+                                                )}
+                                            </td>
+                                            <td>
+                                                {linear ? (
+                                                    <a href="#" onClick={e => { e.preventDefault(); handleSuggestion(key, linear); }}>
+                                                        ±{formatNumber(correctionError(values[key], linear))} {unit}
+                                                    </a>
+                                                ) : "Range too narrow"}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                        {samples.length > 0 && (
+                            <p>
+                                Latest: {formatNumber(correct(samples[samples.length - 1].rawTemperature ?? samples[samples.length - 1].temperature, draft.temperature), 1)} °C
+                                {reference.length > 0 && <> vs. reference {formatNumber(reference[reference.length - 1].temperature, 1)} °C</>}
+                            </p>
+                        )}
+                    </>
+                )}
+            </article>
+            {mac && (
+                <article>
+                    <h3>Calibration of {tag ? tagLabel(tag) : mac}</h3>
+                    {tag?.calibration && <p>Stored version {tag.calibration.version}.</p>}
+                    {Object.entries(QUANTITIES).map(([key, { label, unit }]) => (
+                        <CorrectionEditor key={key} label={label} unit={unit} correction={draft[key]}
+                            onChange={correction => setDraft(d => ({ ...d, [key]: correction }))} />
+                    ))}
+                    <label>
+                        <input type="checkbox" checked={draft.clampHumidity !== false}
+                            onChange={e => setDraft(d => ({ ...d, clampHumidity: e.target.checked }))} />
+                        Clamp humidity to 0–100 %
+                    </label>
+                    <div className="settings-row">
+                        <button onClick={() => handleSave(false)}>Save</button>
+                        <button className="outline" onClick={() => handleSave(true)}>Save and apply to history</button>
+                    </div>
+                </article>
+            )}
+            {status && <p className="display-block">{status}</p>}
+        </section>
+    );
+}
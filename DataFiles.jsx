@@ -0,0 +1,215 @@
+import React, { useState } from "react";
+import { querySamplesOrAggregates, importSamples, compactSamples, queryAnnotations, importAnnotations } from "./db";
+import { useSetting } from "./useSetting";
+import { useStorageEstimate } from "./useStorageEstimate";
+import { formatBytes, STORAGE_WARNING_RATIO } from "./storage";
+import { RETENTION_OPTIONS } from "./compaction";
+import { useSessions } from "./useSessions";
+import { samplesToCsv, samplesToJson, annotationsToCsv, parseSampleFile, parseAnnotations, isAnnotationCsv } from "./sampleFiles";
+import { tagLabel } from "./TagPicker";
+import { REPLAY_SPEEDS } from "./replay";
+
+const FORMATS = {
+    csv: { label: "CSV", type: "text/csv", serialize: samplesToCsv },
+    json: { label: "JSON", type: "application/json", serialize: samplesToJson }
+};
+
+// Value for a datetime-local input in local time
+export function toLocalInput(ts) {
+    const date = new Date(ts - new Date(ts).getTimezoneOffset() * 60000);
+    return date.toISOString().slice(0, 16);
+}
+
+function download(text, type, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+// Export samples of a time range, session or tag, import sample files and
+// manage stored data
+export default function DataFiles({ tags = [], onBack, onReplay }) {
+    const sessions = useSessions() ?? [];
+    const [scope, setScope] = useState("range"); // range, session, tag
+    const [format, setFormat] = useState("csv");
+    const [from, setFrom] = useState(() => toLocalInput(Date.now() - 24 * 60 * 60 * 1000));
+    const [to, setTo] = useState(() => toLocalInput(Date.now()));
+    const [mac, setMac] = useState("");
+    const [sessionId, setSessionId] = useState("");
+    const [status, setStatus] = useState(null);
+    const [replaySpeed, setReplaySpeed] = useState(REPLAY_SPEEDS[1]);
+    const [retentionDays, setRetentionDays] = useSetting("retentionDays");
+    const estimate = useStorageEstimate();
+
+    function exportQuery() {
+        if (scope === "session") {
+            const session = sessions.find(s => String(s.id) === sessionId);
+            if (!session) return null;
+            return { from: session.start, to: session.end ?? session.lastTs, mac: session.mac };
+        }
+        if (scope === "tag") {
+            return mac ? { mac } : null;
+        }
+        return { from: new Date(from).getTime(), to: new Date(to).getTime(), mac: mac || null };
+    }
+
+    async function handleExport() {
+        const query = exportQuery();
+        if (!query) {
+            setStatus("Choose what to export first.");
+            return;
+        }
+        if (Number.isNaN(query.from) || Number.isNaN(query.to) || query.from > query.to) {
+            setStatus("Choose a valid time range.");
+            return;
+        }
+        try {
+            // Old history may only be left as minute averages, see compaction.js
+            const samples = await querySamplesOrAggregates(query);
+            if (!samples.length) {
+                setStatus("No samples to export.");
+                return;
+            }
+            const annotations = await queryAnnotations(query);
+            const { type, serialize } = FORMATS[format];
+            const stamp = new Date(samples[0].ts).toISOString().slice(0, 10);
+            download(serialize(samples, annotations), type, `loyly-${scope}-${stamp}.${format}`);
+            // CSV has no room for annotations, they get a file of their own
+            if (format === "csv" && annotations.length) {
+                download(annotationsToCsv(annotations), type, `loyly-${scope}-${stamp}-annotations.csv`);
+            }
+            const averages = samples.filter(sample => sample.count != null).length;
+            setStatus(`Exported ${samples.length} samples${averages ? ` (${averages} of them minute averages)` : ""} and ${annotations.length} annotations.`);
+        } catch (err) {
+            console.error("Export failed:", err);
+            setStatus(`Export failed: ${err.message}`);
+        }
+    }
+
+    async function handleImport(e) {
+        const files = Array.from(e.target.files);
+        e.target.value = "";
+        let added = 0, averages = 0, skipped = 0, annotations = 0;
+        try {
+            for (const file of files) {
+                const text = await file.text();
+                annotations += (await importAnnotations(parseAnnotations(text))).added;
+                if (isAnnotationCsv(text)) continue;
+                const result = await importSamples(parseSampleFile(text, file.name));
+                added += result.added;
+                averages += result.averages;
+                skipped += result.skipped;
+            }
+            setStatus(`Imported ${added} samples${averages ? `, ${averages} minute averages` : ""} and ${annotations} annotations, skipped ${skipped} samples already stored.`);
+        } catch (err) {
+            console.error("Import failed:", err);
+            setStatus(`Import failed: ${err.message}`);
+        }
+    }
+
+    async function handleReplayFile(e) {
+        const [file] = e.target.files;
+        e.target.value = "";
+        if (!file) return;
+        try {
+            onReplay(parseSampleFile(await file.text(), file.name), replaySpeed);
+        } catch (err) {
+            setStatus(`Could not read ${file.name}: ${err.message}`);
+        }
+    }
+
+    async function handleCompact() {
+        try {
+            const { aggregated, deleted } = await compactSamples();
+            setStatus(`Aggregated ${aggregated} minutes, deleted ${deleted} old samples.`);
+        } catch (err) {
+            console.error("Compaction failed:", err);
+            setStatus(`Compaction failed: ${err.message}`);
+        }
+    }
+
+    const tagSelect = (allowAll) => (
+        <select value={mac} onChange={e => setMac(e.target.value)}>
+            <option value="">{allowAll ? "All tags" : "Choose tag"}</option>
+            {tags.map(tag => <option key={tag.mac} value={tag.mac}>{tagLabel(tag)}</option>)}
+        </select>
+    );
+
+    return (
+        <section className="data-files">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            <article>
+                <h3>Export</h3>
+                <select value={scope} onChange={e => setScope(e.target.value)}>
+                    <option value="range">Time range</option>
+                    <option value="session">Session</option>
+                    <option value="tag">Tag</option>
+                </select>
+                {scope === "range" && (
+                    <>
+                        <label>From <input type="datetime-local" value={from} onChange={e => setFrom(e.target.value)} /></label>
+                        <label>To <input type="datetime-local" value={to} onChange={e => setTo(e.target.value)} /></label>
+                        {tagSelect(true)}
+                    </>
+                )}
+                {scope === "session" && (
+                    <select value={sessionId} onChange={e => setSessionId(e.target.value)}>
+                        <option value="">Choose session</option>
+                        {sessions.map(session => (
+                            <option key={session.id} value={session.id}>
+                                {new Date(session.start).toLocaleString()}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                {scope === "tag" && tagSelect(false)}
+                <select value={format} onChange={e => setFormat(e.target.value)}>
+                    {Object.entries(FORMATS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+                <button onClick={handleExport}>Export</button>
+            </article>
+            <article>
+                <h3>Import</h3>
+                <p>CSV or JSON exported from this app, including annotation CSVs, or a Ruuvi Station CSV export.</p>
+                <input type="file" accept=".csv,.json,text/csv,application/json" multiple onChange={handleImport} />
+            </article>
+            {onReplay && (
+                <article>
+                    <h3>Replay</h3>
+                    <p>Play a sample file back as a live sensor.</p>
+                    <select value={replaySpeed} onChange={e => setReplaySpeed(Number(e.target.value))}>
+                        {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}×</option>)}
+                    </select>
+                    <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleReplayFile} />
+                </article>
+            )}
+            <article>
+                <h3>Storage</h3>
+                {estimate ? (
+                    <p className={estimate.ratio >= STORAGE_WARNING_RATIO ? "error-msg" : undefined}>
+                        {formatBytes(estimate.usage)} used of {formatBytes(estimate.quota)} ({(estimate.ratio * 100).toFixed(1)} %)
+                    </p>
+                ) : (
+                    <p>Storage usage is not available in this browser.</p>
+                )}
+                {estimate && !estimate.persisted && (
+                    <p>The browser may clear stored samples when it runs low on space.</p>
+                )}
+                <label>
+                    Keep raw samples for
+                    <select value={retentionDays} onChange={e => setRetentionDays(Number(e.target.value))}>
+                        {RETENTION_OPTIONS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </select>
+                </label>
+                <p>Per-minute averages are kept indefinitely.</p>
+                <button className="outline" onClick={handleCompact}>Compact now</button>
+            </article>
+            {status && <p className="display-block">{status}</p>}
+        </section>
+    );
+}
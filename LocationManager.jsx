@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import { saveLocation, deleteLocation, setTagLocation } from "./db";
+import { useLocations, useActiveLocation } from "./useLocations";
+import { useHeatModel } from "./useHeatModel";
+import { useUnits } from "./useSetting";
+import { NEW_LOCATION } from "./locations";
+import { tagLabel } from "./TagPicker";
+
+// Location filter, null meaning all locations
+export function LocationSelect({ locations, value, onChange }) {
+    if (locations.length === 0) return null;
+    return (
+        <select value={value ?? ""} onChange={e => onChange(e.target.value === "" ? null : Number(e.target.value))}>
+            <option value="">All locations</option>
+            {locations.map(location => <option key={location.id} value={location.id}>{location.name}</option>)}
+        </select>
+    );
+}
+
+// Number input that reports null when emptied
+function OptionalNumber({ label, value, onChange }) {
+    return (
+        <label>
+            {label}
+            <input type="number" step="any" value={value ?? ""}
+                onChange={e => onChange(e.target.value === "" ? null : Number(e.target.value))} />
+        </label>
+    );
+}
+
+function complete(values) {
+    return values.every(v => v !== null) ? values : null;
+}
+
+// Inputs hold [min, max] pairs that may be half filled in, only complete
+// ones are saved
+function toDraft(location) {
+    const baseline = location.baseline ?? { temperature: null, humidity: null };
+    return {
+        ...location,
+        expectedRange: location.expectedRange ?? [null, null],
+        baseline: [baseline.temperature, baseline.humidity]
+    };
+}
+
+function fromDraft(draft) {
+    const baseline = complete(draft.baseline);
+    return {
+        ...draft,
+        expectedRange: complete(draft.expectedRange),
+        colorRanges: Object.fromEntries(Object.entries(draft.colorRanges).filter(([, range]) => complete(range))),
+        baseline: baseline && { temperature: baseline[0], humidity: baseline[1] }
+    };
+}
+
+function LocationEditor({ location, tags, locations }) {
+    const [draft, setDraft] = useState(() => toDraft(location));
+    const [error, setError] = useState(null);
+    const [heatModel, heatModelId] = useHeatModel();
+    const temperature = useUnits().temperature;
+    const colorRange = draft.colorRanges[heatModelId] ?? [null, null];
+
+    function update(key, value) {
+        setDraft(d => ({ ...d, [key]: value }));
+    }
+
+    function updatePair(key, index, value) {
+        setDraft(d => {
+            const pair = [...d[key]];
+            pair[index] = value;
+            return { ...d, [key]: pair };
+        });
+    }
+
+    function updateColorRange(index, value) {
+        const range = [...colorRange];
+        range[index] = value;
+        setDraft(d => ({ ...d, colorRanges: { ...d.colorRanges, [heatModelId]: range } }));
+    }
+
+    function updateExpected(index, value) {
+        updatePair("expectedRange", index, value === null ? null : temperature.invert(value));
+    }
+
+    function expected(index) {
+        const value = draft.expectedRange[index];
+        return value === null ? null : Math.round(temperature.convert(value));
+    }
+
+    async function handleSave(e) {
+        e.preventDefault();
+        try {
+            await saveLocation(fromDraft(draft));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        }
+    }
+
+    async function handleDelete() {
+        if (window.confirm(`Delete ${location.name}? Its alert rules are deleted too.`)) {
+            await deleteLocation(location.id);
+        }
+    }
+
+    return (
+        <article>
+            <form onSubmit={handleSave}>
+                <label>
+                    Name
+                    <input type="text" value={draft.name} onChange={e => update("name", e.target.value)} />
+                </label>
+                <div className="settings-row">
+                    <OptionalNumber label={`Expected from (${temperature.label})`} value={expected(0)} onChange={v => updateExpected(0, v)} />
+                    <OptionalNumber label="to" value={expected(1)} onChange={v => updateExpected(1, v)} />
+                </div>
+                <div className="settings-row">
+                    <OptionalNumber label={`Colour scale from (${heatModel.unit})`} value={colorRange[0]} onChange={v => updateColorRange(0, v)} />
+                    <OptionalNumber label="to" value={colorRange[1]} onChange={v => updateColorRange(1, v)} />
+                </div>
+                <div className="settings-row">
+                    <OptionalNumber label="Fake löyly baseline (°C)" value={draft.baseline[0]} onChange={v => updatePair("baseline", 0, v)} />
+                    <OptionalNumber label="RH (%)" value={draft.baseline[1]} onChange={v => updatePair("baseline", 1, v)} />
+                </div>
+                <button type="submit">Save</button>
+                {error && <div className="error-msg">{error}</div>}
+            </form>
+            <h4>Tags</h4>
+            {tags.length === 0 && <p>No tags heard yet.</p>}
+            {tags.map(tag => {
+                const other = tag.locationId != null && tag.locationId !== location.id
+                    ? locations.find(l => l.id === tag.locationId)
+                    : null;
+                return (
+                    <label key={tag.mac}>
+                        <input type="checkbox" checked={tag.locationId === location.id}
+                            onChange={e => setTagLocation(tag.mac, e.target.checked ? location.id : null)} />
+                        {tagLabel(tag)}
+                        {other && <span className="session-tag"> (now in {other.name})</span>}
+                    </label>
+                );
+            })}
+            <a href="#" onClick={e => { e.preventDefault(); handleDelete(); }}>Delete location</a>
+        </article>
+    );
+}
+
+// Saunas with their tags, expected temperatures, colour scales and fake
+// löyly baselines. Alert rules of a location are added in the alert view.
+export default function LocationManager({ tags = [], onBack }) {
+    const locations = useLocations();
+    const [, activeId, setActiveId] = useActiveLocation();
+    const [name, setName] = useState("");
+
+    async function handleAdd(e) {
+        e.preventDefault();
+        if (!name.trim()) return;
+        await saveLocation({ ...NEW_LOCATION, name });
+        setName("");
+    }
+
+    return (
+        <section className="settings-panel">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            {locations.length > 0 && (
+                <label className="display-block">
+                    Current location
+                    <LocationSelect locations={locations} value={activeId} onChange={setActiveId} />
+                </label>
+            )}
+            <p className="display-block">The location is picked automatically from the first known tag heard after connecting.</p>
+            {locations.map(location => (
+                <LocationEditor key={location.id} location={location} tags={tags} locations={locations} />
+            ))}
+            <form className="annotation-form" onSubmit={handleAdd}>
+                <input type="text" value={name} placeholder="New location, e.g. Cottage" onChange={e => setName(e.target.value)} />
+                <button type="submit">Add location</button>
+            </form>
+        </section>
+    );
+}
@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useMemo } from "react";
+import * as d3 from "d3";
+import { sessionSamples, sessionLoylyEvents, queryAnnotations } from "./db";
+import { useHeatModel } from "./useHeatModel";
+import { useSetting, useUnits } from "./useSetting";
+import { applyHeatModel, heatModelUnit } from "./heatIndex";
+import { toDisplayUnits } from "./settings";
+import { HEATUP_DEFAULTS } from "./heatup";
+import { ANNOTATION_KINDS } from "./annotations";
+import { ALIGNMENTS, alignmentTime, relativeSamples, seriesSummary, summaryDifference } from "./comparison";
+import TimeSeriesChart from "./TimeSeriesChart";
+
+function seriesColor(index) {
+    return d3.schemeTableau10[index % d3.schemeTableau10.length];
+}
+
+// Stored sessions overlaid on a time axis relative to an event, with the
+// differences to the first (oldest) session
+export default function SessionComparison({ sessions, tagNames = {}, onBack }) {
+    const [heatModel] = useHeatModel();
+    const units = useUnits();
+    const [heatUpTarget] = useSetting("heatUpTarget");
+    const [alignment, setAlignment] = useState("start");
+    const [threshold, setThreshold] = useState(heatUpTarget); // °C
+    const [annotationKind, setAnnotationKind] = useState("wood");
+    const [loaded, setLoaded] = useState(null); // [{ session, samples, loylyEvents, annotations }]
+    const ordered = useMemo(() => [...sessions].sort((a, b) => a.start - b.start), [sessions]);
+    const sessionsKey = ordered.map(s => s.id).join(",");
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoaded(null);
+        Promise.all(ordered.map(async session => ({
+            session,
+            // Include the heat-up before the session
+            samples: applyHeatModel(await sessionSamples(session, HEATUP_DEFAULTS.lookbackMs), heatModel),
+            loylyEvents: await sessionLoylyEvents(session),
+            annotations: await queryAnnotations({ from: session.start, to: session.end ?? session.lastTs, mac: session.mac })
+        }))).then(data => {
+            if (!cancelled) setLoaded(data);
+        }).catch(err => console.error("Loading sessions failed:", err));
+        return () => { cancelled = true; };
+    }, [sessionsKey, heatModel]);
+
+    const series = useMemo(() => (loaded ?? []).map((data, index) => {
+        const event = alignmentTime(alignment, data, { threshold, annotationKind });
+        const origin = event ?? data.session.start;
+        const samples = relativeSamples(data.samples, origin, data.session.id);
+        return {
+            session: data.session,
+            color: seriesColor(index),
+            aligned: event !== null,
+            samples,
+            loylyEvents: data.loylyEvents.map(e => ({ ts: e.ts - origin, color: seriesColor(index) })),
+            summary: seriesSummary(samples, threshold, data.session.start - origin)
+        };
+    }), [loaded, alignment, threshold, annotationKind]);
+
+    const chartData = useMemo(
+        () => toDisplayUnits(series.flatMap(s => s.samples), units, heatModel),
+        [series, units.temperature, units.pressure, heatModel]
+    );
+    const seriesColors = Object.fromEntries(series.map(s => [s.session.id, s.color]));
+    const markers = useMemo(() => [{ ts: 0, color: "#fff" }, ...series.flatMap(s => s.loylyEvents)], [series]);
+    const [from, to] = chartData.length ? d3.extent(chartData, d => d.ts) : [0, 60000];
+    const temperature = units.temperature;
+    const heatUnit = heatModelUnit(heatModel, temperature);
+    const formatTemperature = c => `${temperature.convert(c).toFixed(0)} ${temperature.label}`;
+    const formatDelta = (delta, label) => `${delta >= 0 ? "+" : "−"}${Math.abs(delta).toFixed(1)} ${label}`;
+
+    function differences({ summary }, reference) {
+        const diff = summaryDifference(summary, reference.summary);
+        const lines = [];
+        if (summary.reachMs === null) {
+            lines.push(`Didn't reach ${formatTemperature(threshold)}`);
+        } else if (diff.reachMs !== null) {
+            const minutes = Math.round(Math.abs(diff.reachMs) / 60000);
+            lines.push(minutes === 0
+                ? `Reached ${formatTemperature(threshold)} at the same time`
+                : `Reached ${formatTemperature(threshold)} ${minutes} min ${diff.reachMs < 0 ? "faster" : "slower"}`);
+        }
+        if (diff.peakTemperature !== null) {
+            // Units are affine, a difference converts without the offset
+            lines.push(`Peak temperature ${formatDelta(temperature.convert(diff.peakTemperature) - temperature.convert(0), temperature.label)}`);
+        }
+        if (diff.peakApparentTemperature !== null) {
+            lines.push(`Peak löyly ${formatDelta(heatUnit.convert(diff.peakApparentTemperature) - heatUnit.convert(0), heatUnit.label)}`);
+        }
+        return lines.join(", ");
+    }
+
+    const charts = [
+        { label: "Löyly", valueKey: "apparentTemperature", heightRatio: 1.3 },
+        { label: `Temperature (${temperature.label})`, valueKey: "temperature" }
+    ];
+
+    return (
+        <section className="session-view">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            <div className="statistics-filters">
+                <select value={alignment} onChange={e => setAlignment(e.target.value)}>
+                    {Object.entries(ALIGNMENTS).map(([id, { label }]) => <option key={id} value={id}>Align on {label.toLowerCase()}</option>)}
+                </select>
+                {alignment === "annotation" && (
+                    <select value={annotationKind} onChange={e => setAnnotationKind(e.target.value)}>
+                        {Object.entries(ANNOTATION_KINDS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                )}
+                <label>
+                    Target
+                    <input type="number" step="5" value={Math.round(temperature.convert(threshold))}
+                        onChange={e => e.target.value && setThreshold(temperature.invert(Number(e.target.value)))} />
+                    {temperature.label}
+                </label>
+            </div>
+            {loaded === null && <p className="display-block">Loading...</p>}
+            <ul className="comparison-legend">
+                {series.map((s, index) => (
+                    <li key={s.session.id}>
+                        <span className="tag-swatch" style={{ background: s.color }} />
+                        {new Date(s.session.start).toLocaleString()}
+                        {tagNames[s.session.mac] && <> · {tagNames[s.session.mac]}</>}
+                        {!s.aligned && <span className="session-tag"> (no such event, aligned on start)</span>}
+                        <div className="session-tag">
+                            {index === 0 ? "Reference" : differences(s, series[0])}
+                        </div>
+                    </li>
+                ))}
+            </ul>
+            {loaded !== null && charts.map(({ label, ...chart }) => (
+                <div key={chart.valueKey} style={{ width: '100%', marginBottom: '1.5em' }}>
+                    <div className="display-block temp-label">{label}</div>
+                    <TimeSeriesChart
+                        data={chartData}
+                        now={to}
+                        windowMs={Math.max(to - from, 60000)}
+                        timeOrigin={0}
+                        seriesKey="series"
+                        seriesColors={seriesColors}
+                        markers={markers}
+                        {...chart}
+                    />
+                </div>
+            ))}
+            <p className="display-block session-tag">Minutes from the alignment event. Löyly throws are marked in the colour of their session.</p>
+        </section>
+    );
+}
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
+import * as d3 from "d3";
+import { rebuildSessions, sessionSamples } from "./db";
+import { useSessions } from "./useSessions";
+import { useSamplesInRange, useAggregatesInRange } from "./useRecentSamples";
+import { useLoylyEventsInRange } from "./useLoylyEvents";
+import { useAnnotationsInRange, useAnnotationSearch } from "./useAnnotations";
+import { annotationMarkers, annotationLabel, overlaps } from "./annotations";
+import { useLocations } from "./useLocations";
+import { inLocation } from "./locations";
+import { getLoylyColor } from "./ruuvi";
+import { applyHeatModel, heatModelUnit, getHeatModel, DEFAULT_HEAT_MODEL } from "./heatIndex";
+import { useHeatModel } from "./useHeatModel";
+import { useSetting, useUnits } from "./useSetting";
+import { toDisplayUnits } from "./settings";
+import TimeSeriesChart from "./TimeSeriesChart";
+import { REPLAY_SPEEDS } from "./replay";
+import AnnotationPanel from "./AnnotationPanel";
+import { LocationSelect } from "./LocationManager";
+import SessionComparison from "./SessionComparison";
+
+const REPLAY_MS = 15 * 1000;
+
+export function formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+function formatValue(value, unit) {
+    return value == null ? '?' : `${value.toFixed(1)}${unit}`;
+}
+
+// Peak löyly of each session under the heat model. Sessions store the peak
+// of the default model, for the others it comes from the samples.
+function useModelPeaks(sessions, heatModel) {
+    const [peaks, setPeaks] = useState(null); // session id -> peak
+    const storedPeaks = heatModel.compute === getHeatModel(DEFAULT_HEAT_MODEL).compute;
+    // An ongoing session updates with every sample, only recompute when
+    // sessions are added or end
+    const sessionsKey = sessions?.map(s => `${s.id}:${s.end}`).join(",") ?? null;
+
+    useEffect(() => {
+        if (!sessions || storedPeaks) return;
+        let cancelled = false;
+        (async () => {
+            const found = {};
+            for (const session of sessions) {
+                const end = session.end ?? session.lastTs;
+                const values = applyHeatModel(await sessionSamples(session), heatModel)
+                    .filter(sample => sample.ts >= session.start && sample.ts <= end && sample.apparentTemperature != null)
+                    .map(sample => sample.apparentTemperature);
+                if (cancelled) return;
+                found[session.id] = values.length ? d3.max(values) : null;
+            }
+            setPeaks(found);
+        })().catch(err => console.error("Computing session peaks failed:", err));
+        return () => { cancelled = true; };
+    }, [sessionsKey, heatModel, storedPeaks]);
+
+    return session => storedPeaks ? session.peakApparentTemperature : peaks?.[session.id] ?? null;
+}
+
+// Full curve of a single stored session, optionally replayed from the start
+function SessionView({ session, tagName, onBack, onReplay }) {
+    const end = session.end ?? session.lastTs;
+    const [heatModel] = useHeatModel();
+    const rawSamples = useSamplesInRange(session.start, end, session.mac);
+    const aggregates = useAggregatesInRange(session.start, end, session.mac);
+    // Raw samples of old sessions may have been pruned, fall back to the minute aggregates
+    const storedSamples = rawSamples.length ? rawSamples : aggregates;
+    const units = useUnits();
+    const [chartColors] = useSetting("chartColors");
+    const samples = useMemo(
+        () => toDisplayUnits(applyHeatModel(storedSamples, heatModel), units, heatModel),
+        [storedSamples, heatModel, units.temperature, units.pressure]
+    );
+    const heatUnit = useMemo(() => heatModelUnit(heatModel, units.temperature), [heatModel, units.temperature]);
+    // Takes löyly in the display unit, as charted
+    const loylyColorFn = useCallback(val => getLoylyColor(heatUnit.invert(val), heatModel.range), [heatModel, heatUnit]);
+    const loylyEvents = useLoylyEventsInRange(session.start, end, session.mac);
+    const annotations = useAnnotationsInRange(session.start, end, session.mac);
+    const markers = useMemo(
+        () => [...loylyEvents.map(event => ({ ts: event.ts })), ...annotationMarkers(annotations)],
+        [loylyEvents, annotations]
+    );
+    const [replayStart, setReplayStart] = useState(null);
+    const [playhead, setPlayhead] = useState(null);
+    const windowMs = Math.max(end - session.start, 60000);
+
+    useEffect(() => {
+        if (replayStart === null) return;
+        let raf;
+        function update() {
+            const progress = (performance.now() - replayStart) / REPLAY_MS;
+            if (progress >= 1) {
+                setPlayhead(null);
+                setReplayStart(null);
+                return;
+            }
+            setPlayhead(session.start + progress * windowMs);
+            raf = requestAnimationFrame(update);
+        }
+        raf = requestAnimationFrame(update);
+        return () => raf && cancelAnimationFrame(raf);
+    }, [replayStart, session.start, windowMs]);
+
+    const now = playhead ?? session.start + windowMs;
+    const charts = [
+        { label: "Löyly", valueKey: "apparentTemperature", lineColor: chartColors.loyly, fillColorFn: loylyColorFn, heightRatio: 1.3 },
+        { label: `Temperature (${units.temperature.label})`, valueKey: "temperature", lineColor: chartColors.temperature },
+        { label: "Humidity", valueKey: "humidity", lineColor: chartColors.humidity }
+    ];
+
+    return (
+        <section className="session-view">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+                <a href="#" onClick={e => { e.preventDefault(); setReplayStart(performance.now()); }}>Replay</a>
+            </div>
+            {onReplay && (
+                <div className="display-block">
+                    <span>Replay as live sensor</span>
+                    {REPLAY_SPEEDS.map(speed => (
+                        <a key={speed} href="#" onClick={e => { e.preventDefault(); onReplay(session, speed); }}>{speed}×</a>
+                    ))}
+                </div>
+            )}
+            <div className="display-block">
+                <div>
+                    {new Date(session.start).toLocaleString()} · {formatDuration(end - session.start)}
+                    {tagName && <> · {tagName}</>}
+                </div>
+            </div>
+            {charts.map(({ label, ...chart }) => (
+                <div key={chart.valueKey} style={{ width: '100%', marginBottom: '1.5em' }}>
+                    <div className="display-block temp-label">{label}</div>
+                    <TimeSeriesChart data={samples} now={now} windowMs={windowMs} markers={markers} {...chart} />
+                </div>
+            ))}
+            <AnnotationPanel annotations={annotations} mac={session.mac} from={session.start} to={end} />
+        </section>
+    );
+}
+
+// List of detected sauna sessions
+export default function SessionList({ tags = [], onBack, onReplay }) {
+    const sessions = useSessions();
+    const [selected, setSelected] = useState(null);
+    const [checked, setChecked] = useState([]); // ids of sessions to compare
+    const [comparing, setComparing] = useState(false);
+    const [rebuilding, setRebuilding] = useState(false);
+    const units = useUnits();
+    const [heatModel] = useHeatModel();
+    const heatUnit = heatModelUnit(heatModel, units.temperature);
+    const peakOf = useModelPeaks(sessions, heatModel);
+    const autoRebuilt = useRef(false);
+    const [query, setQuery] = useState("");
+    const locations = useLocations();
+    const [activeLocation] = useSetting("activeLocation");
+    const [locationId, setLocationId] = useState(activeLocation);
+    const matches = useAnnotationSearch(query);
+    const tagNames = Object.fromEntries(tags.map(tag => [tag.mac, tag.alias || tag.mac]));
+
+    async function handleRebuild() {
+        setRebuilding(true);
+        try {
+            await rebuildSessions();
+        } finally {
+            setRebuilding(false);
+        }
+    }
+
+    // Detect sessions from samples stored before session tracking existed
+    useEffect(() => {
+        if (!sessions || sessions.length > 0 || autoRebuilt.current) return;
+        autoRebuilt.current = true;
+        handleRebuild();
+    }, [sessions]);
+
+    // While searching, only sessions with matching annotations are listed
+    function sessionMatches(session) {
+        return matches.filter(annotation => overlaps(annotation, session.start, session.end ?? session.lastTs)
+            && (annotation.mac === null || annotation.mac === session.mac));
+    }
+    const listed = (sessions ?? [])
+        .filter(inLocation(tags, locationId))
+        .map(session => ({ session, peak: peakOf(session), matched: matches ? sessionMatches(session) : [] }))
+        .filter(({ matched }) => !matches || matched.length > 0);
+
+    function toggleChecked(id) {
+        setChecked(ids => ids.includes(id) ? ids.filter(i => i !== id) : [...ids, id]);
+    }
+
+    if (comparing) {
+        return (
+            <SessionComparison sessions={(sessions ?? []).filter(s => checked.includes(s.id))} tagNames={tagNames}
+                onBack={() => setComparing(false)} />
+        );
+    }
+    if (selected) {
+        return <SessionView session={selected} tagName={tagNames[selected.mac]} onBack={() => setSelected(null)} onReplay={onReplay} />;
+    }
+
+    return (
+        <section className="session-list">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+                <button className="outline" onClick={handleRebuild} disabled={rebuilding}>
+                    {rebuilding ? "Rebuilding..." : "Rebuild from samples"}
+                </button>
+                <button className="outline" onClick={() => setComparing(true)} disabled={checked.length < 2}>
+                    {checked.length >= 2 ? `Compare ${checked.length} sessions` : "Compare sessions"}
+                </button>
+            </div>
+            <LocationSelect locations={locations} value={locationId} onChange={setLocationId} />
+            <input type="search" value={query} placeholder="Search annotations, e.g. birch or cabin"
+                onChange={e => setQuery(e.target.value)} />
+            {sessions && sessions.length === 0 && !rebuilding && (
+                <p className="display-block">No sessions yet.</p>
+            )}
+            {matches && listed.length === 0 && (
+                <p className="display-block">No sessions with matching annotations.</p>
+            )}
+            <table>
+                <tbody>
+                    {listed.map(({ session, peak, matched }) => (
+                        <tr key={session.id} onClick={() => setSelected(session)} style={{ cursor: 'pointer' }}>
+                            <td onClick={e => e.stopPropagation()}>
+                                <input type="checkbox" aria-label="Compare" checked={checked.includes(session.id)}
+                                    onChange={() => toggleChecked(session.id)} />
+                            </td>
+                            <td>
+                                {new Date(session.start).toLocaleString()}
+                                {session.end === null && " (ongoing)"}
+                                {tagNames[session.mac] && <div className="session-tag">{tagNames[session.mac]}</div>}
+                                {matched.map(annotation => (
+                                    <div key={annotation.id} className="session-tag">{annotationLabel(annotation)}</div>
+                                ))}
+                            </td>
+                            <td>{formatDuration((session.end ?? session.lastTs) - session.start)}</td>
+                            <td style={{ color: peak != null ? getLoylyColor(peak, heatModel.range) : undefined }}>
+                                {formatValue(peak == null ? null : heatUnit.convert(peak), heatUnit.label)}
+                            </td>
+                            <td>{formatValue(session.peakTemperature == null ? null : units.temperature.convert(session.peakTemperature), units.temperature.label)}</td>
+                            <td>{session.loylyCount} löyly</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </section>
+    );
+}
@@ -0,0 +1,246 @@
+import React, { useState } from "react";
+import { setTagAlias, importSettings } from "./db";
+import { useSetting, useStoredSettings } from "./useSetting";
+import { useHeatModel } from "./useHeatModel";
+import { HEAT_MODELS, getHeatModel } from "./heatIndex";
+import { WINDOW_OPTIONS } from "./timeWindow";
+import { TEMPERATURE_UNITS, PRESSURE_UNITS, settingsToJson, parseSettingsFile } from "./settings";
+import { CHART_PANELS, moveItem, togglePanel } from "./chartPanels";
+
+const STALE_TIMEOUT_OPTIONS = [10, 30, 60, 120];
+
+function TagAliasInput({ tag }) {
+    const [alias, setAlias] = useState(tag.alias ?? "");
+    return (
+        <label>
+            {tag.mac}
+            <input type="text" value={alias} placeholder={tag.mac}
+                onChange={e => setAlias(e.target.value)}
+                onBlur={() => alias !== (tag.alias ?? "") && setTagAlias(tag.mac, alias)} />
+        </label>
+    );
+}
+
+// A number input for one field of an object valued setting
+function NumberField({ label, value, onChange, ...props }) {
+    return (
+        <label>
+            {label}
+            <input type="number" step="any" value={value} {...props}
+                onChange={e => e.target.value !== "" && onChange(Number(e.target.value))} />
+        </label>
+    );
+}
+
+// Units, chart, sensor, gateway, sharing and alert settings, tag names and settings backup
+export default function SettingsPanel({ tags = [], onBack }) {
+    const stored = useStoredSettings();
+    const [temperatureUnit, setTemperatureUnit] = useSetting("temperatureUnit");
+    const [pressureUnit, setPressureUnit] = useSetting("pressureUnit");
+    const [chartWindow, setChartWindow] = useSetting("chartWindow");
+    const [heatModel, heatModelId, setHeatModelId] = useHeatModel();
+    const [colorRanges, setColorRanges] = useSetting("colorRanges");
+    const [chartColors, setChartColors] = useSetting("chartColors");
+    const [chartPanels, setChartPanels] = useSetting("chartPanels");
+    const [scanNamePrefix, setScanNamePrefix] = useSetting("scanNamePrefix");
+    const [staleTimeoutMs, setStaleTimeoutMs] = useSetting("staleTimeoutMs");
+    const [alertDefaults, setAlertDefaults] = useSetting("alertDefaults");
+    const [debugBaseline, setDebugBaseline] = useSetting("debugBaseline");
+    const [shareEnabled, setShareEnabled] = useSetting("shareEnabled");
+    const [relayUrl, setRelayUrl] = useSetting("relayUrl");
+    const [relayRoom, setRelayRoom] = useSetting("relayRoom");
+    const [gatewayUrl, setGatewayUrl] = useSetting("gatewayUrl");
+    const [gatewayToken, setGatewayToken] = useSetting("gatewayToken");
+    const [status, setStatus] = useState(null);
+
+    // The active location may override the colour scale, this edits the default
+    const colorRange = colorRanges[heatModelId] ?? getHeatModel(heatModelId).range;
+
+    function handleColorRange(index, value) {
+        const range = [...colorRange];
+        range[index] = value;
+        if (range[0] >= range[1]) return;
+        setColorRanges({ ...colorRanges, [heatModelId]: range });
+    }
+
+    function handleResetColorRange() {
+        const { [heatModelId]: _, ...rest } = colorRanges;
+        setColorRanges(rest);
+    }
+
+    function handleExport() {
+        const url = URL.createObjectURL(new Blob([settingsToJson(stored, tags)], { type: "application/json" }));
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = "loyly-settings.json";
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async function handleImport(e) {
+        const [file] = e.target.files;
+        e.target.value = "";
+        if (!file) return;
+        try {
+            const imported = parseSettingsFile(await file.text());
+            await importSettings(imported);
+            setStatus(`Imported ${Object.keys(imported.settings).length} settings and ${Object.keys(imported.tagAliases).length} tag names.`);
+        } catch (err) {
+            console.error("Settings import failed:", err);
+            setStatus(`Import failed: ${err.message}`);
+        }
+    }
+
+    return (
+        <section className="settings-panel">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            <article>
+                <h3>Units</h3>
+                <label>
+                    Temperature
+                    <select value={temperatureUnit} onChange={e => setTemperatureUnit(e.target.value)}>
+                        {Object.entries(TEMPERATURE_UNITS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Pressure
+                    <select value={pressureUnit} onChange={e => setPressureUnit(e.target.value)}>
+                        {Object.entries(PRESSURE_UNITS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                    </select>
+                </label>
+            </article>
+            <article>
+                <h3>Charts</h3>
+                <label>
+                    Default window
+                    <select value={chartWindow} onChange={e => setChartWindow(e.target.value === "session" ? "session" : Number(e.target.value))}>
+                        {WINDOW_OPTIONS.map(option => <option key={option.label} value={option.value}>{option.label}</option>)}
+                    </select>
+                </label>
+                <label>
+                    Löyly model
+                    <select value={heatModelId} onChange={e => setHeatModelId(e.target.value)}>
+                        {Object.entries(HEAT_MODELS).map(([id, model]) => <option key={id} value={id}>{model.name}</option>)}
+                    </select>
+                </label>
+                <div className="settings-row">
+                    <NumberField label={`Colour scale from (${heatModel.unit})`} value={colorRange[0]} onChange={v => handleColorRange(0, v)} />
+                    <NumberField label="to" value={colorRange[1]} onChange={v => handleColorRange(1, v)} />
+                    {colorRanges[heatModelId] && (
+                        <a href="#" onClick={e => { e.preventDefault(); handleResetColorRange(); }}>
+                            Reset to {getHeatModel(heatModelId).range.join("–")}
+                        </a>
+                    )}
+                </div>
+                {heatModel.range.join() !== colorRange.join() && (
+                    <p>The current location uses its own colour scale, {heatModel.range.join("–")}.</p>
+                )}
+                <h4>Chart panels</h4>
+                <ul className="chart-panel-list">
+                    {chartPanels.concat(Object.keys(CHART_PANELS).filter(id => !chartPanels.includes(id))).map(id => {
+                        const index = chartPanels.indexOf(id);
+                        return (
+                            <li key={id}>
+                                <label>
+                                    <input type="checkbox" checked={index >= 0}
+                                        onChange={() => setChartPanels(togglePanel(chartPanels, id))} />
+                                    {CHART_PANELS[id].label}
+                                </label>
+                                <input type="color" value={chartColors[id]} aria-label={`${CHART_PANELS[id].label} colour`}
+                                    onChange={e => setChartColors({ ...chartColors, [id]: e.target.value })} />
+                                {index >= 0 && (
+                                    <span>
+                                        <button className="outline" disabled={index === 0}
+                                            onClick={() => setChartPanels(moveItem(chartPanels, index, -1))}>↑</button>
+                                        <button className="outline" disabled={index === chartPanels.length - 1}
+                                            onClick={() => setChartPanels(moveItem(chartPanels, index, 1))}>↓</button>
+                                    </span>
+                                )}
+                            </li>
+                        );
+                    })}
+                </ul>
+            </article>
+            <article>
+                <h3>Sensor</h3>
+                <label>
+                    Scan tags named
+                    <input type="text" value={scanNamePrefix} placeholder="Any name"
+                        onChange={e => setScanNamePrefix(e.target.value)} />
+                </label>
+                <label>
+                    No data warning after
+                    <select value={staleTimeoutMs} onChange={e => setStaleTimeoutMs(Number(e.target.value))}>
+                        {STALE_TIMEOUT_OPTIONS.map(seconds => (
+                            <option key={seconds} value={seconds * 1000}>{seconds} s</option>
+                        ))}
+                    </select>
+                </label>
+                <div className="settings-row">
+                    <NumberField label="Fake löyly baseline (°C)" value={debugBaseline.temperature}
+                        onChange={v => setDebugBaseline({ ...debugBaseline, temperature: v })} />
+                    <NumberField label="RH (%)" value={debugBaseline.humidity} min="0" max="100"
+                        onChange={v => setDebugBaseline({ ...debugBaseline, humidity: v })} />
+                </div>
+            </article>
+            <article>
+                <h3>Ruuvi Gateway</h3>
+                <p>
+                    Address of the gateway's history JSON (http://gateway-ip/history), or of the relay
+                    when the gateway posts to it.
+                </p>
+                <label>
+                    Gateway address
+                    <input type="text" value={gatewayUrl} placeholder="http://192.168.1.20/history"
+                        onChange={e => setGatewayUrl(e.target.value.trim())} />
+                </label>
+                <label>
+                    Bearer token
+                    <input type="password" value={gatewayToken} placeholder="Only with authentication enabled"
+                        onChange={e => setGatewayToken(e.target.value.trim())} />
+                </label>
+            </article>
+            <article>
+                <h3>Sharing</h3>
+                <p>Readings go through a relay on the local network (npm run relay) to browsers using the shared view.</p>
+                <label>
+                    <input type="checkbox" checked={shareEnabled} onChange={e => setShareEnabled(e.target.checked)} />
+                    Share live readings
+                </label>
+                <label>
+                    Relay address
+                    <input type="text" value={relayUrl} placeholder="ws://192.168.1.10:8787"
+                        onChange={e => setRelayUrl(e.target.value.trim())} />
+                </label>
+                <label>
+                    Room
+                    <input type="text" value={relayRoom} onChange={e => setRelayRoom(e.target.value)} />
+                </label>
+            </article>
+            {tags.length > 0 && (
+                <article>
+                    <h3>Tag names</h3>
+                    {tags.map(tag => <TagAliasInput key={tag.mac} tag={tag} />)}
+                </article>
+            )}
+            <article>
+                <h3>Alert defaults</h3>
+                <div className="settings-row">
+                    <NumberField label="Hysteresis" value={alertDefaults.hysteresis} min="0"
+                        onChange={v => setAlertDefaults({ ...alertDefaults, hysteresis: v })} />
+                    <NumberField label="No data after (s)" value={alertDefaults.noDataSeconds} min="1"
+                        onChange={v => setAlertDefaults({ ...alertDefaults, noDataSeconds: v })} />
+                </div>
+            </article>
+            <article>
+                <h3>Backup</h3>
+                <p>Settings and tag names as a JSON file.</p>
+                <button className="outline" onClick={handleExport}>Export settings</button>
+                <input type="file" accept=".json,application/json" onChange={handleImport} />
+            </article>
+            {status && <p className="display-block">{status}</p>}
+        </section>
+    );
+}
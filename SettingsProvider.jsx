@@ -0,0 +1,18 @@
+import React, { createContext, useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db } from "./db";
+
+// Stored settings as { key: value }, see useSetting
+export const SettingsContext = createContext({});
+
+// Keeps all stored settings in memory for useSetting
+export default function SettingsProvider({ children }) {
+  const [stored, setStored] = useState({});
+  useEffect(() => {
+    const sub = liveQuery(() => db.settings.toArray()).subscribe({
+      next: rows => setStored(Object.fromEntries(rows.map(row => [row.key, row.value])))
+    });
+    return () => sub.unsubscribe();
+  }, []);
+  return <SettingsContext.Provider value={stored}>{children}</SettingsContext.Provider>;
+}
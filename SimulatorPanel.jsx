@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+
+// Parameters that are useful to tune while the simulator runs
+const TUNABLE = [
+    { key: "speed", label: "Speed (×)", step: 1 },
+    { key: "setpoint", label: "Thermostat (°C)", step: 1 },
+    { key: "heaterPower", label: "Heater (W)", step: 500 },
+    { key: "volume", label: "Volume (m³)", step: 1 },
+    { key: "ventilationRate", label: "Ventilation (1/h)", step: 0.5 },
+    { key: "throwAmount", label: "Löyly (g)", step: 50 },
+    { key: "outsideTemp", label: "Outside (°C)", step: 1 }
+];
+
+// Controls for a running simulator sensor, see simulator.js
+export default function SimulatorPanel({ sensor }) {
+    const model = sensor?.model;
+    const [params, setParams] = useState(() => ({ ...model?.params }));
+    const [heater, setHeater] = useState(true);
+    if (!model) return null;
+
+    function handleChange(key, value) {
+        if (isNaN(value)) return;
+        // The model reads its params on every step, so changes apply immediately
+        model.params[key] = value;
+        setParams({ ...model.params });
+    }
+
+    function handleHeater() {
+        sensor.setHeater(!heater);
+        setHeater(!heater);
+    }
+
+    return (
+        <article className="simulator-panel">
+            <div className="simulator-actions">
+                <button className="outline" onClick={() => sensor.fakeLoyly()}>Throw löyly</button>
+                <button className="outline" onClick={() => sensor.openDoor(10)}>Open door</button>
+                <button className="outline" onClick={handleHeater}>{heater ? "Heater off" : "Heater on"}</button>
+            </div>
+            <div className="simulator-params">
+                {TUNABLE.map(({ key, label, step }) => (
+                    <label key={key}>
+                        {label}
+                        <input type="number" step={step} value={params[key]} onChange={e => handleChange(key, Number(e.target.value))} />
+                    </label>
+                ))}
+            </div>
+        </article>
+    );
+}
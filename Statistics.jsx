@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useMemo } from "react";
+import * as d3 from "d3";
+import { sessionSamples } from "./db";
+import { useSessions } from "./useSessions";
+import { useHeatModel } from "./useHeatModel";
+import { useSetting, useUnits } from "./useSetting";
+import { useLocations } from "./useLocations";
+import { locationMacs } from "./locations";
+import { applyHeatModel } from "./heatIndex";
+import { getLoylyColor } from "./ruuvi";
+import { ANALYTICS_DEFAULTS, PERIODS, sessionStats, periodTrends, timeHistogram, mergeHistograms } from "./analytics";
+import { HEATUP_DEFAULTS } from "./heatup";
+import { tagLabel } from "./TagPicker";
+import { formatDuration } from "./SessionList";
+import BarChart from "./BarChart";
+import { LocationSelect } from "./LocationManager";
+
+const HISTOGRAM_BIN = 10;
+
+function formatValue(value, unit, digits = 1) {
+    return value == null ? '?' : `${value.toFixed(digits)}${unit}`;
+}
+
+function periodLabel(start, period) {
+    return d3.timeFormat(period === "month" ? "%b %Y" : "%d.%m.")(new Date(start));
+}
+
+// Per-session and per-period statistics, see analytics.js
+export default function Statistics({ tags = [], onBack }) {
+    const sessions = useSessions();
+    const [heatModel] = useHeatModel();
+    const units = useUnits();
+    const temperature = value => value == null ? null : units.temperature.convert(value);
+    const [mac, setMac] = useState("");
+    const locations = useLocations();
+    const [activeLocation] = useSetting("activeLocation");
+    const [locationId, setLocationId] = useState(activeLocation);
+    const shownTags = locationId === null ? tags : tags.filter(tag => tag.locationId === locationId);
+    // Tags update with every sample, so the location filter is keyed by its macs
+    const locationKey = locationId === null ? null : locationMacs(tags, locationId).join(",");
+    const [period, setPeriod] = useState("week");
+    const [results, setResults] = useState(null); // { stats, histogram }
+    // An ongoing session updates with every sample, only recompute when
+    // sessions are added or end
+    const sessionsKey = sessions?.map(s => `${s.id}:${s.end}`).join(",") ?? null;
+
+    useEffect(() => {
+        if (!sessions) return;
+        let cancelled = false;
+        setResults(null);
+        (async () => {
+            const stats = [];
+            const histograms = [];
+            const macs = locationKey === null ? null : new Set(locationKey.split(","));
+            const selected = sessions.filter(s => (!mac || s.mac === mac) && (!macs || macs.has(s.mac)));
+            for (const session of selected) {
+                // Include the heat-up before the session for the warm-up time
+                const samples = applyHeatModel(await sessionSamples(session, HEATUP_DEFAULTS.lookbackMs), heatModel);
+                if (cancelled) return;
+                stats.push(sessionStats(session, samples));
+                const end = session.end ?? session.lastTs;
+                histograms.push(timeHistogram(samples.filter(s => s.ts >= session.start && s.ts <= end), HISTOGRAM_BIN));
+            }
+            if (!cancelled) setResults({ stats, histogram: mergeHistograms(histograms) });
+        })().catch(err => console.error("Computing statistics failed:", err));
+        return () => { cancelled = true; };
+    }, [sessionsKey, mac, locationKey, heatModel]);
+
+    const trends = useMemo(() => results ? periodTrends(results.stats, period) : [], [results, period]);
+    const unit = heatModel.unit;
+    const bands = ANALYTICS_DEFAULTS.bands;
+    const tagNames = Object.fromEntries(tags.map(tag => [tag.mac, tagLabel(tag)]));
+    const stats = results?.stats ?? [];
+    const total = key => stats.reduce((sum, s) => sum + (s[key] ?? 0), 0);
+    const average = key => {
+        const values = stats.map(s => s[key]).filter(v => v != null);
+        return values.length ? d3.mean(values) : null;
+    };
+
+    return (
+        <section className="statistics">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            <div className="statistics-filters">
+                <LocationSelect locations={locations} value={locationId} onChange={id => { setLocationId(id); setMac(""); }} />
+                <select value={mac} onChange={e => setMac(e.target.value)}>
+                    <option value="">All tags</option>
+                    {shownTags.map(tag => <option key={tag.mac} value={tag.mac}>{tagLabel(tag)}</option>)}
+                </select>
+                <select value={period} onChange={e => setPeriod(e.target.value)}>
+                    {Object.entries(PERIODS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+                </select>
+            </div>
+            {results === null && <p className="display-block">Computing...</p>}
+            {results && stats.length === 0 && <p className="display-block">No sessions yet.</p>}
+            {stats.length > 0 && (
+                <>
+                    <article>
+                        <h3>Summary</h3>
+                        <table>
+                            <tbody>
+                                <tr><td>Sessions</td><td>{stats.length}</td></tr>
+                                <tr><td>Time in sauna</td><td>{formatDuration(total("duration"))}</td></tr>
+                                <tr><td>Heat dose</td><td>{formatValue(total("heatDose"), ` ${unit}·min`, 0)}</td></tr>
+                                <tr><td>Löyly throws</td><td>{total("throws")}</td></tr>
+                                <tr><td>Average peak löyly</td><td>{formatValue(average("peakApparentTemperature"), unit)}</td></tr>
+                                <tr><td>Average peak temperature</td><td>{formatValue(temperature(average("peakTemperature")), units.temperature.label)}</td></tr>
+                                <tr><td>Average warm-up</td><td>{average("warmUpMs") == null ? '?' : formatDuration(average("warmUpMs"))}</td></tr>
+                            </tbody>
+                        </table>
+                    </article>
+                    <article>
+                        <h3>Heat dose per {PERIODS[period].label.toLowerCase()} ({unit}·min)</h3>
+                        <BarChart data={trends.map(t => ({ key: t.start, label: periodLabel(t.start, period), value: t.heatDose }))}
+                            format={d3.format(".2~s")} />
+                        <h3>Time in sauna per {PERIODS[period].label.toLowerCase()} (min)</h3>
+                        <BarChart data={trends.map(t => ({ key: t.start, label: periodLabel(t.start, period), value: t.totalDuration / 60000 }))}
+                            format={d3.format(".0f")} color="#fff" />
+                    </article>
+                    <article>
+                        <h3>Time at löyly levels (min)</h3>
+                        <BarChart
+                            data={results.histogram.map(bin => ({ key: bin.x0, label: `${bin.x0}`, value: bin.ms / 60000 }))}
+                            color={d => getLoylyColor(d.key + HISTOGRAM_BIN / 2, heatModel.range)}
+                            format={d3.format(".0f")}
+                        />
+                    </article>
+                    <article className="statistics-sessions">
+                        <h3>Sessions</h3>
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Start</th>
+                                    <th>Duration</th>
+                                    <th>Dose</th>
+                                    {bands.map(band => <th key={band}>&gt;{band}{unit}</th>)}
+                                    <th>Temp avg/peak</th>
+                                    <th>RH avg/peak</th>
+                                    <th>Throws</th>
+                                    <th>Warm-up</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {stats.map(s => (
+                                    <tr key={s.sessionId}>
+                                        <td>
+                                            {new Date(s.start).toLocaleString()}
+                                            {!mac && tagNames[s.mac] && <div className="session-tag">{tagNames[s.mac]}</div>}
+                                        </td>
+                                        <td>{formatDuration(s.duration)}</td>
+                                        <td>{s.heatDose.toFixed(0)}</td>
+                                        {bands.map(band => <td key={band}>{formatDuration(s.timeAbove[band])}</td>)}
+                                        <td>{formatValue(temperature(s.averageTemperature), "")} / {formatValue(temperature(s.peakTemperature), units.temperature.label)}</td>
+                                        <td>{formatValue(s.averageHumidity, "")} / {formatValue(s.peakHumidity, "%")}</td>
+                                        <td>{s.throws}</td>
+                                        <td>{s.warmUpMs == null ? '?' : formatDuration(s.warmUpMs)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </article>
+                </>
+            )}
+        </section>
+    );
+}
@@ -0,0 +1,78 @@
+import React, { useState, useMemo } from "react";
+import { useRecentSamples, useAggregatesInRange } from "./useRecentSamples";
+import { packetLossRatio } from "./ingestion";
+import { DAY_MS } from "./compaction";
+import { tagLabel } from "./TagPicker";
+import TimeSeriesChart from "./TimeSeriesChart";
+
+const BATTERY_WINDOW_MS = 7 * DAY_MS;
+const RSSI_WINDOW_MS = 30 * 60 * 1000;
+
+function formatValue(value, unit, digits = 0) {
+    return value == null ? '?' : `${value.toFixed(digits)} ${unit}`;
+}
+
+// Radio and battery health of one tag
+function TagHealth({ tag }) {
+    const [from] = useState(() => Date.now() - BATTERY_WINDOW_MS);
+    const now = Date.now();
+    const aggregates = useAggregatesInRange(from, Infinity, tag.mac);
+    const recent = useRecentSamples(RSSI_WINDOW_MS, tag.mac);
+    const latest = recent.length ? recent[recent.length - 1] : null;
+    // Minute aggregates keep the lowest battery voltage, raw samples fill in the uncompacted end
+    const battery = useMemo(() => {
+        const aggregatedUntil = aggregates.length ? aggregates[aggregates.length - 1].ts : -Infinity;
+        return aggregates.concat(recent.filter(s => s.ts > aggregatedUntil))
+            .filter(s => s.battery != null)
+            .map(s => ({ ts: s.ts, battery: s.battery / 1000 }));
+    }, [aggregates, recent]);
+    const stats = tag.stats;
+
+    return (
+        <article className="tag-health">
+            <h3>{tagLabel(tag)}</h3>
+            <table>
+                <tbody>
+                    <tr><td>Last seen</td><td>{latest ? new Date(latest.ts).toLocaleTimeString() : 'Not in the last 30 min'}</td></tr>
+                    <tr><td>Data format</td><td>{latest?.dataFormat ?? '?'}</td></tr>
+                    <tr><td>Battery</td><td>{formatValue(latest?.battery != null ? latest.battery / 1000 : null, "V", 2)}</td></tr>
+                    <tr><td>RSSI</td><td>{formatValue(latest?.rssi, "dBm")}</td></tr>
+                    <tr><td>TX power</td><td>{formatValue(latest?.txPower, "dBm")}</td></tr>
+                    <tr><td>Movement counter</td><td>{latest?.movement_counter ?? '?'}</td></tr>
+                    {stats && (
+                        <>
+                            <tr><td>Packet loss</td><td>{(packetLossRatio(stats) * 100).toFixed(1)} % ({stats.lost} of {stats.accepted + stats.lost})</td></tr>
+                            <tr><td>Duplicates</td><td>{stats.duplicates}</td></tr>
+                            <tr><td>Tag restarts</td><td>{stats.resets}</td></tr>
+                        </>
+                    )}
+                </tbody>
+            </table>
+            <div className="temp-label">Battery, last 7 days (V)</div>
+            <TimeSeriesChart data={battery} now={now} windowMs={BATTERY_WINDOW_MS} valueKey="battery" lineColor="#ffcc66" absoluteTime heightRatio={0.6} />
+            <div className="temp-label">RSSI, last 30 min (dBm)</div>
+            <TimeSeriesChart data={recent} now={now} windowMs={RSSI_WINDOW_MS} valueKey="rssi" lineColor="#7fd" heightRatio={0.6} />
+        </article>
+    );
+}
+
+// Per-tag diagnostics: battery trend, radio and packet statistics
+export default function TagDiagnostics({ tags = [], onBack }) {
+    const [mac, setMac] = useState(() => tags[0]?.mac ?? "");
+    const tag = tags.find(tag => tag.mac === mac);
+
+    return (
+        <section className="tag-diagnostics">
+            <div className="display-block">
+                <a href="#" onClick={e => { e.preventDefault(); onBack(); }}>Back</a>
+            </div>
+            {tags.length === 0 && <p className="display-block">No tags yet.</p>}
+            {tags.length > 1 && (
+                <select value={mac} onChange={e => setMac(e.target.value)}>
+                    {tags.map(tag => <option key={tag.mac} value={tag.mac}>{tagLabel(tag)}</option>)}
+                </select>
+            )}
+            {tag && <TagHealth key={tag.mac} tag={tag} />}
+        </section>
+    );
+}
@@ -0,0 +1,45 @@
+import React from "react";
+import { setTagAlias } from "./db";
+
+export function tagLabel(tag) {
+    return tag.alias || tag.mac;
+}
+
+// Tag selector that doubles as the legend for the overlaid chart lines
+export default function TagPicker({ tags, colors, latest, unit = "°L", selected, onSelect }) {
+    if (tags.length < 2) return null;
+    const selectedTag = tags.find(tag => tag.mac === selected);
+
+    function handleRename(tag) {
+        const alias = window.prompt(`Name for ${tag.mac}`, tag.alias ?? "");
+        if (alias !== null) setTagAlias(tag.mac, alias);
+    }
+
+    return (
+        <div className="tag-picker">
+            <button
+                className={selected === null ? '' : 'outline'}
+                onClick={() => onSelect(null)}
+            >
+                All
+            </button>
+            {tags.map(tag => {
+                const at = latest[tag.mac]?.apparentTemperature;
+                return (
+                    <button
+                        key={tag.mac}
+                        className={selected === tag.mac ? '' : 'outline'}
+                        onClick={() => onSelect(tag.mac)}
+                    >
+                        <span className="tag-swatch" style={{ background: colors[tag.mac] }} />
+                        {tagLabel(tag)}
+                        {at != null && <span className="tag-reading">{at.toFixed(0)}{unit}</span>}
+                    </button>
+                );
+            })}
+            {selectedTag && (
+                <a href="#" onClick={e => { e.preventDefault(); handleRename(selectedTag); }}>Rename</a>
+            )}
+        </div>
+    );
+}
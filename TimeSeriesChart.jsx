@@ -1,11 +1,39 @@
-import React, { useRef, useState, useEffect } from "react";
+import React, { useRef, useState, useEffect, useId } from "react";
 import * as d3 from "d3";
 import { WINDOW_MS } from "./ruuvi";
+import { lttb } from "./downsample";
 
-// Generic time series chart for any value key
-export default function TimeSeriesChart({ data, windowMs = WINDOW_MS, now, valueKey = "apparentTemperature", lineColor = "#fff", fillColorFn, heightRatio = 1 }) {
+const BASE_ASPECT = 0.35;
+const MARGIN = { top: 10, right: 0, bottom: 24, left: 0 };
+// Fraction of the window now may move before the geometry is rebuilt
+const MAX_DRIFT = 0.1;
+// Fraction of the width reserved for the future when a projection is drawn
+const PROJECTION_FRACTION = 0.25;
+// Shared defaults, so omitted props don't change identity every render and
+// rebuild the geometry
+const NO_ITEMS = Object.freeze([]);
+const NO_COLORS = Object.freeze({});
+
+// Generic time series chart for any value key. If seriesKey is given, the
+// data is split into one line per distinct value of that key (e.g. per tag mac)
+// and colored using seriesColors. Markers ({ ts, color }) are drawn as
+// vertical lines, e.g. for detected löyly throws, or as a band when they
+// have an end (annotated time ranges). A projection (points
+// like data, extending past now) is drawn as a dashed line in a strip on
+// the right that shows the near future.
+//
+// With onZoom(factor, anchor) and onPan(deltaMs) the chart reports wheel and
+// pinch zooms and drag pans, see timeWindow.js. absoluteTime labels the x
+// axis with clock times instead of minutes before now, timeOrigin with
+// minutes since that time (e.g. for sessions aligned on an event).
+export default function TimeSeriesChart({ data, windowMs = WINDOW_MS, now, valueKey = "apparentTemperature", lineColor = "#fff", fillColorFn, heightRatio = 1, seriesKey, seriesColors = NO_COLORS, markers = NO_ITEMS, projection = NO_ITEMS, absoluteTime = false, timeOrigin = null, onZoom, onPan }) {
     const ref = useRef();
+    const layersRef = useRef(null);
+    const id = useId().replace(/:/g, '');
     const [width, setWidth] = useState(0);
+    const gestureRef = useRef();
+    gestureRef.current = { onZoom, onPan, windowMs };
+    const interactive = Boolean(onZoom || onPan);
 
     useEffect(() => {
         if (!ref.current) return;
@@ -23,36 +51,151 @@ export default function TimeSeriesChart({ data, windowMs = WINDOW_MS, now, value
         return () => observer.disconnect();
     }, []);
 
+    // Wheel and pinch zoom, drag pan
+    useEffect(() => {
+        const svg = ref.current;
+        if (!svg || !interactive) return;
+        const pointers = new Map();
+        const anchorAt = (clientX, rect) => (rect.right - clientX) / rect.width;
+
+        function handleWheel(e) {
+            e.preventDefault();
+            const rect = svg.getBoundingClientRect();
+            gestureRef.current.onZoom?.(Math.exp(e.deltaY * 0.002), anchorAt(e.clientX, rect));
+        }
+        function handlePointerDown(e) {
+            svg.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, e.clientX);
+        }
+        function handlePointerMove(e) {
+            if (!pointers.has(e.pointerId)) return;
+            const rect = svg.getBoundingClientRect();
+            const { onZoom, onPan, windowMs } = gestureRef.current;
+            if (pointers.size === 1) {
+                onPan?.((e.clientX - pointers.get(e.pointerId)) / rect.width * windowMs);
+            } else if (pointers.size === 2) {
+                const [a, b] = pointers.values();
+                const before = Math.abs(a - b);
+                pointers.set(e.pointerId, e.clientX);
+                const [c, d] = pointers.values();
+                const after = Math.abs(c - d);
+                if (before > 0 && after > 0) {
+                    onZoom?.(before / after, anchorAt((c + d) / 2, rect));
+                }
+            }
+            pointers.set(e.pointerId, e.clientX);
+        }
+        function handlePointerUp(e) {
+            pointers.delete(e.pointerId);
+        }
+
+        svg.addEventListener('wheel', handleWheel, { passive: false });
+        svg.addEventListener('pointerdown', handlePointerDown);
+        svg.addEventListener('pointermove', handlePointerMove);
+        svg.addEventListener('pointerup', handlePointerUp);
+        svg.addEventListener('pointercancel', handlePointerUp);
+        return () => {
+            svg.removeEventListener('wheel', handleWheel);
+            svg.removeEventListener('pointerdown', handlePointerDown);
+            svg.removeEventListener('pointermove', handlePointerMove);
+            svg.removeEventListener('pointerup', handlePointerUp);
+            svg.removeEventListener('pointercancel', handlePointerUp);
+        };
+    }, [interactive]);
+
+    const height = Math.round(width * BASE_ASPECT * heightRatio);
+    const leadMs = projection.length ? windowMs * PROJECTION_FRACTION : 0;
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+
+    // Path geometry is computed for a reference time and shifted with a
+    // transform as now advances. It is rebuilt when the data changes or
+    // now has drifted too far from the reference.
+    const [geometryTime, setGeometryTime] = useState(now);
+    const driftLimit = windowMs * MAX_DRIFT;
+    if (Math.abs(now - geometryTime) > driftLimit) {
+        setGeometryTime(now);
+    }
+
+    // Create the chart layers once per size
     useEffect(() => {
         if (!ref.current || width === 0) return;
-        let filtered = data.filter(d => now - d.ts <= windowMs);
-        filtered = filtered.filter(d => (
-            d[valueKey] !== null && typeof d[valueKey] === 'number' && !isNaN(d[valueKey])
-        ));
-        if (!filtered.length) return;
-        const baseAspect = 0.35;
-        const height = Math.round(width * baseAspect * heightRatio);
-        const margin = { top: 10, right: 0, bottom: 24, left: 0 };
         const svg = d3.select(ref.current);
         svg.selectAll("*").remove();
         svg.attr("width", width).attr("height", height);
+        const defs = svg.append('defs');
+        defs.append('clipPath')
+            .attr('id', `${id}-clip`)
+            .append('rect')
+            .attr('x', MARGIN.left)
+            .attr('y', 0)
+            .attr('width', plotWidth)
+            .attr('height', height);
+        const grad = defs.append('linearGradient')
+            .attr('id', `${id}-gradient`)
+            .attr('x1', '0%').attr('y1', '100%')
+            .attr('x2', '0%').attr('y2', '0%');
+        grad.append('stop').attr('offset', '0%').attr('stop-opacity', 0.6);
+        grad.append('stop').attr('offset', '100%').attr('stop-opacity', 0.6);
+
+        const plot = svg.append('g').attr('clip-path', `url(#${id}-clip)`);
+        const content = plot.append('g');
+        layersRef.current = {
+            grad,
+            content,
+            bands: content.append('g'),
+            area: content.append('path')
+                .attr('fill', `url(#${id}-gradient)`)
+                .attr('stroke', 'none'),
+            markers: content.append('g'),
+            lines: content.append('g'),
+            projection: content.append('path')
+                .attr('fill', 'none')
+                .attr('stroke-width', 1)
+                .attr('stroke-dasharray', '4,4')
+                .attr('opacity', 0.7),
+            yTicks: svg.append('g'),
+            xAxis: svg.append('g').attr('transform', `translate(0,${height - MARGIN.bottom})`)
+        };
+    }, [id, width, height, plotWidth]);
+
+    // Rebuild path geometry
+    useEffect(() => {
+        const layers = layersRef.current;
+        if (!layers || width === 0) return;
+        // Include what may scroll into view before the next rebuild
+        const from = geometryTime - (windowMs - leadMs) - driftLimit;
+        const to = geometryTime + driftLimit;
+        const filtered = data.filter(d => (
+            d.ts >= from && d.ts <= to
+            && typeof d[valueKey] === 'number' && !isNaN(d[valueKey])
+        ));
+        const series = (seriesKey
+            ? Array.from(d3.group(filtered, d => d[seriesKey]), ([key, values]) => ({ key, values }))
+            : [{ key: null, values: filtered }]
+        ).map(({ key, values }) => ({
+            key,
+            // About one point per pixel is enough for drawing
+            values: lttb(values, Math.round(plotWidth * (to - from) / windowMs), d => d.ts, d => d[valueKey])
+        }));
+
+        const visible = filtered.filter(d => d.ts <= geometryTime && geometryTime - d.ts <= windowMs - leadMs);
+        const projected = projection.filter(d => d.ts <= geometryTime + leadMs + driftLimit);
+        const extent = d3.extent(
+            (visible.length ? visible : filtered).concat(projected),
+            d => d[valueKey]
+        );
         const x = d3.scaleLinear()
-            .domain([0, windowMs])
-            .range([width - margin.right, margin.left]);
+            .domain([-leadMs, windowMs - leadMs])
+            .range([width - MARGIN.right, MARGIN.left]);
         const y = d3.scaleLinear()
-            .domain([
-                d3.min(filtered, d => d[valueKey]) - 2,
-                d3.max(filtered, d => d[valueKey]) + 2
-            ])
-            .range([height - margin.bottom, margin.top]);
+            .domain(extent[0] === undefined ? [0, 1] : [extent[0] - 2, extent[1] + 2])
+            .range([height - MARGIN.bottom, MARGIN.top]);
+        const xOf = d => x(geometryTime - d.ts);
 
         // Y axis: inset numeric ticks only, right-aligned
-        const yTicks = y.ticks(2);
-        svg.selectAll('.y-inset-tick')
-            .data(yTicks)
-            .enter()
-            .append('text')
-            .attr('class', 'y-inset-tick')
+        layers.yTicks.selectAll('text')
+            .data(filtered.length ? y.ticks(2) : [])
+            .join('text')
             .attr('x', width - 5)
             .attr('y', d => y(d) + 5)
             .attr('fill', '#aaa')
@@ -61,65 +204,98 @@ export default function TimeSeriesChart({ data, windowMs = WINDOW_MS, now, value
             .text(d => d.toFixed(0));
 
         // Optional filled polygon with y-gradient fill
-        if (typeof fillColorFn === 'function' && filtered.length > 1) {
-            const gradientId = `gradient-${valueKey}`;
-            const minVal = d3.min(filtered, d => d[valueKey]);
-            const maxVal = d3.max(filtered, d => d[valueKey]);
-            const minColor = fillColorFn(minVal);
-            const maxColor = fillColorFn(maxVal);
-            svg.select(`#${gradientId}`).remove();
-            const defs = svg.append('defs');
-            const grad = defs.append('linearGradient')
-                .attr('id', gradientId)
-                .attr('x1', '0%').attr('y1', '100%')
-                .attr('x2', '0%').attr('y2', '0%');
-            grad.append('stop')
-                .attr('offset', '0%')
-                .attr('stop-color', minColor)
-                .attr('stop-opacity', 0.6);
-            grad.append('stop')
-                .attr('offset', '100%')
-                .attr('stop-color', maxColor)
-                .attr('stop-opacity', 0.6);
-            const area = d3.area()
-                .x(d => x(now - d.ts))
-                .y0(y.range()[0])
-                .y1(d => y(d[valueKey]))
-                .defined(d => d[valueKey] !== null && !isNaN(d[valueKey]));
-            svg.append('path')
-                .datum(filtered)
-                .attr('fill', `url(#${gradientId})`)
-                .attr('stroke', 'none')
-                .attr('d', area);
+        // Overlapping fills are unreadable, so only fill a single series
+        const fill = typeof fillColorFn === 'function' && series.length === 1 && filtered.length > 1;
+        if (fill) {
+            const stops = layers.grad.selectAll('stop');
+            stops.filter((_, i) => i === 0).attr('stop-color', fillColorFn(extent[0]));
+            stops.filter((_, i) => i === 1).attr('stop-color', fillColorFn(extent[1]));
         }
+        layers.area
+            .datum(fill ? series[0].values : [])
+            .attr('d', d3.area()
+                .x(xOf)
+                .y0(y.range()[0])
+                .y1(d => y(d[valueKey])));
 
-        // Continuous line for all valueKeys
-        if (filtered.length > 1) {
-            const line = d3.line()
-                .x(d => x(now - d.ts))
-                .y(d => y(d[valueKey]))
-                .defined(d => d[valueKey] !== null && !isNaN(d[valueKey]));
-            svg.append('path')
-                .datum(filtered)
-                .attr('fill', 'none')
-                .attr('stroke', lineColor)
-                .attr('stroke-width', 1)
-                .attr('opacity', 0.9)
-                .attr('d', line);
-        }
+        // Vertical event markers, and bands for ranges
+        layers.bands.selectAll('rect')
+            .data(markers.filter(m => m.end != null && m.ts <= to && m.end >= from))
+            .join('rect')
+            .attr('x', xOf)
+            .attr('width', m => Math.max(1, xOf({ ts: m.end }) - xOf(m)))
+            .attr('y', MARGIN.top)
+            .attr('height', height - MARGIN.top - MARGIN.bottom)
+            .attr('fill', m => m.color ?? '#7fd')
+            .attr('opacity', 0.12);
+        layers.markers.selectAll('line')
+            .data(markers.filter(m => m.end == null && m.ts >= from && m.ts <= to))
+            .join('line')
+            .attr('x1', xOf)
+            .attr('x2', xOf)
+            .attr('y1', MARGIN.top)
+            .attr('y2', height - MARGIN.bottom)
+            .attr('stroke', m => m.color ?? '#7fd')
+            .attr('stroke-dasharray', '2,3')
+            .attr('opacity', 0.7);
+
+        // Dashed projection
+        layers.projection
+            .datum(projected.length > 1 ? projected : [])
+            .attr('stroke', lineColor)
+            .attr('d', d3.line()
+                .x(xOf)
+                .y(d => y(d[valueKey])));
+
+        // Continuous line for all valueKeys, one per series
+        const line = d3.line()
+            .x(xOf)
+            .y(d => y(d[valueKey]));
+        layers.lines.selectAll('path')
+            .data(series.filter(({ values }) => values.length > 1))
+            .join('path')
+            .attr('fill', 'none')
+            .attr('stroke', ({ key }) => series.length > 1 ? (seriesColors[key] ?? lineColor) : lineColor)
+            .attr('stroke-width', 1)
+            .attr('opacity', 0.9)
+            .attr('d', ({ values }) => line(values));
+    }, [data, width, height, plotWidth, windowMs, leadMs, geometryTime, driftLimit, valueKey, lineColor, fillColorFn, seriesKey, seriesColors, markers, projection]);
 
-        // X axis (remove far end tick labels)
-        const xTicks = Array.from({length: Math.floor(windowMs / 60000) + 1}, (_, i) => i * 60000)
-            .filter(ms => ms !== 0 && ms !== windowMs);
-        svg.append('g')
-            .attr('transform', `translate(0,${height - margin.bottom})`)
+    // Per frame: shift the geometry and update the x axis
+    useEffect(() => {
+        const layers = layersRef.current;
+        if (!layers || width === 0) return;
+        layers.content.attr('transform', `translate(${-(now - geometryTime) * plotWidth / windowMs},0)`);
+
+        const x = d3.scaleLinear()
+            .domain([-leadMs, windowMs - leadMs])
+            .range([width - MARGIN.right, MARGIN.left]);
+        // X axis at most ~10 ticks (remove far end tick labels). Relative
+        // ticks are minutes before now (+minutes ahead in the projection),
+        // absolute ones are aligned to the clock and ones since timeOrigin
+        // to multiples of the step from it.
+        const tickStep = [0.5, 1, 2, 5, 10, 15, 30, 60, 120]
+            .map(min => min * 60000)
+            .find(ms => windowMs / ms <= 10) ?? 240 * 60000;
+        const reference = timeOrigin ?? 0;
+        const offset = absoluteTime || timeOrigin !== null
+            ? (now - reference) - Math.floor((now - reference) / tickStep) * tickStep
+            : 0;
+        const firstTick = offset + Math.ceil((-leadMs - offset) / tickStep) * tickStep;
+        const xTicks = Array.from({length: Math.floor((windowMs - leadMs - firstTick) / tickStep) + 1}, (_, i) => firstTick + i * tickStep)
+            .filter(ms => ms !== -leadMs && ms !== windowMs - leadMs && (leadMs > 0 || ms !== 0));
+        const formatClock = d3.timeFormat(tickStep < 60000 ? "%H:%M:%S" : "%H:%M");
+        const formatMinutes = ms => (ms < 0 ? "+" : "") + d3.format("~g")(Math.abs(ms) / 60000);
+        const formatSince = ms => d3.format("~g")(Math.round((now - ms - reference) / 1000) / 60);
+        layers.xAxis
             .call(d3.axisBottom(x)
                 .tickValues(xTicks)
-                .tickFormat(ms => `${Math.round(ms / 60000)}`)
+                .tickFormat(ms => timeOrigin !== null ? formatSince(ms)
+                    : absoluteTime ? formatClock(new Date(now - ms)) : formatMinutes(ms))
             )
-            .selectAll('text').attr('fill', '#aaa').attr('font-size', '1.1em');
-        svg.selectAll('.domain, .tick line').attr('stroke', '#444');
-    }, [data, width, windowMs, now, valueKey, lineColor, fillColorFn, heightRatio]);
+            .call(axis => axis.selectAll('text').attr('fill', '#aaa').attr('font-size', '1.1em'))
+            .call(axis => axis.selectAll('.domain, .tick line').attr('stroke', '#444'));
+    }, [now, geometryTime, width, height, plotWidth, windowMs, leadMs, absoluteTime, timeOrigin]);
 
-    return <svg ref={ref} style={{ width: "100%", height: "auto", display: "block" }} />;
+    return <svg ref={ref} style={{ width: "100%", height: "auto", display: "block", touchAction: interactive ? "pan-y" : undefined }} />;
 }
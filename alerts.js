@@ -0,0 +1,162 @@
+// alerts.js
+// Threshold alert rule engine fed from the sample stream. A rule is
+//
+//   { id, mac, locationId, metric, op, threshold, hysteresis, enabled }
+//
+// where mac null matches every tag. Rules of a location (see locations.js)
+// are given the macs of its tags as macs. Rules fire once when the value
+// crosses the threshold and re-arm only after it has come back past the
+// threshold by hysteresis, so noisy readings don't flap. The "noData"
+// metric fires when a tag has been silent for threshold seconds.
+//
+// Temperature thresholds are stored in °C and shown in the temperature unit
+// of the settings. Löyly is evaluated with the selected heat model, and is a
+// temperature too under the models that give one (see heatIndex.js).
+import { heatModelUnit } from "./heatIndex";
+
+export const ALERT_METRICS = {
+    temperature: { label: "Temperature", unit: "°C", temperature: true, value: s => s.temperature },
+    apparentTemperature: {
+        label: "Löyly",
+        unit: "°L",
+        value: (s, heatModel) => !heatModel ? s.apparentTemperature
+            : s.temperature == null || s.humidity == null ? null : heatModel.compute(s.temperature, s.humidity)
+    },
+    humidity: { label: "Humidity", unit: "%", value: s => s.humidity },
+    battery: { label: "Battery", unit: "V", value: s => s.battery == null ? null : s.battery / 1000 },
+    noData: { label: "No data for", unit: "s", value: null }
+};
+
+export const ALERT_OPS = {
+    above: { label: "above", crossed: (v, t) => v > t, cleared: (v, t, h) => v < t - h },
+    below: { label: "below", crossed: (v, t) => v < t, cleared: (v, t, h) => v > t + h }
+};
+
+// Display unit { label, convert, invert } of a metric given { heatModel,
+// temperatureUnit } (see settings.js), null when shown as stored
+function displayUnit(id, { heatModel, temperatureUnit } = {}) {
+    if (ALERT_METRICS[id]?.temperature && temperatureUnit) return temperatureUnit;
+    if (id === "apparentTemperature" && heatModel) return heatModelUnit(heatModel, temperatureUnit);
+    return null;
+}
+
+// Unit label of a metric given { heatModel, temperatureUnit }
+export function metricUnit(id, display = {}) {
+    return displayUnit(id, display)?.label ?? ALERT_METRICS[id]?.unit ?? "";
+}
+
+// Metric value or threshold in °C to the display units and back.
+// Hysteresis is a difference, it is only scaled.
+export function toDisplayValue(id, value, display = {}, difference = false) {
+    const unit = displayUnit(id, display);
+    if (!unit) return value;
+    return unit.convert(value) - (difference ? unit.convert(0) : 0);
+}
+
+export function fromDisplayValue(id, value, display = {}, difference = false) {
+    const unit = displayUnit(id, display);
+    if (!unit) return value;
+    return unit.invert(value) - (difference ? unit.invert(0) : 0);
+}
+
+export function describeRule(rule, display = {}) {
+    const metric = ALERT_METRICS[rule.metric];
+    if (!metric) return "Unknown rule";
+    const unit = metricUnit(rule.metric, display);
+    const threshold = +toDisplayValue(rule.metric, rule.threshold, display).toFixed(1);
+    if (rule.metric === "noData") return `${metric.label} ${threshold} ${unit}`;
+    return `${metric.label} ${ALERT_OPS[rule.op]?.label ?? rule.op} ${threshold} ${unit}`.trim();
+}
+
+export function createAlertEngine(initialRules = []) {
+    let rules = initialRules;
+    // { heatModel, temperatureUnit } for evaluating löyly and the messages
+    let display = {};
+    // Rule id -> mac -> active
+    const active = new Map();
+    // Mac -> last sample time, for noData rules
+    const lastSeen = new Map();
+
+    function isActive(rule, mac) {
+        return active.get(rule.id)?.get(mac) ?? false;
+    }
+
+    function setActive(rule, mac, value) {
+        if (!active.has(rule.id)) active.set(rule.id, new Map());
+        active.get(rule.id).set(mac, value);
+    }
+
+    function matches(rule, mac) {
+        return rule.enabled !== false
+            && (rule.mac == null || rule.mac === mac)
+            && (rule.macs == null || rule.macs.includes(mac));
+    }
+
+    function fire(rule, mac, value, ts) {
+        setActive(rule, mac, true);
+        return { ruleId: rule.id, mac, metric: rule.metric, value, ts, message: describeRule(rule, display) };
+    }
+
+    // Returns the alerts fired by this sample
+    function evaluate(sample) {
+        const fired = [];
+        const mac = sample.mac ?? null;
+        const ts = sample.ts ?? Date.now();
+        lastSeen.set(mac, ts);
+        for (const rule of rules) {
+            if (!matches(rule, mac)) continue;
+            if (rule.metric === "noData") {
+                setActive(rule, mac, false);
+                continue;
+            }
+            const metric = ALERT_METRICS[rule.metric];
+            const op = ALERT_OPS[rule.op];
+            const value = metric?.value(sample, display.heatModel);
+            if (!op || value == null || isNaN(value)) continue;
+            const hysteresis = rule.hysteresis ?? 0;
+            if (!isActive(rule, mac) && op.crossed(value, rule.threshold)) {
+                fired.push(fire(rule, mac, value, ts));
+            } else if (isActive(rule, mac) && op.cleared(value, rule.threshold, hysteresis)) {
+                setActive(rule, mac, false);
+            }
+        }
+        return fired;
+    }
+
+    // Returns noData alerts for tags silent at time now
+    function check(now = Date.now()) {
+        const fired = [];
+        for (const rule of rules) {
+            if (rule.metric !== "noData" || rule.enabled === false) continue;
+            for (const [mac, ts] of lastSeen) {
+                if (!matches(rule, mac) || isActive(rule, mac)) continue;
+                const silentFor = (now - ts) / 1000;
+                if (silentFor > rule.threshold) {
+                    fired.push(fire(rule, mac, silentFor, now));
+                }
+            }
+        }
+        return fired;
+    }
+
+    return {
+        evaluate,
+        check,
+        // Replace the rules, keeping the state of rules that still exist
+        setRules(newRules) {
+            rules = newRules;
+            const ids = new Set(newRules.map(rule => rule.id));
+            for (const id of active.keys()) {
+                if (!ids.has(id)) active.delete(id);
+            }
+        },
+        // Set the heat model and temperature unit, see describeRule
+        setDisplay(newDisplay) {
+            display = newDisplay;
+        },
+        // Forget the tags seen so far, e.g. when the sensor is stopped on purpose
+        clearSeen() {
+            lastSeen.clear();
+        }
+    };
+}
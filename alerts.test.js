@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { createAlertEngine, describeRule } from "./alerts";
+import { getHeatModel } from "./heatIndex";
+import { TEMPERATURE_UNITS } from "./settings";
+
+const MAC = "cb:b8:33:4c:88:4f";
+const RULE = { id: 1, mac: null, metric: "temperature", op: "above", threshold: 90, hysteresis: 5 };
+
+function sample(temperature, extra = {}) {
+    return { mac: MAC, ts: 0, temperature, humidity: 10, ...extra };
+}
+
+describe("createAlertEngine", () => {
+    it("fires once when the threshold is crossed", () => {
+        const engine = createAlertEngine([RULE]);
+        expect(engine.evaluate(sample(85))).toHaveLength(0);
+        expect(engine.evaluate(sample(91))).toHaveLength(1);
+        expect(engine.evaluate(sample(95))).toHaveLength(0);
+    });
+
+    it("re-arms only past the hysteresis", () => {
+        const engine = createAlertEngine([RULE]);
+        engine.evaluate(sample(91));
+        engine.evaluate(sample(87));
+        expect(engine.evaluate(sample(91))).toHaveLength(0);
+        engine.evaluate(sample(84));
+        expect(engine.evaluate(sample(91))).toHaveLength(1);
+    });
+
+    it("keeps the state of each tag apart", () => {
+        const engine = createAlertEngine([RULE]);
+        engine.evaluate(sample(91));
+        expect(engine.evaluate(sample(91, { mac: "other" }))).toHaveLength(1);
+    });
+
+    it("keeps the state of rules that are still there", () => {
+        const engine = createAlertEngine([RULE]);
+        engine.evaluate(sample(91));
+        engine.setRules([{ ...RULE }]);
+        expect(engine.evaluate(sample(92))).toHaveLength(0);
+        engine.setRules([]);
+        engine.setRules([RULE]);
+        expect(engine.evaluate(sample(92))).toHaveLength(1);
+    });
+
+    it("fires for silent tags", () => {
+        const engine = createAlertEngine([{ id: 2, mac: null, metric: "noData", threshold: 60 }]);
+        engine.evaluate(sample(80, { ts: 0 }));
+        expect(engine.check(30 * 1000)).toHaveLength(0);
+        expect(engine.check(61 * 1000)).toHaveLength(1);
+        expect(engine.check(120 * 1000)).toHaveLength(0);
+    });
+
+    it("evaluates löyly with the selected heat model", () => {
+        const engine = createAlertEngine([{ id: 3, mac: null, metric: "apparentTemperature", op: "above", threshold: 100, hysteresis: 0 }]);
+        engine.setDisplay({ heatModel: getHeatModel("loylyindeksi") });
+        expect(engine.evaluate(sample(80, { humidity: 20, apparentTemperature: 50 }))).toHaveLength(1);
+    });
+});
+
+describe("describeRule", () => {
+    it("shows temperature thresholds in the temperature unit", () => {
+        expect(describeRule({ ...RULE, threshold: 75 }, { temperatureUnit: TEMPERATURE_UNITS.F })).toBe("Temperature above 167 °F");
+    });
+
+    it("shows löyly in the temperature unit under a temperature model", () => {
+        const rule = { ...RULE, metric: "apparentTemperature", threshold: 50 };
+        expect(describeRule(rule, { heatModel: getHeatModel("dewpoint"), temperatureUnit: TEMPERATURE_UNITS.F })).toBe("Löyly above 122 °F");
+        expect(describeRule(rule, { heatModel: getHeatModel("steadman"), temperatureUnit: TEMPERATURE_UNITS.F })).toBe("Löyly above 50 °L");
+    });
+});
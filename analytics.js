@@ -0,0 +1,157 @@
+// analytics.js
+// Session and long term statistics. Samples are weighted by the time until
+// the next sample, so raw samples and per-minute aggregates give the same
+// results. "Löyly" values are the apparentTemperature of the samples, under
+// whichever heat model was applied to them (see heatIndex.js).
+
+import { heatUpSegment, minuteTemperatures } from "./heatup";
+
+export const ANALYTICS_DEFAULTS = {
+    // Löyly band lower limits for time spent above
+    bands: [40, 60, 80, 100],
+    // Heat dose counts löyly above this
+    doseBase: 0,
+    // A sample stands for at most this long, longer gaps are missing data
+    maxSampleMs: 2 * 60 * 1000,
+    // Temperature at which the sauna counts as warm
+    warmTemp: 60
+};
+
+export const PERIODS = {
+    week: { label: "Week" },
+    month: { label: "Month" }
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// [sample, durationMs] pairs of samples sorted by ts within [from, to]
+function weighted(samples, from, to, maxSampleMs) {
+    const inRange = samples.filter(s => s.ts >= from && s.ts <= to);
+    return inRange.map((sample, i) => {
+        const next = i + 1 < inRange.length ? inRange[i + 1].ts : Math.min(sample.ts + maxSampleMs, to);
+        return [sample, Math.min(next - sample.ts, maxSampleMs)];
+    });
+}
+
+function summarize(pairs, key) {
+    let sum = 0, time = 0, peak = null;
+    for (const [sample, ms] of pairs) {
+        const value = sample[key];
+        if (typeof value !== "number" || isNaN(value)) continue;
+        sum += value * ms;
+        time += ms;
+        if (peak === null || value > peak) peak = value;
+    }
+    return { average: time ? sum / time : null, peak };
+}
+
+// Time from the start of the heat-up until the temperature first reached
+// warmTemp, or null if the heat-up isn't in the samples
+export function warmUpTime(samples, warmTemp = ANALYTICS_DEFAULTS.warmTemp) {
+    const points = minuteTemperatures(samples);
+    const reached = points.findIndex(p => p.temperature >= warmTemp);
+    if (reached <= 0) return null;
+    const segment = heatUpSegment(points.slice(0, reached + 1));
+    return segment ? segment[segment.length - 1].ts - segment[0].ts : null;
+}
+
+// Statistics of one session (see sessions.js) from samples of its tag
+// sorted by ts. Samples from before the session start are only used for
+// the warm-up time.
+export function sessionStats(session, samples, options = {}) {
+    const { bands, doseBase, maxSampleMs, warmTemp } = { ...ANALYTICS_DEFAULTS, ...options };
+    const end = session.end ?? session.lastTs;
+    const pairs = weighted(samples, session.start, end, maxSampleMs);
+    const timeAbove = Object.fromEntries(bands.map(band => [band, 0]));
+    let heatDose = 0;
+    for (const [sample, ms] of pairs) {
+        const value = sample.apparentTemperature;
+        if (typeof value !== "number" || isNaN(value)) continue;
+        for (const band of bands) {
+            if (value >= band) timeAbove[band] += ms;
+        }
+        heatDose += Math.max(0, value - doseBase) * ms / MINUTE_MS;
+    }
+    const temperature = summarize(pairs, "temperature");
+    const humidity = summarize(pairs, "humidity");
+    const apparentTemperature = summarize(pairs, "apparentTemperature");
+    return {
+        sessionId: session.id,
+        mac: session.mac,
+        start: session.start,
+        end,
+        duration: end - session.start,
+        throws: session.loylyCount ?? 0,
+        timeAbove,
+        heatDose,
+        averageTemperature: temperature.average,
+        peakTemperature: temperature.peak,
+        averageHumidity: humidity.average,
+        peakHumidity: humidity.peak,
+        averageApparentTemperature: apparentTemperature.average,
+        peakApparentTemperature: apparentTemperature.peak,
+        warmUpMs: warmUpTime(samples.filter(s => s.ts <= end), warmTemp)
+    };
+}
+
+// Start of the local calendar week (from Monday) or month of ts
+export function periodStart(ts, period) {
+    const date = new Date(ts);
+    date.setHours(0, 0, 0, 0);
+    if (period === "month") {
+        date.setDate(1);
+    } else {
+        date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    }
+    return date.getTime();
+}
+
+function mean(values) {
+    const valid = values.filter(v => v !== null);
+    return valid.length ? valid.reduce((a, b) => a + b, 0) / valid.length : null;
+}
+
+// Session statistics summed per week or month, oldest first
+export function periodTrends(stats, period = "week") {
+    const groups = new Map();
+    for (const s of stats) {
+        const start = periodStart(s.start, period);
+        if (!groups.has(start)) groups.set(start, []);
+        groups.get(start).push(s);
+    }
+    return Array.from(groups, ([start, group]) => ({
+        start,
+        sessions: group.length,
+        totalDuration: group.reduce((sum, s) => sum + s.duration, 0),
+        heatDose: group.reduce((sum, s) => sum + s.heatDose, 0),
+        throws: group.reduce((sum, s) => sum + s.throws, 0),
+        averagePeakApparentTemperature: mean(group.map(s => s.peakApparentTemperature)),
+        averageWarmUpMs: mean(group.map(s => s.warmUpMs))
+    })).sort((a, b) => a.start - b.start);
+}
+
+// Time spent in löyly bins of binWidth as [{ x0, x1, ms }], for histograms
+export function timeHistogram(samples, binWidth = 10, key = "apparentTemperature", maxSampleMs = ANALYTICS_DEFAULTS.maxSampleMs) {
+    const bins = new Map();
+    const pairs = weighted(samples, -Infinity, Infinity, maxSampleMs);
+    for (const [sample, ms] of pairs) {
+        const value = sample[key];
+        if (typeof value !== "number" || isNaN(value)) continue;
+        const x0 = Math.floor(value / binWidth) * binWidth;
+        bins.set(x0, (bins.get(x0) ?? 0) + ms);
+    }
+    return Array.from(bins, ([x0, ms]) => ({ x0, x1: x0 + binWidth, ms })).sort((a, b) => a.x0 - b.x0);
+}
+
+// Sum histograms from timeHistogram with the same bin width
+export function mergeHistograms(histograms) {
+    const bins = new Map();
+    for (const histogram of histograms) {
+        for (const { x0, x1, ms } of histogram) {
+            const bin = bins.get(x0) ?? { x0, x1, ms: 0 };
+            bin.ms += ms;
+            bins.set(x0, bin);
+        }
+    }
+    return Array.from(bins.values()).sort((a, b) => a.x0 - b.x0);
+}
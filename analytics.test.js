@@ -0,0 +1,153 @@
+import { describe, it, expect } from "vitest";
+import { sessionStats, periodStart, periodTrends, timeHistogram, mergeHistograms, warmUpTime } from "./analytics";
+
+const MINUTE = 60 * 1000;
+const START = new Date(2024, 0, 3, 18, 0).getTime(); // a Wednesday
+
+// A sample per minute of the given löyly values from start
+function minutes(values, start = START, extra = {}) {
+    return values.map((apparentTemperature, i) => ({
+        mac: "a",
+        ts: start + i * MINUTE,
+        temperature: apparentTemperature - 10,
+        humidity: 10,
+        apparentTemperature,
+        ...extra
+    }));
+}
+
+function session(samples, extra = {}) {
+    return { id: 1, mac: "a", start: samples[0].ts, end: samples[samples.length - 1].ts, loylyCount: 2, ...extra };
+}
+
+// Heating from 20 °C towards 90 °C in a sample per minute
+function heatUp(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const temperature = 90 - 70 * Math.exp(-i / 15);
+        return { mac: "a", ts: START + i * MINUTE, temperature, humidity: 10, apparentTemperature: temperature };
+    });
+}
+
+describe("sessionStats", () => {
+    it("weights the samples by the time they stand for", () => {
+        const samples = minutes([70, 90, 90, 90, 110, 90]);
+        const stats = sessionStats(session(samples), samples);
+        expect(stats.duration).toBe(5 * MINUTE);
+        expect(stats.throws).toBe(2);
+        // The last sample ends the session and stands for no time
+        expect(stats.timeAbove).toEqual({ 40: 5 * MINUTE, 60: 5 * MINUTE, 80: 4 * MINUTE, 100: MINUTE });
+        expect(stats.averageApparentTemperature).toBeCloseTo((70 + 90 * 3 + 110) / 5);
+        expect(stats.peakApparentTemperature).toBe(110);
+        expect(stats.peakTemperature).toBe(100);
+        expect(stats.averageHumidity).toBe(10);
+        expect(stats.heatDose).toBeCloseTo(70 + 90 * 3 + 110);
+    });
+
+    it("doesn't count gaps longer than maxSampleMs", () => {
+        const samples = [...minutes([80]), ...minutes([80, 80], START + 30 * MINUTE)];
+        const stats = sessionStats(session(samples), samples, { maxSampleMs: 2 * MINUTE });
+        expect(stats.timeAbove[80]).toBe(3 * MINUTE);
+    });
+
+    it("only counts samples within the session", () => {
+        const samples = minutes([100, 100, 50, 50, 50]);
+        const stats = sessionStats(session(samples, { start: START + 2 * MINUTE }), samples);
+        expect(stats.peakApparentTemperature).toBe(50);
+        expect(stats.timeAbove[100]).toBe(0);
+    });
+
+    it("uses lastTs for an ongoing session", () => {
+        const samples = minutes([80, 80, 80]);
+        const stats = sessionStats(session(samples, { end: null, lastTs: START + MINUTE }), samples);
+        expect(stats.end).toBe(START + MINUTE);
+        expect(stats.duration).toBe(MINUTE);
+    });
+
+    it("gives empty statistics without samples", () => {
+        const stats = sessionStats({ id: 1, mac: "a", start: START, end: START + MINUTE }, []);
+        expect(stats).toMatchObject({
+            timeAbove: { 40: 0, 60: 0, 80: 0, 100: 0 },
+            heatDose: 0,
+            throws: 0,
+            averageTemperature: null,
+            peakTemperature: null,
+            averageApparentTemperature: null,
+            peakApparentTemperature: null,
+            warmUpMs: null
+        });
+    });
+});
+
+describe("warmUpTime", () => {
+    it("measures the heat-up until the warm temperature", () => {
+        const warmUpMs = warmUpTime(heatUp(60), 60);
+        expect(warmUpMs).toBeGreaterThan(0);
+        expect(warmUpMs).toBeLessThanOrEqual(20 * MINUTE);
+    });
+
+    it("is null when the samples start warm or never get there", () => {
+        expect(warmUpTime(minutes([80, 80, 80]), 60)).toBeNull();
+        expect(warmUpTime(heatUp(10), 85)).toBeNull();
+        expect(warmUpTime([], 60)).toBeNull();
+    });
+});
+
+describe("periodTrends", () => {
+    const stats = [
+        { start: START, duration: 30 * MINUTE, heatDose: 100, throws: 3, peakApparentTemperature: 100, warmUpMs: 20 * MINUTE },
+        // Sunday of the same week
+        { start: START + 4 * 24 * 60 * MINUTE, duration: 60 * MINUTE, heatDose: 200, throws: 5, peakApparentTemperature: 120, warmUpMs: null },
+        // Monday of the next week
+        { start: START + 5 * 24 * 60 * MINUTE, duration: 10 * MINUTE, heatDose: 50, throws: 0, peakApparentTemperature: null, warmUpMs: null }
+    ];
+
+    it("sums the sessions of each week", () => {
+        const [first, second] = periodTrends(stats, "week");
+        expect(first).toEqual({
+            start: periodStart(START, "week"),
+            sessions: 2,
+            totalDuration: 90 * MINUTE,
+            heatDose: 300,
+            throws: 8,
+            averagePeakApparentTemperature: 110,
+            averageWarmUpMs: 20 * MINUTE
+        });
+        expect(second).toMatchObject({ sessions: 1, averagePeakApparentTemperature: null, averageWarmUpMs: null });
+    });
+
+    it("groups by calendar month", () => {
+        expect(periodTrends(stats, "month")).toHaveLength(1);
+    });
+
+    it("starts weeks on Monday", () => {
+        expect(new Date(periodStart(START, "week")).getDay()).toBe(1);
+        expect(new Date(periodStart(START, "month")).getDate()).toBe(1);
+    });
+
+    it("handles a single session and none", () => {
+        expect(periodTrends([stats[0]])).toEqual([expect.objectContaining({ sessions: 1, throws: 3 })]);
+        expect(periodTrends([])).toEqual([]);
+    });
+});
+
+describe("timeHistogram", () => {
+    it("bins the time spent at each löyly", () => {
+        const histogram = timeHistogram(minutes([85, 95, 91, 40]), 10);
+        expect(histogram).toEqual([
+            // The last sample stands for maxSampleMs
+            { x0: 40, x1: 50, ms: 2 * MINUTE },
+            { x0: 80, x1: 90, ms: MINUTE },
+            { x0: 90, x1: 100, ms: 2 * MINUTE }
+        ]);
+    });
+
+    it("merges histograms of several sessions", () => {
+        const merged = mergeHistograms([
+            timeHistogram(minutes([85, 85])),
+            timeHistogram(minutes([85, 95], START + 60 * MINUTE))
+        ]);
+        expect(merged.find(bin => bin.x0 === 80).ms).toBe(MINUTE + 2 * MINUTE + MINUTE);
+        expect(mergeHistograms([])).toEqual([]);
+        expect(timeHistogram([])).toEqual([]);
+    });
+});
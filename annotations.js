@@ -0,0 +1,66 @@
+// annotations.js
+// User annotations of an instant or a time range: notes, where and with
+// whom the session was, and events the sensor can't see. An annotation is
+//
+//   { id, ts, end, mac, kind, text }
+//
+// where end is null for an instant and mac null for all tags. What text
+// holds depends on the kind, e.g. the location name or the participants.
+
+export const ANNOTATION_KINDS = {
+    note: { label: "Note", color: "#ddd" },
+    location: { label: "Sauna", color: "#9cf", placeholder: "e.g. Wood-burning cabin" },
+    participants: { label: "Participants", color: "#c9f", placeholder: "Names" },
+    door: { label: "Door opened", color: "#fc6" },
+    wood: { label: "Added wood", color: "#f96" },
+    water: { label: "Löyly water", color: "#6df", placeholder: "e.g. Birch essence" }
+};
+
+export function annotationKind(kind) {
+    return ANNOTATION_KINDS[kind] ?? ANNOTATION_KINDS.note;
+}
+
+// Validated copy of an annotation to store
+export function normalizeAnnotation({ id, ts, end = null, mac = null, kind = "note", text = "" }) {
+    if (!Number.isFinite(ts)) throw new Error("Annotation needs a time");
+    if (end !== null && !(Number.isFinite(end) && end >= ts)) throw new Error("Annotation ends before it starts");
+    const annotation = {
+        ts,
+        end: end === ts ? null : end,
+        mac,
+        kind: kind in ANNOTATION_KINDS ? kind : "note",
+        text: text.trim()
+    };
+    if (!annotation.text && annotation.kind === "note") throw new Error("Write a note first");
+    return id == null ? annotation : { id, ...annotation };
+}
+
+export function annotationLabel(annotation) {
+    const { label } = annotationKind(annotation.kind);
+    return annotation.text ? `${label}: ${annotation.text}` : label;
+}
+
+// Whether the annotation touches [from, to]
+export function overlaps(annotation, from, to) {
+    return annotation.ts <= to && (annotation.end ?? annotation.ts) >= from;
+}
+
+// Case-insensitive match of every word of query in the label
+export function matchesQuery(annotation, query) {
+    const label = annotationLabel(annotation).toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => label.includes(word));
+}
+
+// Chart markers, ranges are drawn as a band from ts to end
+export function annotationMarkers(annotations) {
+    return annotations.map(annotation => ({
+        ts: annotation.ts,
+        end: annotation.end,
+        color: annotationKind(annotation.kind).color
+    }));
+}
+
+// Identity used to skip annotations already stored when importing
+export function annotationKey(annotation) {
+    return `${annotation.mac ?? ""}|${annotation.ts}|${annotation.end ?? ""}|${annotation.kind}|${annotation.text}`;
+}
@@ -0,0 +1,110 @@
+// calibration.js
+// Per-tag sensor calibration. A calibration is
+//
+//   { version, temperature: correction, humidity: correction, clampHumidity }
+//
+// where a correction is { offset } or { points: [[raw, reference], [raw, reference]] }
+// for a two-point linear correction. Calibrated samples keep the sensor
+// readings in rawTemperature and rawHumidity plus the calibrationVersion,
+// so history can be recalibrated when the calibration changes.
+
+import { apparentTemperature } from "./ruuvi";
+
+export const NO_CALIBRATION = {
+    version: 0,
+    temperature: { offset: 0 },
+    humidity: { offset: 0 },
+    clampHumidity: true
+};
+
+// Corrected value of a raw reading
+export function correct(raw, correction) {
+    if (raw == null || !correction) return raw;
+    const points = correction.points;
+    if (points?.length === 2 && points[0][0] !== points[1][0]) {
+        const [[x1, y1], [x2, y2]] = points;
+        return y1 + (raw - x1) * (y2 - y1) / (x2 - x1);
+    }
+    return raw + (correction.offset ?? 0);
+}
+
+// Apply a calibration to a sample, starting from its raw readings if it
+// has been calibrated before. The heat index is recomputed.
+export function calibrateSample(sample, calibration = NO_CALIBRATION) {
+    const rawTemperature = sample.rawTemperature ?? sample.temperature ?? null;
+    const rawHumidity = sample.rawHumidity ?? sample.humidity ?? null;
+    const temperature = correct(rawTemperature, calibration.temperature);
+    let humidity = correct(rawHumidity, calibration.humidity);
+    if (humidity != null && calibration.clampHumidity !== false) {
+        humidity = Math.min(100, Math.max(0, humidity));
+    }
+    const calibrated = {
+        ...sample,
+        rawTemperature,
+        rawHumidity,
+        temperature,
+        humidity,
+        calibrationVersion: calibration.version ?? 0
+    };
+    if (temperature != null && humidity != null) {
+        calibrated.apparentTemperature = apparentTemperature(temperature, humidity);
+    }
+    return calibrated;
+}
+
+// Pair each sample of a tag with the nearest reference sample within
+// toleranceMs. Both lists sorted by ts.
+export function pairSamples(samples, reference, toleranceMs = 30 * 1000) {
+    const pairs = [];
+    let j = 0;
+    for (const sample of samples) {
+        while (j + 1 < reference.length && Math.abs(reference[j + 1].ts - sample.ts) <= Math.abs(reference[j].ts - sample.ts)) {
+            j++;
+        }
+        const match = reference[j];
+        if (match && Math.abs(match.ts - sample.ts) <= toleranceMs) pairs.push([sample, match]);
+    }
+    return pairs;
+}
+
+// Raw readings of key ("temperature" or "humidity") against the reference
+// values as [[raw, reference]]
+export function pairValues(pairs, key) {
+    const rawKey = key === "temperature" ? "rawTemperature" : "rawHumidity";
+    return pairs
+        .map(([sample, ref]) => [sample[rawKey] ?? sample[key], ref[key]])
+        .filter(([raw, ref]) => typeof raw === "number" && typeof ref === "number");
+}
+
+// Offset correction making the mean of the raw values match the reference
+export function fitOffset(values) {
+    if (!values.length) return null;
+    const diff = values.reduce((sum, [raw, ref]) => sum + ref - raw, 0) / values.length;
+    return { offset: diff };
+}
+
+// Least squares linear correction, expressed as two points at the ends of
+// the raw range. Null when the range is too narrow to tell a slope.
+export function fitLinear(values, minSpan = 10) {
+    if (values.length < 2) return null;
+    const raws = values.map(([raw]) => raw);
+    const min = Math.min(...raws), max = Math.max(...raws);
+    if (max - min < minSpan) return null;
+    const n = values.length;
+    const mx = values.reduce((sum, [raw]) => sum + raw, 0) / n;
+    const my = values.reduce((sum, [, ref]) => sum + ref, 0) / n;
+    let sxy = 0, sxx = 0;
+    for (const [raw, ref] of values) {
+        sxy += (raw - mx) * (ref - my);
+        sxx += (raw - mx) ** 2;
+    }
+    const slope = sxy / sxx;
+    const at = x => my + slope * (x - mx);
+    return { points: [[min, at(min)], [max, at(max)]] };
+}
+
+// Mean absolute error of a correction over the paired values
+export function correctionError(values, correction) {
+    if (!values.length) return null;
+    return values.reduce((sum, [raw, ref]) => sum + Math.abs(correct(raw, correction) - ref), 0) / values.length;
+}
@@ -0,0 +1,48 @@
+// chartPanels.js
+// The chart panels of the live view. The user picks which panels are shown
+// and in which order, stored as a list of ids in the chartPanels setting.
+// kind selects the unit handling: "loyly" uses the heat model, "temperature"
+// and "pressure" the display units of settings.js.
+import { heatModelUnit } from "./heatIndex";
+
+export const CHART_PANELS = {
+    loyly: { label: "Löyly", valueKey: "apparentTemperature", kind: "loyly", color: "#ffffff", heightRatio: 1.3 },
+    temperature: { label: "Temperature", valueKey: "temperature", kind: "temperature", color: "#ffffff" },
+    humidity: { label: "Humidity", valueKey: "humidity", unit: "%", color: "#77ffdd" },
+    dewPoint: { label: "Dew point", valueKey: "dewPoint", kind: "temperature", color: "#88bbff" },
+    absoluteHumidity: { label: "Absolute humidity", valueKey: "absoluteHumidity", unit: "g/m³", color: "#77ddff" },
+    vaporPressure: { label: "Vapour pressure", valueKey: "vaporPressure", unit: "hPa", color: "#bb99ff" },
+    pressure: { label: "Pressure", valueKey: "pressure", kind: "pressure", color: "#ffcc66", heightRatio: 0.7 }
+};
+
+export const DEFAULT_CHART_PANELS = ["loyly", "temperature", "humidity"];
+
+// Copy of the list with the item at index moved by delta places
+export function moveItem(list, index, delta) {
+    const target = index + delta;
+    if (target < 0 || target >= list.length) return list;
+    const moved = list.slice();
+    [moved[index], moved[target]] = [moved[target], moved[index]];
+    return moved;
+}
+
+// Toggle a panel on (appended last) or off
+export function togglePanel(panels, id) {
+    return panels.includes(id) ? panels.filter(p => p !== id) : [...panels, id];
+}
+
+// Unit label of a panel under the display units (see settings.js) and heat model
+export function panelUnit(panel, units, heatModel) {
+    if (panel.kind === "loyly") return heatModelUnit(heatModel, units.temperature).label;
+    if (panel.kind === "temperature") return units.temperature.label;
+    if (panel.kind === "pressure") return units.pressure.label;
+    return panel.unit;
+}
+
+// A stored sample value of a panel as text in the display units
+export function formatPanelValue(panel, value, units, heatModel) {
+    if (panel.kind === "loyly" && heatModel) return heatModelUnit(heatModel, units.temperature).convert(value).toFixed(1);
+    if (panel.kind === "temperature") return units.temperature.convert(value).toFixed(1);
+    if (panel.kind === "pressure") return units.pressure.convert(value).toFixed(units.pressure.digits);
+    return value.toFixed(1);
+}
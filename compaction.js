@@ -0,0 +1,95 @@
+// compaction.js
+// Per-minute aggregates of raw samples. Aggregates are kept indefinitely
+// while raw samples are pruned after the retention period, so long term
+// history and statistics survive with a fraction of the storage.
+
+export const MINUTE_MS = 60 * 1000;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_OPTIONS = [
+    { label: "7 days", value: 7 },
+    { label: "30 days", value: 30 },
+    { label: "90 days", value: 90 },
+    { label: "1 year", value: 365 },
+    { label: "Forever", value: 0 }
+];
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const AGGREGATED_FIELDS = ["temperature", "humidity", "apparentTemperature", "pressure", "dewPoint", "absoluteHumidity", "vaporPressure"];
+
+export function minuteOf(ts) {
+    return Math.floor(ts / MINUTE_MS) * MINUTE_MS;
+}
+
+// Group samples by tag and minute. Each aggregate has the mean of the
+// aggregated fields under the field name, so aggregates can be charted
+// like samples, plus <field>Min and <field>Max.
+export function aggregateByMinute(samples) {
+    const groups = new Map();
+    for (const sample of samples) {
+        const mac = sample.mac ?? "";
+        const ts = minuteOf(sample.ts);
+        const key = `${mac}|${ts}`;
+        let group = groups.get(key);
+        if (!group) {
+            group = { mac, ts, count: 0, battery: null, sums: {}, counts: {}, mins: {}, maxs: {} };
+            groups.set(key, group);
+        }
+        group.count += 1;
+        if (sample.battery != null) {
+            group.battery = group.battery === null ? sample.battery : Math.min(group.battery, sample.battery);
+        }
+        for (const field of AGGREGATED_FIELDS) {
+            const value = sample[field];
+            if (typeof value !== "number" || isNaN(value)) continue;
+            group.sums[field] = (group.sums[field] ?? 0) + value;
+            group.counts[field] = (group.counts[field] ?? 0) + 1;
+            group.mins[field] = Math.min(group.mins[field] ?? Infinity, value);
+            group.maxs[field] = Math.max(group.maxs[field] ?? -Infinity, value);
+        }
+    }
+    return Array.from(groups.values(), group => {
+        const aggregate = { mac: group.mac, ts: group.ts, count: group.count, battery: group.battery };
+        for (const field of AGGREGATED_FIELDS) {
+            const n = group.counts[field];
+            aggregate[field] = n ? group.sums[field] / n : null;
+            aggregate[`${field}Min`] = n ? group.mins[field] : null;
+            aggregate[`${field}Max`] = n ? group.maxs[field] : null;
+        }
+        return aggregate;
+    });
+}
+
+// Combine two aggregates of the same tag and minute, e.g. an existing one
+// whose raw samples were pruned and one of samples imported later. Means
+// are weighted by the sample counts.
+export function mergeAggregates(a, b) {
+    const merged = {
+        mac: a.mac,
+        ts: a.ts,
+        count: a.count + b.count,
+        battery: a.battery === null ? b.battery : b.battery === null ? a.battery : Math.min(a.battery, b.battery)
+    };
+    for (const field of AGGREGATED_FIELDS) {
+        const [x, y] = [a[field], b[field]];
+        merged[field] = x == null ? y : y == null ? x : (x * a.count + y * b.count) / merged.count;
+        merged[`${field}Min`] = Math.min(a[`${field}Min`] ?? Infinity, b[`${field}Min`] ?? Infinity);
+        merged[`${field}Max`] = Math.max(a[`${field}Max`] ?? -Infinity, b[`${field}Max`] ?? -Infinity);
+        if (merged[`${field}Min`] === Infinity) merged[`${field}Min`] = null;
+        if (merged[`${field}Max`] === -Infinity) merged[`${field}Max`] = null;
+    }
+    return merged;
+}
+
+// Aggregate of a minute average read back from an export, which only has
+// the means and the sample count. Min and max fall back to the mean.
+export function aggregateFromAverage(average) {
+    const aggregate = { mac: average.mac ?? "", ts: minuteOf(average.ts), count: average.count, battery: average.battery ?? null };
+    for (const field of AGGREGATED_FIELDS) {
+        const value = typeof average[field] === "number" && !isNaN(average[field]) ? average[field] : null;
+        aggregate[field] = value;
+        aggregate[`${field}Min`] = average[`${field}Min`] ?? value;
+        aggregate[`${field}Max`] = average[`${field}Max`] ?? value;
+    }
+    return aggregate;
+}
@@ -0,0 +1,71 @@
+// comparison.js
+// Overlaying stored sessions on a relative time axis. Each session is
+// aligned on an event, its samples get ts relative to that event and a
+// series key, and summaries give the differences between sessions.
+
+export const ALIGNMENTS = {
+    start: { label: "Session start" },
+    loyly: { label: "First löyly" },
+    temperature: { label: "Reaching temperature" },
+    annotation: { label: "First annotation of kind" }
+};
+
+// First time at or after from when temperature reached threshold (°C), or null
+export function firstReach(samples, threshold, from = -Infinity) {
+    return samples.find(s => s.ts >= from && typeof s.temperature === "number" && s.temperature >= threshold)?.ts ?? null;
+}
+
+// Timestamp to align a session on, or null if the event didn't happen.
+// data is { session, samples, loylyEvents, annotations }, options is
+// { threshold, annotationKind }.
+export function alignmentTime(alignment, { session, samples, loylyEvents, annotations }, { threshold, annotationKind } = {}) {
+    switch (alignment) {
+        case "loyly":
+            return loylyEvents.length ? Math.min(...loylyEvents.map(e => e.ts)) : null;
+        case "temperature":
+            return firstReach(samples, threshold);
+        case "annotation": {
+            const matching = annotations.filter(a => a.kind === annotationKind);
+            return matching.length ? Math.min(...matching.map(a => a.ts)) : null;
+        }
+        default:
+            return session.start;
+    }
+}
+
+// Samples with ts relative to origin, tagged with the series key
+export function relativeSamples(samples, origin, series) {
+    return samples.map(sample => ({ ...sample, ts: sample.ts - origin, series }));
+}
+
+function peak(samples, key) {
+    let max = null;
+    for (const sample of samples) {
+        const value = sample[key];
+        if (typeof value === "number" && (max === null || value > max)) max = value;
+    }
+    return max;
+}
+
+// { reachMs, peakTemperature, peakApparentTemperature } of relative samples.
+// reachMs is the time from the alignment to reaching threshold (°C), null
+// if it was never reached. Samples from before the session (the heat-up)
+// count for reaching but not for the peaks.
+export function seriesSummary(samples, threshold, sessionFrom = -Infinity) {
+    const inSession = samples.filter(s => s.ts >= sessionFrom);
+    return {
+        reachMs: firstReach(samples, threshold),
+        peakTemperature: peak(inSession, "temperature"),
+        peakApparentTemperature: peak(inSession, "apparentTemperature")
+    };
+}
+
+// Differences of a summary to the reference one, nulls where either is missing
+export function summaryDifference(summary, reference) {
+    const diff = key => summary[key] === null || reference[key] === null ? null : summary[key] - reference[key];
+    return {
+        reachMs: diff("reachMs"),
+        peakTemperature: diff("peakTemperature"),
+        peakApparentTemperature: diff("peakApparentTemperature")
+    };
+}
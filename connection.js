@@ -0,0 +1,90 @@
+// connection.js
+// Sensor connection state machine shared by the sensor factories.
+//
+//   idle -> scanning -> connected <-> stale
+//                          |           |
+//                          v           v
+//                        reconnecting -> connected | failed
+//
+// "stale" means the sensor is connected but no data has arrived within
+// staleTimeoutMs. Every state can go back to idle by stopping.
+
+export const DEFAULT_STALE_TIMEOUT_MS = 30 * 1000;
+
+const TRANSITIONS = {
+    idle: ["scanning", "failed"],
+    scanning: ["connected", "failed", "idle"],
+    connected: ["stale", "reconnecting", "failed", "idle"],
+    stale: ["connected", "reconnecting", "failed", "idle"],
+    reconnecting: ["connected", "reconnecting", "failed", "idle"],
+    failed: ["scanning", "idle"]
+};
+
+export function createConnection({ staleTimeoutMs = DEFAULT_STALE_TIMEOUT_MS, onStateChange = () => {} } = {}) {
+    let state = "idle";
+    let error = null;
+    let staleTimer = null;
+
+    function clearStaleTimer() {
+        if (staleTimer) clearTimeout(staleTimer);
+        staleTimer = null;
+    }
+
+    function transition(next, nextError = null) {
+        if (!TRANSITIONS[state].includes(next)) return false;
+        state = next;
+        error = nextError;
+        if (state !== "connected" && state !== "stale") clearStaleTimer();
+        onStateChange(state, error);
+        return true;
+    }
+
+    return {
+        get state() {
+            return state;
+        },
+        get error() {
+            return error;
+        },
+        start() {
+            return transition("scanning");
+        },
+        // Data arrived, restarts the staleness timeout
+        data() {
+            if (state !== "connected" && !transition("connected")) return false;
+            clearStaleTimer();
+            if (staleTimeoutMs > 0) {
+                staleTimer = setTimeout(() => transition("stale"), staleTimeoutMs);
+            }
+            return true;
+        },
+        reconnecting(reason = null) {
+            return transition("reconnecting", reason);
+        },
+        fail(reason) {
+            return transition("failed", reason);
+        },
+        stop() {
+            clearStaleTimer();
+            return state === "idle" || transition("idle");
+        }
+    };
+}
+
+// Exponential backoff with jitter for reconnect attempts (attempt from 0)
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 30 * 1000 } = {}) {
+    const delay = Math.min(maxMs, baseMs * 2 ** attempt);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+// User facing reason why Web Bluetooth can't be used, or null if it can.
+// Passive scanning needs requestLEScan, which is behind a flag in Chrome.
+export function bluetoothUnavailableReason({ scan = false } = {}) {
+    if (typeof navigator === "undefined" || !navigator.bluetooth) {
+        return "Web Bluetooth is not available in this browser. Use Chrome or Edge on Android, Windows, macOS or Linux.";
+    }
+    if (scan && typeof navigator.bluetooth.requestLEScan !== "function") {
+        return "Bluetooth scanning (requestLEScan) is not enabled. In Chrome, turn on chrome://flags/#enable-experimental-web-platform-features and restart the browser.";
+    }
+    return null;
+}
@@ -1,10 +1,551 @@
 import Dexie from "dexie";
+import { createSessionDetector, SESSION_DEFAULTS } from "./sessions";
+import { createLoylyDetector } from "./loyly";
+import { sampleKey } from "./sampleFiles";
+import { logSamplesForGaps } from "./ruuviLog";
+import { aggregateByMinute, aggregateFromAverage, mergeAggregates, minuteOf, DAY_MS, DEFAULT_RETENTION_DAYS } from "./compaction";
+import { DERIVED_METRICS, withDerivedMetrics } from "./heatIndex";
+import { calibrateSample } from "./calibration";
+import { normalizeAnnotation, overlaps, annotationKey } from "./annotations";
+import { normalizeLocation } from "./locations";
 
 export const db = new Dexie("LoylyProtoDB");
+
+// Schema history. Never edit a released version: add a new one that lists
+// only the changed tables, with an upgrade() for data that has to be
+// rewritten, so stored samples survive app updates.
 db.version(1).stores({
   samples: "++id,name,mac,measurement_sequence_number,ts,temperature,humidity,apparentTemperature"
 });
+// Per-tag queries and user given tag names
+db.version(2).stores({
+  samples: "++id,name,mac,measurement_sequence_number,ts,temperature,humidity,apparentTemperature,[mac+ts]",
+  tags: "mac"
+});
+// Detected sauna sessions, see sessions.js
+db.version(3).stores({
+  sessions: "++id,mac,start,end"
+});
+// Detected löyly throws, see loyly.js
+db.version(4).stores({
+  loylyEvents: "++id,mac,ts,sessionId"
+});
+// Key-value user settings
+db.version(5).stores({
+  settings: "key"
+});
+// Per-minute aggregates that outlive the raw sample retention, see compaction.js
+db.version(6).stores({
+  aggregates: "[mac+ts],ts,mac"
+}).upgrade(tx => {
+  // Samples from before format dispatch were all DF5 advertisements
+  return tx.table("samples").toCollection().modify(sample => {
+    if (sample.dataFormat === undefined && sample.measurement_sequence_number != null) {
+      sample.dataFormat = 5;
+    }
+  });
+});
+// User defined alert rules and the alerts they fired, see alerts.js
+db.version(7).stores({
+  alertRules: "++id,mac",
+  alerts: "++id,ruleId,mac,ts"
+});
+// Derived humidity metrics are stored with the samples, see heatIndex.js
+db.version(8).stores({}).upgrade(tx => {
+  return tx.table("samples").toCollection().modify(sample => {
+    if (sample.dewPoint === undefined) {
+      for (const [key, compute] of Object.entries(DERIVED_METRICS)) {
+        sample[key] = compute(sample.temperature, sample.humidity);
+      }
+    }
+  });
+});
+
+// User annotations of instants and time ranges, see annotations.js
+db.version(9).stores({
+  annotations: "++id,ts,mac,kind"
+});
+
+// Saunas, see locations.js. Tags and alert rules refer to them by locationId.
+db.version(10).stores({
+  locations: "++id,name",
+  alertRules: "++id,mac,locationId"
+});
+
+// Every tag that has logged samples gets a row in tags, so the tag list
+// doesn't need a scan of the samples
+db.version(11).stores({}).upgrade(async tx => {
+  const macs = await tx.table("samples").orderBy("mac").uniqueKeys();
+  const stored = await tx.table("tags").bulkGet(macs);
+  await tx.table("tags").bulkAdd(macs.filter((mac, i) => !stored[i]).map(mac => ({ mac, alias: null })));
+});
+
+export async function getSetting(key, defaultValue) {
+  const row = await db.settings.get(key);
+  return row ? row.value : defaultValue;
+}
+
+export async function setSetting(key, value) {
+  await db.settings.put({ key, value });
+}
+
+// Store settings and tag names read with parseSettingsFile (settings.js)
+export async function importSettings({ settings, tagAliases }) {
+  await db.transaction("rw", db.settings, db.tags, async () => {
+    await db.settings.bulkPut(Object.entries(settings).map(([key, value]) => ({ key, value })));
+    for (const [mac, alias] of Object.entries(tagAliases)) {
+      await setTagAlias(mac, alias);
+    }
+  });
+}
+
+let sessionDetector = createSessionDetector();
+let loylyDetector = createLoylyDetector();
+const resumedMacs = new Set();
+// Session writes depend on ids from earlier writes, so run them in order
+let sessionQueue = Promise.resolve();
+
+async function saveSessionEvent({ type, session }) {
+  if (type === "discard") {
+    if (session.id != null) await db.sessions.delete(session.id);
+    return;
+  }
+  session.id = await db.sessions.put({ ...session });
+}
+
+async function trackSession(sample) {
+  const mac = sample.mac ?? null;
+  if (mac !== null && !resumedMacs.has(mac)) {
+    resumedMacs.add(mac);
+    const open = await db.sessions.where("mac").equals(mac).filter(s => s.end === null).last();
+    if (open) sessionDetector.resume(open);
+  }
+  for (const event of sessionDetector.push(sample)) {
+    await saveSessionEvent(event);
+  }
+  for (const { type, event } of loylyDetector.push(sample)) {
+    if (type === "start") {
+      const session = sessionDetector.getActiveSession(mac);
+      if (session) {
+        session.loylyCount += 1;
+        event.sessionId = session.id;
+        await db.sessions.update(session.id, { loylyCount: session.loylyCount });
+      }
+    }
+    if (type !== "update" || event.id == null) {
+      event.id = await db.loylyEvents.put({ ...event });
+    }
+  }
+}
+
+// Macs known to have a tags row
+const knownMacs = new Set();
+
+async function registerTags(macs) {
+  const unknown = [...new Set(macs)].filter(mac => mac != null && !knownMacs.has(mac));
+  if (!unknown.length) return;
+  await db.transaction("rw", db.tags, async () => {
+    const stored = await db.tags.bulkGet(unknown);
+    await db.tags.bulkAdd(unknown.filter((mac, i) => !stored[i]).map(mac => ({ mac, alias: null })));
+  });
+  for (const mac of unknown) knownMacs.add(mac);
+}
 
 export async function logSample(sample) {
+  await registerTags([sample.mac]);
   await db.samples.add(sample);
+  sessionQueue = sessionQueue.then(() => trackSession(sample)).catch(err => {
+    console.error("Session tracking failed:", err);
+  });
+  await sessionQueue;
+}
+
+export async function setTagAlias(mac, alias) {
+  alias = alias?.trim();
+  if (!alias) {
+    await db.tags.update(mac, { alias: null });
+    return;
+  }
+  await db.tags.put({ ...(await db.tags.get(mac)), mac, alias });
+}
+
+export async function saveLocation(location) {
+  return db.locations.put(normalizeLocation(location));
+}
+
+// Tags of a deleted location become unassigned, its alert rules are removed
+export async function deleteLocation(id) {
+  await db.transaction("rw", db.locations, db.tags, db.alertRules, db.alerts, async () => {
+    await db.locations.delete(id);
+    await db.tags.filter(tag => tag.locationId === id).modify({ locationId: null });
+    const ruleIds = await db.alertRules.where("locationId").equals(id).primaryKeys();
+    await db.alertRules.bulkDelete(ruleIds);
+    await db.alerts.where("ruleId").anyOf(ruleIds).delete();
+  });
+}
+
+// Move a tag to a location, null for none
+export async function setTagLocation(mac, locationId) {
+  await db.tags.put({ ...(await db.tags.get(mac)), mac, locationId });
+}
+
+// Store a tag calibration (see calibration.js) under the next version number
+export async function saveCalibration(mac, calibration) {
+  return db.transaction("rw", db.tags, async () => {
+    const tag = await db.tags.get(mac);
+    const version = (tag?.calibration?.version ?? 0) + 1;
+    await db.tags.put({ ...tag, mac, calibration: { ...calibration, version } });
+    return version;
+  });
+}
+
+// Apply the current calibration of a tag to its stored raw samples. Their
+// minute aggregates, sessions and löyly events are recomputed.
+export async function recalibrateHistory(mac) {
+  const calibration = (await db.tags.get(mac))?.calibration;
+  const range = db.samples.where("[mac+ts]").between([mac, Dexie.minKey], [mac, Dexie.maxKey]);
+  const first = await range.first();
+  if (!first) return 0;
+  const count = await range.modify(sample => {
+    Object.assign(sample, withDerivedMetrics(calibrateSample(sample, calibration)));
+  });
+  const from = minuteOf(first.ts);
+  await db.aggregates.where("[mac+ts]").between([mac, from], [mac, Dexie.maxKey]).delete();
+  const aggregatedUntil = await getSetting("aggregatedUntil", null);
+  if (aggregatedUntil !== null && from < aggregatedUntil) {
+    await setSetting("aggregatedUntil", from);
+  }
+  await rebuildSessions({ mac, from: first.ts });
+  return count;
+}
+
+// Packet statistics from ingestion.js, kept with the tag settings
+export async function saveTagStats(mac, stats) {
+  await db.transaction("rw", db.tags, async () => {
+    await db.tags.put({ ...(await db.tags.get(mac)), mac, stats: { ...stats, updated: Date.now() } });
+  });
+}
+
+// Stored samples with from <= ts <= to, optionally only those of one tag
+export async function querySamples({ from = -Infinity, to = Infinity, mac = null } = {}) {
+  if (mac !== null) {
+    return db.samples.where("[mac+ts]").between([mac, from], [mac, to], true, true).toArray();
+  }
+  return db.samples.where("ts").between(from, to, true, true).toArray();
+}
+
+// Samples with from <= ts <= to, with the per-minute aggregates standing in
+// for the raw samples pruned before the oldest one stored
+export async function querySamplesOrAggregates({ from = -Infinity, to = Infinity, mac = null } = {}) {
+  const samples = await querySamples({ from, to, mac });
+  const first = await db.samples.orderBy("ts").first();
+  const prunedUntil = first ? Math.min(to, minuteOf(first.ts) - 1) : to;
+  if (from > prunedUntil) return samples;
+  const aggregates = mac !== null
+    ? await db.aggregates.where("[mac+ts]").between([mac, from], [mac, prunedUntil], true, true).toArray()
+    : await db.aggregates.where("ts").between(from, prunedUntil, true, true).toArray();
+  return [...aggregates, ...samples];
+}
+
+// Samples of the tag of a session from lookbackMs before its start to its
+// end. Raw samples of old sessions may have been pruned, then the per-minute
+// aggregates are returned instead.
+export async function sessionSamples(session, lookbackMs = 0) {
+  const from = session.start - lookbackMs;
+  const to = session.end ?? session.lastTs;
+  const samples = await querySamples({ from, to, mac: session.mac });
+  if (samples.length) return samples;
+  const mac = session.mac ?? "";
+  return db.aggregates.where("[mac+ts]").between([mac, from], [mac, to], true, true).toArray();
+}
+
+export async function sessionLoylyEvents(session) {
+  return db.loylyEvents.where("sessionId").equals(session.id).toArray();
+}
+
+// Fold samples added to already aggregated minutes into their aggregates.
+// The raw samples of those minutes may have been pruned, so the minutes
+// can't be aggregated again from scratch.
+async function mergeIntoAggregates(samples) {
+  const aggregatedUntil = await getSetting("aggregatedUntil", null);
+  if (aggregatedUntil === null) return;
+  const late = aggregateByMinute(samples.filter(sample => sample.ts < aggregatedUntil));
+  if (!late.length) return;
+  await db.transaction("rw", db.aggregates, async () => {
+    const existing = await db.aggregates.bulkGet(late.map(aggregate => [aggregate.mac, aggregate.ts]));
+    await db.aggregates.bulkPut(late.map((aggregate, i) => existing[i] ? mergeAggregates(existing[i], aggregate) : aggregate));
+  });
+}
+
+// Add imported samples, skipping those already stored (same mac,
+// measurement sequence number and ts). Like live samples they get the
+// current calibration of their tag. Sessions and löyly events are
+// recomputed afterwards.
+// Store minute averages of an export as aggregates, unless the minute is
+// aggregated already. Returns how many were added.
+async function importAverages(averages) {
+  if (!averages.length) return 0;
+  const aggregates = averages.map(aggregateFromAverage);
+  let added = 0;
+  await db.transaction("rw", db.aggregates, async () => {
+    const existing = await db.aggregates.bulkGet(aggregates.map(aggregate => [aggregate.mac, aggregate.ts]));
+    const fresh = aggregates.filter((aggregate, i) => !existing[i]);
+    await db.aggregates.bulkPut(fresh);
+    added = fresh.length;
+  });
+  await registerTags(aggregates.map(aggregate => aggregate.mac).filter(Boolean));
+  return added;
+}
+
+// Minute averages (rows with a count) of an exported file go to the
+// aggregates, not to the raw samples
+export async function importSamples(rows) {
+  const averages = rows.filter(row => row.count != null);
+  const averagesAdded = await importAverages(averages);
+  const averagesSkipped = averages.length - averagesAdded;
+  const samples = rows.filter(row => row.count == null);
+  if (!samples.length) return { added: 0, skipped: averagesSkipped, averages: averagesAdded };
+  let from = Infinity, to = -Infinity;
+  for (const { ts } of samples) {
+    from = Math.min(from, ts);
+    to = Math.max(to, ts);
+  }
+  const existing = await db.samples.where("ts").between(from, to, true, true).toArray();
+  const seen = new Set(existing.map(sampleKey));
+  const macs = [...new Set(samples.map(sample => sample.mac))].filter(mac => mac != null);
+  const calibrations = new Map((await db.tags.bulkGet(macs)).filter(Boolean).map(tag => [tag.mac, tag.calibration]));
+  const added = [];
+  for (const { id, ...sample } of samples) {
+    const key = sampleKey(sample);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    added.push(withDerivedMetrics(calibrateSample(sample, calibrations.get(sample.mac))));
+  }
+  await registerTags(added.map(sample => sample.mac));
+  await db.samples.bulkAdd(added);
+  if (added.length) {
+    await mergeIntoAggregates(added);
+    const ranges = new Map();
+    for (const { mac, ts } of added) {
+      if (mac == null) continue;
+      const range = ranges.get(mac);
+      ranges.set(mac, range ? { from: Math.min(range.from, ts), to: Math.max(range.to, ts) } : { from: ts, to: ts });
+    }
+    for (const [mac, { from, to }] of ranges) {
+      await rebuildSessions({ mac, from, to });
+    }
+  }
+  return { added: added.length, skipped: samples.length - added.length + averagesSkipped, averages: averagesAdded };
+}
+
+// Timestamp of the latest stored sample of a tag, or null
+export async function lastSampleTime(mac) {
+  const last = await db.samples.where("[mac+ts]").between([mac, Dexie.minKey], [mac, Dexie.maxKey]).last();
+  return last ? last.ts : null;
+}
+
+// Merge samples downloaded from a tag's internal log, only where there
+// are no live samples within toleranceMs
+export async function importTagLog(samples, toleranceMs = 60 * 1000) {
+  if (!samples.length) return { added: 0, skipped: 0 };
+  const mac = samples[0].mac;
+  const stored = await querySamples({
+    from: samples[0].ts - toleranceMs,
+    to: samples[samples.length - 1].ts + toleranceMs,
+    mac
+  });
+  const missing = logSamplesForGaps(samples, stored, toleranceMs);
+  const result = await importSamples(missing);
+  return { added: result.added, skipped: samples.length - result.added };
+}
+
+const REBUILD_PAGE_SIZE = 2000;
+
+// Redetect the sessions and löyly events of a tag around from..to, e.g.
+// after samples were imported there. Samples are read in pages from the
+// start of the first session the range touches until the detectors have
+// settled after it. Returns the number of sessions found.
+async function rebuildTagSessions(mac, from, to) {
+  const first = await db.samples.where("[mac+ts]").between([mac, Dexie.minKey], [mac, Dexie.maxKey]).first();
+  if (!first) return 0;
+  // Sessions the changed samples may extend or join
+  const { maxGapMs } = SESSION_DEFAULTS;
+  const touched = await db.sessions.where("mac").equals(mac)
+    .filter(session => session.start <= to + maxGapMs && (session.end ?? Infinity) >= from - maxGapMs)
+    .toArray();
+  let start = Math.min(from, ...touched.map(session => session.start));
+  let until = Math.max(to, ...touched.map(session => session.end ?? session.lastTs));
+  start = Math.max(start, first.ts);
+  // Sessions from before the raw sample retention can't be detected
+  // again, keep them and only rebuild after them
+  for (const session of touched.filter(session => session.start < first.ts)) {
+    start = Math.max(start, (session.end ?? session.lastTs) + 1);
+  }
+  if (start > until) return 0;
+
+  const sessionDetector = createSessionDetector();
+  const loylyDetector = createLoylyDetector();
+  const sessions = [];
+  const loylyEvents = [];
+  let end = start;
+  let lower = start;
+  let boundary = new Set();
+  let settled = false;
+  while (!settled) {
+    // A page at a time, by [mac+ts] from the last ts read. The samples of
+    // that ts that were already read are skipped.
+    const page = await db.samples.where("[mac+ts]").between([mac, lower], [mac, Dexie.maxKey], true, true)
+      .limit(REBUILD_PAGE_SIZE)
+      .toArray();
+    const fresh = page.filter(sample => !boundary.has(sample.id));
+    if (!fresh.length) break;
+    for (const sample of fresh) {
+      // Read on until the detectors have settled after the changed range
+      settled = sample.ts > until
+        && !sessionDetector.getActiveSessions().length
+        && !loylyDetector.getActiveEvent(mac);
+      if (settled) break;
+      end = sample.ts;
+      for (const { type, session } of sessionDetector.push(sample)) {
+        if (type === "end") sessions.push(session);
+      }
+      for (const { type, event } of loylyDetector.push(sample)) {
+        if (type === "start") loylyEvents.push(event);
+      }
+    }
+    lower = page[page.length - 1].ts;
+    boundary = new Set(page.filter(sample => sample.ts === lower).map(sample => sample.id));
+  }
+  for (const { type, session } of sessionDetector.flush()) {
+    if (type === "end") sessions.push(session);
+  }
+  sessions.push(...sessionDetector.getActiveSessions());
+
+  await db.transaction("rw", db.sessions, db.loylyEvents, async () => {
+    await db.sessions.where("mac").equals(mac)
+      .filter(session => session.start >= start && session.start <= end)
+      .delete();
+    await db.loylyEvents.where("ts").between(start, end, true, true)
+      .filter(event => event.mac === mac)
+      .delete();
+    for (const { id, ...session } of sessions) {
+      const throws = loylyEvents.filter(e => e.ts >= session.start && e.ts <= (session.end ?? session.lastTs));
+      session.loylyCount = throws.length;
+      const sessionId = await db.sessions.add(session);
+      for (const event of throws) event.sessionId = sessionId;
+    }
+    await db.loylyEvents.bulkAdd(loylyEvents);
+  });
+  return sessions.length;
+}
+
+// Recompute sessions and löyly events from the stored raw samples, of one
+// tag and time range or of everything
+export async function rebuildSessions({ mac = null, from = -Infinity, to = Infinity } = {}) {
+  const rebuild = sessionQueue.then(async () => {
+    const macs = mac !== null ? [mac] : await db.samples.orderBy("mac").uniqueKeys();
+    let count = 0;
+    for (const tag of macs) {
+      count += await rebuildTagSessions(tag, from, to);
+    }
+    // Let fresh live detectors pick up the rebuilt open sessions
+    sessionDetector = createSessionDetector();
+    loylyDetector = createLoylyDetector();
+    resumedMacs.clear();
+    return count;
+  });
+  sessionQueue = rebuild.catch(() => {});
+  return rebuild;
+}
+
+export async function saveAlertRule(rule) {
+  return db.alertRules.put({ enabled: true, hysteresis: 0, ...rule });
+}
+
+export async function deleteAlertRule(id) {
+  await db.transaction("rw", db.alertRules, db.alerts, async () => {
+    await db.alertRules.delete(id);
+    await db.alerts.where("ruleId").equals(id).delete();
+  });
+}
+
+export async function logAlert(alert) {
+  return db.alerts.add({ ...alert, acknowledged: false });
+}
+
+export async function acknowledgeAlerts() {
+  await db.alerts.filter(alert => !alert.acknowledged).modify({ acknowledged: true });
+}
+
+export async function saveAnnotation(annotation) {
+  return db.annotations.put(normalizeAnnotation(annotation));
+}
+
+export async function deleteAnnotation(id) {
+  await db.annotations.delete(id);
+}
+
+// Annotations touching [from, to], optionally only those of one tag and
+// those for all tags
+export async function queryAnnotations({ from = -Infinity, to = Infinity, mac = null } = {}) {
+  return db.annotations.where("ts").belowOrEqual(to)
+    .filter(a => overlaps(a, from, to) && (mac === null || a.mac === null || a.mac === mac))
+    .toArray();
+}
+
+// Add imported annotations, skipping invalid ones and those already stored
+export async function importAnnotations(annotations) {
+  if (!annotations.length) return { added: 0, skipped: 0 };
+  return db.transaction("rw", db.annotations, async () => {
+    const seen = new Set((await db.annotations.toArray()).map(annotationKey));
+    const added = [];
+    for (const { id, ...annotation } of annotations) {
+      let normalized;
+      try {
+        normalized = normalizeAnnotation(annotation);
+      } catch {
+        continue;
+      }
+      const key = annotationKey(normalized);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      added.push(normalized);
+    }
+    await db.annotations.bulkAdd(added);
+    return { added: added.length, skipped: annotations.length - added.length };
+  });
+}
+
+const COMPACTION_CHUNK_MS = 60 * 60 * 1000;
+
+// Aggregate complete minutes that have not been aggregated yet, then delete
+// raw samples older than the retention period (retentionDays 0 keeps all).
+export async function compactSamples(now = Date.now()) {
+  const retentionDays = await getSetting("retentionDays", DEFAULT_RETENTION_DAYS);
+  const until = minuteOf(now);
+  let start = await getSetting("aggregatedUntil", null);
+  if (start === null) {
+    const first = await db.samples.orderBy("ts").first();
+    start = first ? minuteOf(first.ts) : until;
+  }
+  let aggregated = 0;
+  while (start < until) {
+    const end = Math.min(start + COMPACTION_CHUNK_MS, until);
+    const samples = await db.samples.where("ts").between(start, end, true, false).toArray();
+    const aggregates = aggregateByMinute(samples);
+    await db.transaction("rw", db.aggregates, db.settings, async () => {
+      await db.aggregates.bulkPut(aggregates);
+      await setSetting("aggregatedUntil", end);
+    });
+    aggregated += aggregates.length;
+    // Skip over periods without samples
+    const next = await db.samples.where("ts").aboveOrEqual(end).first();
+    start = next ? Math.max(end, minuteOf(next.ts)) : until;
+  }
+  let deleted = 0;
+  if (retentionDays > 0) {
+    const cutoff = Math.min(now - retentionDays * DAY_MS, until);
+    deleted = await db.samples.where("ts").below(cutoff).delete();
+  }
+  return { aggregated, deleted };
 }
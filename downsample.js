@@ -0,0 +1,41 @@
+// downsample.js
+// Largest-Triangle-Three-Buckets downsampling (Steinarsson 2013). Picks
+// the points that keep the visual shape of a line, so peaks and dips of
+// long histories survive when drawn at screen resolution.
+
+export function lttb(data, threshold, x = d => d[0], y = d => d[1]) {
+    if (threshold >= data.length || threshold < 3) return data;
+    const sampled = [data[0]];
+    // Buckets between the fixed first and last points
+    const bucketSize = (data.length - 2) / (threshold - 2);
+    let a = 0;
+    for (let i = 0; i < threshold - 2; i++) {
+        // Average of the next bucket is the third triangle corner
+        const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+        const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, data.length);
+        let avgX = 0, avgY = 0;
+        for (let j = nextStart; j < nextEnd; j++) {
+            avgX += x(data[j]);
+            avgY += y(data[j]);
+        }
+        const nextLength = nextEnd - nextStart;
+        avgX /= nextLength;
+        avgY /= nextLength;
+
+        const start = Math.floor(i * bucketSize) + 1;
+        const end = Math.floor((i + 1) * bucketSize) + 1;
+        const ax = x(data[a]), ay = y(data[a]);
+        let maxArea = -1, maxIndex = start;
+        for (let j = start; j < end; j++) {
+            const area = Math.abs((ax - avgX) * (y(data[j]) - ay) - (ax - x(data[j])) * (avgY - ay));
+            if (area > maxArea) {
+                maxArea = area;
+                maxIndex = j;
+            }
+        }
+        sampled.push(data[maxIndex]);
+        a = maxIndex;
+    }
+    sampled.push(data[data.length - 1]);
+    return sampled;
+}
@@ -0,0 +1,141 @@
+// gateway.js
+// Sensor source for a Ruuvi Gateway, or anything else serving the same
+// JSON (a Raspberry Pi collector, or the relay's /gateway endpoint that
+// gateways can POST to, see relay/README.md):
+//
+//   { data: { tags: { "C8:25:2D:8E:9C:2C": { rssi, timestamp, data: "0201061BFF9904050F..." } } } }
+//
+// data is the raw BLE advertisement as hex. Its Ruuvi manufacturer data is
+// decoded with decodeRuuvi and fed to onUpdate like scanned advertisements.
+import { createConnection, backoffDelay } from "./connection";
+import { decodeRuuvi, apparentTemperature } from "./ruuvi";
+
+export const GATEWAY_POLL_MS = 10 * 1000;
+const RUUVI_COMPANY_ID = 0x0499;
+const AD_TYPE_MANUFACTURER_DATA = 0xFF;
+
+function hexToBytes(hex) {
+    if (typeof hex !== "string" || hex.length % 2 || /[^0-9a-f]/i.test(hex)) return null;
+    return Uint8Array.from({ length: hex.length / 2 }, (_, i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16));
+}
+
+// Ruuvi manufacturer payload (company id stripped, starting with the data
+// format byte) of a hex advertisement, or null if it has none
+export function ruuviPayload(hex) {
+    const bytes = hexToBytes(hex);
+    if (!bytes) return null;
+    // The advertisement is a list of [length, type, ...data] structures
+    let offset = 0;
+    while (offset < bytes.length) {
+        const length = bytes[offset];
+        if (length === 0 || offset + 1 + length > bytes.length) break;
+        const type = bytes[offset + 1];
+        const companyId = bytes[offset + 2] | bytes[offset + 3] << 8;
+        if (type === AD_TYPE_MANUFACTURER_DATA && length >= 4 && companyId === RUUVI_COMPANY_ID) {
+            return new DataView(bytes.buffer, offset + 4, length - 3);
+        }
+        offset += 1 + length;
+    }
+    return null;
+}
+
+// [mac, tag] entries of a gateway JSON payload
+export function gatewayTags(payload) {
+    const tags = payload?.data?.tags ?? payload?.tags;
+    if (!tags || typeof tags !== "object") {
+        throw new Error("Not a Ruuvi Gateway payload, expected data.tags");
+    }
+    return Object.entries(tags);
+}
+
+// Sample of one gateway tag entry, or null if its advertisement isn't a
+// supported Ruuvi format
+export function parseGatewayTag(mac, tag) {
+    const payload = ruuviPayload(tag?.data);
+    const decoded = payload && decodeRuuvi(payload);
+    if (!decoded) return null;
+    // Gateways report the time they heard the tag in seconds
+    const timestamp = Number(tag.timestamp);
+    return {
+        name: null,
+        ...decoded,
+        mac: decoded.mac ?? mac.toLowerCase(),
+        rssi: tag.rssi ?? null,
+        apparentTemperature: apparentTemperature(decoded.temperature, decoded.humidity),
+        ...(timestamp > 0 ? { ts: timestamp * 1000 } : {})
+    };
+}
+
+// Polls url every pollMs. A gateway reports the latest advertisement of
+// each tag, so advertisements already seen are skipped. Gateways with
+// authentication enabled need the bearer token.
+export function createGatewaySensor(onUpdate, { url, token = "", pollMs = GATEWAY_POLL_MS, ...options } = {}) {
+    const connection = createConnection(options);
+    // Mac -> last advertisement hex
+    const seen = new Map();
+    let timer = null;
+    let attempt = 0;
+    let reached = false;
+    let stopped = true;
+
+    async function poll() {
+        timer = null;
+        let delay = pollMs;
+        try {
+            const response = await fetch(url, {
+                cache: "no-store",
+                headers: token ? { Authorization: `Bearer ${token}` } : {}
+            });
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            const payload = await response.json();
+            if (stopped) return;
+            for (const [mac, tag] of gatewayTags(payload)) {
+                if (seen.get(mac) === tag?.data) continue;
+                seen.set(mac, tag?.data);
+                const sample = parseGatewayTag(mac, tag);
+                if (!sample) continue;
+                connection.data();
+                onUpdate(sample);
+            }
+            // The gateway answers again even if its tags have nothing new
+            if (connection.state === "reconnecting") connection.data();
+            reached = true;
+            attempt = 0;
+        } catch (error) {
+            if (stopped) return;
+            const reason = `Gateway ${url}: ${error.message || error}`;
+            // Failing on the first try is usually a wrong address or CORS
+            if (!reached) {
+                connection.fail(reason);
+                stopped = true;
+                return;
+            }
+            connection.reconnecting(reason);
+            delay = Math.max(pollMs, backoffDelay(attempt));
+            attempt += 1;
+        }
+        if (!stopped) timer = setTimeout(poll, delay);
+    }
+
+    return {
+        connection,
+        async start() {
+            if (!url) {
+                connection.fail("No gateway address set, see Settings.");
+                return;
+            }
+            stopped = false;
+            attempt = 0;
+            reached = false;
+            seen.clear();
+            connection.start();
+            await poll();
+        },
+        stop() {
+            stopped = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            connection.stop();
+        }
+    };
+}
@@ -0,0 +1,149 @@
+import http from "node:http";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { ruuviPayload, gatewayTags, parseGatewayTag, createGatewaySensor } from "./gateway";
+import fixtures from "./fixtures/gateway.json";
+
+describe("ruuviPayload", () => {
+    it("finds the Ruuvi manufacturer data in an advertisement", () => {
+        const payload = ruuviPayload(fixtures.gateway.tag.data);
+        expect(payload.byteLength).toBe(24);
+        expect(payload.getUint8(0)).toBe(5);
+    });
+
+    it("returns null for other manufacturers and invalid hex", () => {
+        expect(ruuviPayload(fixtures.gatewayOtherVendor.tag.data)).toBeNull();
+        expect(ruuviPayload("0201061BFF9904")).toBeNull();
+        expect(ruuviPayload("xyz")).toBeNull();
+        expect(ruuviPayload(null)).toBeNull();
+    });
+});
+
+describe("gatewayTags", () => {
+    it("accepts the gateway and the plain tags layout", () => {
+        const tags = { [fixtures.gateway.mac]: fixtures.gateway.tag };
+        expect(gatewayTags({ data: { tags } })).toHaveLength(1);
+        expect(gatewayTags({ tags })).toHaveLength(1);
+    });
+
+    it("throws on other JSON", () => {
+        expect(() => gatewayTags({ data: {} })).toThrow();
+    });
+});
+
+describe("parseGatewayTag", () => {
+    it("decodes the advertisement with the gateway timestamp", () => {
+        const sample = parseGatewayTag(fixtures.gateway.mac, fixtures.gateway.tag);
+        expect(sample.temperature).toBeCloseTo(24.3, 5);
+        expect(sample.humidity).toBeCloseTo(53.49, 5);
+        expect(sample.mac).toBe("cb:b8:33:4c:88:4f");
+        expect(sample.rssi).toBe(-62);
+        expect(sample.ts).toBe(1700000000 * 1000);
+        expect(sample.apparentTemperature).toEqual(expect.any(Number));
+    });
+
+    it("skips tags that aren't Ruuvi", () => {
+        expect(parseGatewayTag(fixtures.gatewayOtherVendor.mac, fixtures.gatewayOtherVendor.tag)).toBeNull();
+    });
+});
+
+// Local stand-in for a gateway answering with the queued responses, the
+// last one is repeated
+function createStub() {
+    const responses = [];
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        requests.push({ at: Date.now(), authorization: request.headers.authorization });
+        const { status = 200, body } = responses.length > 1 ? responses.shift() : responses[0];
+        response.writeHead(status, { "Content-Type": "application/json" });
+        response.end(typeof body === "string" ? body : JSON.stringify(body));
+    });
+    return {
+        requests,
+        respond(...queued) {
+            responses.push(...queued);
+        },
+        async listen() {
+            await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+            return `http://127.0.0.1:${server.address().port}/history`;
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+    const until = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > until) throw new Error("Timed out");
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const payload = (...entries) => ({ data: { tags: Object.fromEntries(entries.map(({ mac, tag }) => [mac, tag])) } });
+
+describe("createGatewaySensor", () => {
+    let stub, sensor, samples, states;
+
+    beforeEach(() => {
+        stub = createStub();
+        samples = [];
+        states = [];
+    });
+
+    afterEach(async () => {
+        sensor?.stop();
+        await stub.close();
+    });
+
+    async function start(options = {}) {
+        const url = await stub.listen();
+        sensor = createGatewaySensor(sample => samples.push(sample), {
+            url,
+            pollMs: 20,
+            staleTimeoutMs: 0,
+            onStateChange: state => states.push(state),
+            ...options
+        });
+        await sensor.start();
+    }
+
+    it("emits each new advertisement once", async () => {
+        stub.respond(
+            { body: payload(fixtures.gateway, fixtures.gatewayOtherVendor) },
+            { body: payload(fixtures.gateway) },
+            { body: payload(fixtures.gatewayNext) }
+        );
+        await start({ token: "secret" });
+        await waitFor(() => stub.requests.length >= 4);
+        expect(samples.map(sample => sample.measurement_sequence_number)).toEqual([205, 206]);
+        expect(samples[1]).toMatchObject({ mac: "cb:b8:33:4c:88:4f", rssi: -60, ts: 1700000010 * 1000 });
+        expect(stub.requests[0].authorization).toBe("Bearer secret");
+        expect(sensor.connection.state).toBe("connected");
+    });
+
+    it("fails when the gateway can't be reached at first", async () => {
+        stub.respond({ status: 500, body: {} });
+        await start();
+        expect(sensor.connection.state).toBe("failed");
+        expect(sensor.connection.error).toMatch(/500/);
+    });
+
+    it("backs off after errors and reconnects once the gateway answers", async () => {
+        stub.respond(
+            { body: payload(fixtures.gateway) },
+            { status: 500, body: {} },
+            { body: "not json" },
+            { body: payload(fixtures.gateway) }
+        );
+        await start();
+        await waitFor(() => states.includes("reconnecting"));
+        await waitFor(() => stub.requests.length >= 4);
+        const [, failed, bad, recovered] = stub.requests;
+        // Backoff starts from half a second and doubles
+        expect(bad.at - failed.at).toBeGreaterThanOrEqual(450);
+        expect(recovered.at - bad.at).toBeGreaterThanOrEqual(950);
+        // The payload is unchanged, answering at all is enough
+        await waitFor(() => sensor.connection.state === "connected");
+        expect(samples).toHaveLength(1);
+        expect(states.filter(state => state === "reconnecting")).toHaveLength(2);
+    }, 10 * 1000);
+});
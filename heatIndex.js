@@ -0,0 +1,140 @@
+// heatIndex.js
+// Selectable heat index models for the "löyly" reading. All models are
+// computed from raw temperature (°C) and relative humidity (%), so stored
+// samples can be recomputed under any model. Each model gives the value
+// range used for the löyly color scale.
+import { apparentTemperature } from "./ruuvi";
+
+const PRESSURE_HPA = 1013.25;
+
+// Saturation vapour pressure in hPa (Magnus formula, Sonntag 1990 constants)
+export function saturationVaporPressure(T) {
+    return 6.112 * Math.exp(17.62 * T / (243.12 + T));
+}
+
+// Water vapour pressure in hPa
+export function vaporPressure(T, RH) {
+    if (T == null || RH == null) return null;
+    return (RH / 100) * saturationVaporPressure(T);
+}
+
+export function dewPoint(T, RH) {
+    const e = vaporPressure(T, RH);
+    if (e === null || e <= 0) return null;
+    const g = Math.log(e / 6.112);
+    return 243.12 * g / (17.62 - g);
+}
+
+// Absolute humidity in g/m³
+export function absoluteHumidity(T, RH) {
+    const e = vaporPressure(T, RH);
+    if (e === null) return null;
+    return 216.7 * e / (273.15 + T);
+}
+
+// Humidity metrics stored with each sample, see ingestion.js
+export const DERIVED_METRICS = {
+    dewPoint,
+    absoluteHumidity,
+    vaporPressure
+};
+
+// Copy of a sample with the derived humidity metrics added
+export function withDerivedMetrics(sample) {
+    const derived = { ...sample };
+    for (const [key, compute] of Object.entries(DERIVED_METRICS)) {
+        derived[key] = compute(sample.temperature, sample.humidity);
+    }
+    return derived;
+}
+
+// Humidex as used by Environment Canada
+export function humidex(T, RH) {
+    const e = vaporPressure(T, RH);
+    if (e === null) return null;
+    return T + 0.5555 * (e - 10);
+}
+
+// Psychrometric wet bulb temperature. Solved numerically instead of using
+// the usual empirical fits, which are not valid at sauna temperatures.
+export function wetBulbTemperature(T, RH) {
+    const e = vaporPressure(T, RH);
+    if (e === null) return null;
+    const gamma = 6.6e-4 * PRESSURE_HPA;
+    let low = -40, high = T;
+    for (let i = 0; i < 50; i++) {
+        const Tw = (low + high) / 2;
+        if (saturationVaporPressure(Tw) - gamma * (T - Tw) > e) {
+            high = Tw;
+        } else {
+            low = Tw;
+        }
+    }
+    return (low + high) / 2;
+}
+
+// Sauna rule of thumb: temperature plus absolute humidity in g/m³
+export function loylyIndex(T, RH) {
+    const ah = absoluteHumidity(T, RH);
+    if (ah === null) return null;
+    return T + ah;
+}
+
+export const HEAT_MODELS = {
+    steadman: {
+        name: "Apparent temperature (Steadman)",
+        unit: "°L",
+        range: [20, 150],
+        compute: apparentTemperature
+    },
+    loylyindeksi: {
+        name: "Löylyindeksi (T + g/m³)",
+        unit: "°L",
+        range: [30, 180],
+        compute: loylyIndex
+    },
+    humidex: {
+        name: "Humidex",
+        unit: "",
+        range: [20, 180],
+        compute: humidex
+    },
+    // Temperature models give °C, shown in the temperature unit of the settings
+    dewpoint: {
+        name: "Dew point",
+        unit: "°C",
+        temperature: true,
+        range: [0, 60],
+        compute: dewPoint
+    },
+    wetbulb: {
+        name: "Wet bulb temperature",
+        unit: "°C",
+        temperature: true,
+        range: [10, 60],
+        compute: wetBulbTemperature
+    }
+};
+
+export const DEFAULT_HEAT_MODEL = "steadman";
+
+export function getHeatModel(id) {
+    return HEAT_MODELS[id] ?? HEAT_MODELS[DEFAULT_HEAT_MODEL];
+}
+
+// Unit of the values of a model as { label, convert, invert }, like the
+// temperature units of settings.js. Values and colour ranges stay in the
+// model's own unit, this is only for showing them.
+export function heatModelUnit(model, temperatureUnit) {
+    if (model.temperature && temperatureUnit) return temperatureUnit;
+    return { label: model.unit, convert: value => value, invert: value => value };
+}
+
+// Recompute apparentTemperature of stored samples under the given model
+export function applyHeatModel(samples, model) {
+    if (model.compute === HEAT_MODELS[DEFAULT_HEAT_MODEL].compute) return samples;
+    return samples.map(sample => ({
+        ...sample,
+        apparentTemperature: model.compute(sample.temperature, sample.humidity)
+    }));
+}
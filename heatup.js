@@ -0,0 +1,149 @@
+// heatup.js
+// Heat-up prediction. A heating sauna follows a first-order curve
+//
+//   T(t) = tMax - (tMax - T0) * exp(-(t - t0) / tau)
+//
+// so the heating rate is linear in the temperature, dT/dt = (tMax - T) / tau.
+// The line is fitted to per-minute temperatures of the ongoing heat-up by
+// least squares. Early on the data can't tell tMax from a straight line, so
+// pseudo-observations drawn from a prior curve keep the fit sensible. The
+// prior comes from past heat-ups of the same tag, or a generic sauna curve.
+
+import { aggregateByMinute } from "./compaction";
+
+export const HEATUP_DEFAULTS = {
+    // Temperature drop that ends the search for the start of a heat-up
+    riseTolerance: 0.5,
+    // Minimum rise before a heat-up is recognised
+    minRise: 3,
+    minPoints: 5,
+    // Weight of the prior in data points
+    priorWeight: 10,
+    // Generic electric sauna, used when the tag has no past heat-ups
+    prior: { tMax: 90, tau: 45 * 60 * 1000 },
+    lookbackMs: 3 * 60 * 60 * 1000
+};
+
+// Sanity limits for fitted curves
+const MAX_T_MAX = 150;
+const MIN_TAU_MS = 60 * 1000;
+const MAX_TAU_MS = 6 * 60 * 60 * 1000;
+
+// Per-minute mean temperatures of one tag as [{ ts, temperature }]
+export function minuteTemperatures(samples) {
+    return aggregateByMinute(samples)
+        .filter(a => a.temperature !== null)
+        .map(({ ts, temperature }) => ({ ts, temperature }))
+        .sort((a, b) => a.ts - b.ts);
+}
+
+// The rising tail of the points: from the last minimum that the
+// temperature has not dropped back from. Null if there's no real rise.
+export function heatUpSegment(points, options = {}) {
+    const { riseTolerance, minRise } = { ...HEATUP_DEFAULTS, ...options };
+    if (points.length < 2) return null;
+    let start = points.length - 1;
+    for (let i = points.length - 2; i >= 0; i--) {
+        const t = points[i].temperature;
+        if (t > points[start].temperature + riseTolerance) break;
+        if (t <= points[start].temperature) start = i;
+    }
+    // Skip the flat part before the heater was switched on
+    const floor = points[start].temperature + riseTolerance;
+    while (start < points.length - 2 && points[start + 1].temperature <= floor) start++;
+    const segment = points.slice(start);
+    const rise = segment[segment.length - 1].temperature - segment[0].temperature;
+    return rise >= minRise ? segment : null;
+}
+
+function isSane({ tMax, tau }) {
+    return isFinite(tMax) && tMax < MAX_T_MAX && tau >= MIN_TAU_MS && tau <= MAX_TAU_MS;
+}
+
+// Fit { tMax, tau } to heat-up points, optionally pulled towards a prior
+// { tMax, tau } with the given weight. Null if the points don't look like
+// heating.
+export function fitHeatUp(points, prior = null, priorWeight = HEATUP_DEFAULTS.priorWeight) {
+    // Heating rates against the temperature they were measured at
+    const observations = [];
+    for (let i = 1; i < points.length; i++) {
+        const dt = points[i].ts - points[i - 1].ts;
+        if (dt <= 0) continue;
+        observations.push({
+            x: (points[i].temperature + points[i - 1].temperature) / 2,
+            y: (points[i].temperature - points[i - 1].temperature) / dt,
+            w: 1
+        });
+    }
+    if (prior && observations.length) {
+        // Spread the prior from the current temperature up to its tMax
+        const from = points[points.length - 1].temperature;
+        const n = Math.ceil(priorWeight);
+        for (let i = 0; i < n; i++) {
+            const x = from + (prior.tMax - from) * (i + 0.5) / n;
+            observations.push({ x, y: (prior.tMax - x) / prior.tau, w: priorWeight / n });
+        }
+    }
+    let sw = 0, sx = 0, sy = 0, sxx = 0, sxy = 0;
+    for (const { x, y, w } of observations) {
+        sw += w;
+        sx += w * x;
+        sy += w * y;
+        sxx += w * x * x;
+        sxy += w * x * y;
+    }
+    const denominator = sw * sxx - sx * sx;
+    if (!sw || Math.abs(denominator) < 1e-9) return null;
+    const slope = (sw * sxy - sx * sy) / denominator;
+    const intercept = (sy - slope * sx) / sw;
+    if (slope >= 0) return null;
+    const fit = { tMax: -intercept / slope, tau: -1 / slope };
+    return isSane(fit) ? fit : null;
+}
+
+// Curve parameters of a finished heat-up, e.g. the samples before and
+// during a past session. Only the rise up to the peak is used.
+export function fitPastHeatUp(samples, options = {}) {
+    const points = minuteTemperatures(samples);
+    if (!points.length) return null;
+    let peak = 0;
+    points.forEach((p, i) => {
+        if (p.temperature > points[peak].temperature) peak = i;
+    });
+    const segment = heatUpSegment(points.slice(0, peak + 1), options);
+    if (!segment || segment.length < (options.minPoints ?? HEATUP_DEFAULTS.minPoints)) return null;
+    return fitHeatUp(segment);
+}
+
+// Median parameters of past heat-ups, or null
+export function combineHeatUps(fits) {
+    const valid = fits.filter(Boolean);
+    if (!valid.length) return null;
+    const median = values => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    return { tMax: median(valid.map(f => f.tMax)), tau: median(valid.map(f => f.tau)), count: valid.length };
+}
+
+// Temperature of a fitted curve at ts, starting from { ts, temperature }
+export function heatUpCurve({ tMax, tau }, from, ts) {
+    return tMax - (tMax - from.temperature) * Math.exp(-(ts - from.ts) / tau);
+}
+
+// Predict when the temperature reaches target. Returns null when the tag
+// isn't heating up, otherwise { fit, from, eta } where eta is the expected
+// time, or null if the fitted curve levels off below the target.
+export function predictHeatUp(samples, target, prior = null, options = {}) {
+    const { minPoints, priorWeight, ...rest } = { ...HEATUP_DEFAULTS, ...options };
+    const segment = heatUpSegment(minuteTemperatures(samples), rest);
+    if (!segment || segment.length < minPoints) return null;
+    const fit = fitHeatUp(segment, prior ?? rest.prior, prior ? priorWeight : priorWeight / 3);
+    if (!fit) return null;
+    const from = segment[segment.length - 1];
+    if (from.temperature >= target) return { fit, from, eta: from.ts };
+    if (fit.tMax <= target) return { fit, from, eta: null };
+    const eta = from.ts + fit.tau * Math.log((fit.tMax - from.temperature) / (fit.tMax - target));
+    return { fit, from, eta };
+}
@@ -1,14 +1,21 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import SettingsProvider from './SettingsProvider';
+import { registerServiceWorker } from './pwa';
+import { requestPersistentStorage } from './storage';
 import './App.css';
 
-/*if ('serviceWorker' in navigator) {
-  navigator.serviceWorker.register('./service-worker.js');
-}*/
+// The service worker source is only usable after the build injects the file list
+if (import.meta.env.PROD) {
+  registerServiceWorker();
+}
+requestPersistentStorage().catch(err => console.warn("Persistent storage request failed:", err));
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    <SettingsProvider>
+      <App />
+    </SettingsProvider>
   </React.StrictMode>
 );
@@ -0,0 +1,103 @@
+// ingestion.js
+// Sits between the sensor factories and logSample. Stamps samples with
+// their receive time, drops repeated advertisements of the same
+// measurement by measurement_sequence_number per tag and keeps packet
+// loss statistics from gaps in the sequence. Accepted samples are
+// calibrated (see calibration.js), unless they come calibrated already
+// with a calibrationVersion, and get the derived humidity metrics of
+// heatIndex.js.
+
+import { withDerivedMetrics } from "./heatIndex";
+import { calibrateSample } from "./calibration";
+
+// Sequence counters wrap around at these values, by data format
+export const SEQUENCE_MODULO = {
+    5: 0x10000,
+    6: 0x100,
+    0xE1: 0x1000000
+};
+const DEFAULT_SEQUENCE_MODULO = 0x10000;
+// Sequence numbers this far behind the latest are late duplicates,
+// anything further back means the tag has restarted
+const MAX_REORDER = 16;
+
+function createStats() {
+    return {
+        received: 0,
+        accepted: 0,
+        duplicates: 0,
+        lost: 0,
+        gaps: 0,
+        wraps: 0,
+        resets: 0,
+        lastSequence: null
+    };
+}
+
+export function packetLossRatio(stats) {
+    const expected = stats.accepted + stats.lost;
+    return expected ? stats.lost / expected : 0;
+}
+
+export function createIngestor() {
+    const tags = new Map();
+    // Mac -> calibration
+    let calibrations = {};
+
+    function accept(sample) {
+        if (sample.calibrationVersion != null) return withDerivedMetrics(sample);
+        return withDerivedMetrics(calibrateSample(sample, calibrations[sample.mac]));
+    }
+
+    function getTagStats(mac) {
+        let stats = tags.get(mac);
+        if (!stats) {
+            stats = createStats();
+            tags.set(mac, stats);
+        }
+        return stats;
+    }
+
+    // Returns the sample to log, or null if it is a duplicate
+    function ingest(update, receivedAt = Date.now()) {
+        const sample = { ...update, ts: update.ts ?? receivedAt };
+        const stats = getTagStats(sample.mac ?? null);
+        stats.received += 1;
+
+        const sequence = sample.measurement_sequence_number;
+        if (sequence == null) {
+            stats.accepted += 1;
+            return accept(sample);
+        }
+        if (stats.lastSequence !== null) {
+            const modulo = SEQUENCE_MODULO[sample.dataFormat] ?? DEFAULT_SEQUENCE_MODULO;
+            const diff = ((sequence - stats.lastSequence) % modulo + modulo) % modulo;
+            if (diff === 0 || diff > modulo - MAX_REORDER) {
+                stats.duplicates += 1;
+                return null;
+            }
+            if (diff > modulo / 2) {
+                stats.resets += 1;
+            } else {
+                if (diff > 1) {
+                    stats.lost += diff - 1;
+                    stats.gaps += 1;
+                }
+                if (sequence < stats.lastSequence) stats.wraps += 1;
+            }
+        }
+        stats.lastSequence = sequence;
+        stats.accepted += 1;
+        return accept(sample);
+    }
+
+    return {
+        ingest,
+        // Calibrations by tag mac, tags without one are only clamped
+        setCalibrations(newCalibrations) {
+            calibrations = newCalibrations;
+        },
+        getStats: mac => tags.get(mac) ?? null,
+        getAllStats: () => new Map(tags)
+    };
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect } from "vitest";
+import { createIngestor, packetLossRatio } from "./ingestion";
+
+const MAC = "cb:b8:33:4c:88:4f";
+
+function advertisement(sequence, extra = {}) {
+    return { mac: MAC, dataFormat: 5, temperature: 80, humidity: 10, measurement_sequence_number: sequence, ...extra };
+}
+
+describe("createIngestor", () => {
+    it("drops repeated advertisements of a measurement", () => {
+        const ingestor = createIngestor();
+        expect(ingestor.ingest(advertisement(1), 1000)).not.toBeNull();
+        expect(ingestor.ingest(advertisement(1), 1100)).toBeNull();
+        expect(ingestor.ingest(advertisement(2), 2000)).not.toBeNull();
+        expect(ingestor.getStats(MAC)).toMatchObject({ received: 3, accepted: 2, duplicates: 1, lost: 0 });
+    });
+
+    it("drops late advertisements arriving out of order", () => {
+        const ingestor = createIngestor();
+        ingestor.ingest(advertisement(10));
+        ingestor.ingest(advertisement(12));
+        expect(ingestor.ingest(advertisement(11))).toBeNull();
+        expect(ingestor.getStats(MAC)).toMatchObject({ duplicates: 1, lost: 1, gaps: 1 });
+    });
+
+    it("counts lost measurements across the sequence wrap", () => {
+        const ingestor = createIngestor();
+        ingestor.ingest(advertisement(0xFFFE));
+        ingestor.ingest(advertisement(1));
+        const stats = ingestor.getStats(MAC);
+        expect(stats).toMatchObject({ accepted: 2, lost: 2, wraps: 1 });
+        expect(packetLossRatio(stats)).toBeCloseTo(0.5);
+    });
+
+    it("wraps one byte sequences of format 6", () => {
+        const ingestor = createIngestor();
+        ingestor.ingest(advertisement(0xFF, { dataFormat: 6 }));
+        expect(ingestor.ingest(advertisement(0, { dataFormat: 6 }))).not.toBeNull();
+        expect(ingestor.getStats(MAC)).toMatchObject({ lost: 0, wraps: 1 });
+    });
+
+    it("treats a jump backwards as a restarted tag", () => {
+        const ingestor = createIngestor();
+        ingestor.ingest(advertisement(5000));
+        expect(ingestor.ingest(advertisement(3))).not.toBeNull();
+        expect(ingestor.getStats(MAC)).toMatchObject({ resets: 1, lost: 0 });
+    });
+
+    it("accepts every sample without a sequence number", () => {
+        const ingestor = createIngestor();
+        expect(ingestor.ingest(advertisement(null), 1000)).not.toBeNull();
+        expect(ingestor.ingest(advertisement(null), 1000)).not.toBeNull();
+    });
+
+    it("stamps the receive time and keeps an original one", () => {
+        const ingestor = createIngestor();
+        expect(ingestor.ingest(advertisement(1), 1234).ts).toBe(1234);
+        expect(ingestor.ingest(advertisement(2, { ts: 99 }), 1234).ts).toBe(99);
+    });
+
+    it("calibrates samples unless they come calibrated", () => {
+        const ingestor = createIngestor();
+        ingestor.setCalibrations({ [MAC]: { version: 1, temperature: { offset: -2 }, humidity: { offset: 0 } } });
+        const sample = ingestor.ingest(advertisement(1));
+        expect(sample).toMatchObject({ temperature: 78, rawTemperature: 80, calibrationVersion: 1 });
+        expect(ingestor.ingest(advertisement(2, { calibrationVersion: 3 })).temperature).toBe(80);
+    });
+});
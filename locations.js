@@ -0,0 +1,48 @@
+// locations.js
+// Saunas the app is used in. A location is
+//
+//   { id, name, expectedRange, colorRanges, baseline }
+//
+// expectedRange is the [min, max] °C the sauna is normally heated to (or
+// null), colorRanges overrides the löyly colour scale per heat model like
+// the colorRanges setting, and baseline is the { temperature, humidity }
+// the fake löyly sensor settles to. Tags belong to a location through
+// locationId in the tags table, alert rules through their locationId.
+
+export const NEW_LOCATION = { name: "", expectedRange: null, colorRanges: {}, baseline: null };
+
+export function normalizeLocation(location) {
+    const name = location.name?.trim();
+    if (!name) throw new Error("Give the location a name");
+    const range = location.expectedRange;
+    if (range && !(range[0] < range[1])) throw new Error("Expected range minimum must be below the maximum");
+    for (const colorRange of Object.values(location.colorRanges ?? {})) {
+        if (!(colorRange[0] < colorRange[1])) throw new Error("Colour scale minimum must be below the maximum");
+    }
+    return { ...NEW_LOCATION, ...location, name };
+}
+
+export function locationMacs(tags, locationId) {
+    return tags.filter(tag => tag.locationId === locationId).map(tag => tag.mac);
+}
+
+// Filter for things with a mac (samples, sessions) in a location, null
+// location matches everything
+export function inLocation(tags, locationId) {
+    if (locationId == null) return () => true;
+    const macs = new Set(locationMacs(tags, locationId));
+    return item => macs.has(item.mac);
+}
+
+// Alert rules of a location apply to the tags in it. The engine (see
+// alerts.js) gets them with the macs resolved.
+export function resolveLocationRules(rules, tags) {
+    return rules.map(rule => rule.locationId == null ? rule : { ...rule, macs: locationMacs(tags, rule.locationId) });
+}
+
+// Whether temperature (°C) is outside the expected range of a location
+export function outsideExpectedRange(location, temperature) {
+    const range = location?.expectedRange;
+    if (!range || typeof temperature !== "number") return false;
+    return temperature < range[0] || temperature > range[1];
+}
@@ -0,0 +1,133 @@
+// loyly.js
+// Streaming löyly (steam throw) detection. A throw shows up as a sharp rise
+// in relative humidity: when RH rises at least minRhRise above the lowest
+// value of the last riseWindowMs, an event starts. The event follows the
+// peak and ends when RH has decayed to 1/e of the jump above the baseline,
+// which gives the decay time constant.
+
+export const LOYLY_DEFAULTS = {
+    minRhRise: 3,
+    riseWindowMs: 30 * 1000,
+    peakHoldMs: 15 * 1000,
+    maxDecayMs: 10 * 60 * 1000
+};
+
+export function createLoylyDetector(options = {}) {
+    const { minRhRise, riseWindowMs, peakHoldMs, maxDecayMs } = { ...LOYLY_DEFAULTS, ...options };
+    // Per tag: { window, event, phase, decayMin }
+    const states = new Map();
+
+    function getState(mac) {
+        let state = states.get(mac);
+        if (!state) {
+            state = { window: [], event: null, phase: "idle", decayMin: null };
+            states.set(mac, state);
+        }
+        return state;
+    }
+
+    function finish(state, events) {
+        events.push({ type: "end", event: state.event });
+        // Rises are measured from after the previous throw only
+        state.window = state.window.slice(-1);
+        state.event = null;
+        state.phase = "idle";
+        state.decayMin = null;
+    }
+
+    function start(state, mac, baseline, sample, events) {
+        state.event = {
+            mac,
+            ts: baseline.ts,
+            detectedTs: sample.ts,
+            baselineHumidity: baseline.humidity,
+            peakHumidity: sample.humidity,
+            peakTs: sample.ts,
+            rhJump: sample.humidity - baseline.humidity,
+            peakApparentTemperature: sample.apparentTemperature ?? null,
+            decayTau: null
+        };
+        state.phase = "rising";
+        events.push({ type: "start", event: state.event });
+    }
+
+    // Feed one sample, returns a list of { type, event } where type is
+    // "start" when a throw is detected, "update" while its peak is
+    // followed and "end" once it has decayed or was interrupted.
+    function push(sample) {
+        const events = [];
+        const { mac = null, ts, humidity, apparentTemperature } = sample;
+        if (ts == null || humidity == null) return events;
+        const state = getState(mac);
+
+        state.window.push({ ts, humidity });
+        while (state.window.length && ts - state.window[0].ts > riseWindowMs) {
+            state.window.shift();
+        }
+
+        const current = state.event;
+        if (current) {
+            if (apparentTemperature != null && (current.peakApparentTemperature === null || apparentTemperature > current.peakApparentTemperature)) {
+                current.peakApparentTemperature = apparentTemperature;
+            }
+            if (state.phase === "rising") {
+                if (humidity > current.peakHumidity) {
+                    current.peakHumidity = humidity;
+                    current.peakTs = ts;
+                    current.rhJump = humidity - current.baselineHumidity;
+                } else if (ts - current.peakTs >= peakHoldMs || humidity < current.peakHumidity - minRhRise / 4) {
+                    state.phase = "decaying";
+                }
+            }
+            if (state.phase === "decaying") {
+                const target = current.baselineHumidity + current.rhJump / Math.E;
+                if (humidity <= target) {
+                    current.decayTau = ts - current.peakTs;
+                    finish(state, events);
+                    return events;
+                }
+                if (ts - current.peakTs > maxDecayMs) {
+                    finish(state, events);
+                    return events;
+                }
+                // A new throw before the previous one has decayed
+                state.decayMin = state.decayMin === null || humidity < state.decayMin.humidity
+                    ? { ts, humidity }
+                    : state.decayMin;
+                if (humidity - state.decayMin.humidity >= minRhRise) {
+                    const baseline = state.decayMin;
+                    finish(state, events);
+                    start(state, mac, baseline, sample, events);
+                    return events;
+                }
+            }
+            events.push({ type: "update", event: current });
+            return events;
+        }
+
+        // Latest minimum, i.e. where the rise started
+        const baseline = state.window.reduce((min, s) => s.humidity <= min.humidity ? s : min);
+        if (humidity - baseline.humidity >= minRhRise) {
+            start(state, mac, baseline, sample, events);
+        }
+        return events;
+    }
+
+    return {
+        push,
+        getActiveEvent: mac => states.get(mac)?.event ?? null
+    };
+}
+
+// Run the detector over a list of samples sorted by ts. Throws that are
+// still decaying at the end are included with decayTau set to null.
+export function detectLoylyEvents(samples, options) {
+    const detector = createLoylyDetector(options);
+    const found = [];
+    for (const sample of samples) {
+        for (const { type, event } of detector.push(sample)) {
+            if (type === "start") found.push(event);
+        }
+    }
+    return found;
+}
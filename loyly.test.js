@@ -0,0 +1,87 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createLoylyDetector, detectLoylyEvents } from "./loyly";
+import { createDebugSensor, apparentTemperature } from "./ruuvi";
+
+const START = Date.UTC(2024, 0, 6, 17, 0, 0);
+
+// Samples of the debug sensor over seconds, with fake löyly at the given
+// seconds
+function debugCurve(seconds, throwsAt = []) {
+    vi.useFakeTimers({ now: START });
+    const samples = [];
+    const sensor = createDebugSensor(update => samples.push({ ...update, ts: update.ts ?? Date.now() }), { staleTimeoutMs: 0 });
+    sensor.start();
+    for (let second = 1; second <= seconds; second++) {
+        if (throwsAt.includes(second)) sensor.fakeLoyly();
+        vi.advanceTimersByTime(1000);
+    }
+    sensor.stop();
+    return samples;
+}
+
+// Heating from 20 to 80 °C in half an hour with the same amount of water in
+// the air, so RH falls, plus a slow rise of the kind a wet bench gives
+function heatingCurve() {
+    const samples = [];
+    for (let second = 0; second <= 30 * 60; second++) {
+        const temperature = 20 + 60 * (1 - Math.exp(-second / 600));
+        const humidity = 40 * Math.exp(-(temperature - 20) / 20) + second * 0.02;
+        samples.push({ mac: "debug-mac", ts: START + second * 1000, temperature, humidity, apparentTemperature: apparentTemperature(temperature, humidity) });
+    }
+    return samples;
+}
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe("detectLoylyEvents", () => {
+    it("finds each fake löyly of the debug sensor at its time", () => {
+        const throwsAt = [60, 300, 600];
+        const events = detectLoylyEvents(debugCurve(900, throwsAt));
+        expect(events).toHaveLength(throwsAt.length);
+        events.forEach((event, i) => {
+            expect(Math.abs(event.ts - (START + throwsAt[i] * 1000))).toBeLessThanOrEqual(1000);
+            expect(event.rhJump).toBeGreaterThan(5);
+            expect(event.decayTau).toBeGreaterThan(0);
+        });
+    });
+
+    it("separates a second throw before the first has decayed", () => {
+        const events = detectLoylyEvents(debugCurve(300, [60, 70]));
+        expect(events).toHaveLength(2);
+        expect(events[1].ts).toBeGreaterThan(events[0].ts);
+    });
+
+    it("finds nothing in a steady debug sensor", () => {
+        expect(detectLoylyEvents(debugCurve(600))).toHaveLength(0);
+    });
+
+    it("finds nothing while the sauna heats up", () => {
+        expect(detectLoylyEvents(heatingCurve())).toHaveLength(0);
+    });
+});
+
+describe("createLoylyDetector", () => {
+    it("follows the peak and ends the throw once it has decayed", () => {
+        const detector = createLoylyDetector();
+        const types = debugCurve(200, [60]).flatMap(sample => detector.push(sample).map(({ type }) => type));
+        expect(types.filter(type => type === "start")).toHaveLength(1);
+        expect(types.filter(type => type === "end")).toHaveLength(1);
+        expect(types.indexOf("start")).toBeLessThan(types.indexOf("end"));
+        expect(detector.getActiveEvent("debug-mac")).toBeNull();
+    });
+
+    it("keeps the tags apart", () => {
+        const detector = createLoylyDetector();
+        const samples = debugCurve(120, [60]);
+        const found = [];
+        for (const sample of samples) {
+            for (const mac of ["a", "b"]) {
+                if (mac === "b" && sample.ts > START + 30 * 1000) continue;
+                found.push(...detector.push({ ...sample, mac }).filter(({ type }) => type === "start"));
+            }
+        }
+        expect(found.map(({ event }) => event.mac)).toEqual(["a"]);
+    });
+});
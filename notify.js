@@ -0,0 +1,34 @@
+// notify.js
+// Delivery of fired alerts outside the page: system notifications and
+// vibration. Both are best effort, the in-app banner is always shown.
+
+const VIBRATION_PATTERN = [200, 100, 200];
+
+export function notificationsSupported() {
+    return typeof window !== "undefined" && "Notification" in window;
+}
+
+// Ask for notification permission, resolves to the permission state
+export async function requestNotificationPermission() {
+    if (!notificationsSupported()) return "unsupported";
+    if (Notification.permission !== "default") return Notification.permission;
+    return Notification.requestPermission();
+}
+
+// Notifications with the same tag replace each other, tag should tell the
+// rule and the sensor tag apart
+export async function deliverAlert(title, body, tag = title) {
+    navigator.vibrate?.(VIBRATION_PATTERN);
+    if (!notificationsSupported() || Notification.permission !== "granted") return;
+    try {
+        new Notification(title, { body, tag });
+    } catch (err) {
+        // Mobile browsers only allow notifications through a service worker
+        const registration = await navigator.serviceWorker?.getRegistration();
+        if (!registration) {
+            console.warn("Notification failed:", err);
+            return;
+        }
+        await registration.showNotification(title, { body, tag });
+    }
+}
@@ -0,0 +1,54 @@
+// pwa.js
+// Service worker registration and the update flow. A new version installs
+// in the background and waits until the user chooses to reload, so a
+// running measurement isn't interrupted.
+
+let waitingWorker = null;
+const listeners = new Set();
+
+function setWaiting(worker) {
+    waitingWorker = worker;
+    for (const listener of listeners) listener(worker !== null);
+}
+
+export function registerServiceWorker(url = "./service-worker.js") {
+    if (!("serviceWorker" in navigator)) return;
+    window.addEventListener("load", async () => {
+        try {
+            const registration = await navigator.serviceWorker.register(url);
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                setWaiting(registration.waiting);
+            }
+            registration.addEventListener("updatefound", () => {
+                const worker = registration.installing;
+                worker?.addEventListener("statechange", () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === "installed" && navigator.serviceWorker.controller) {
+                        setWaiting(worker);
+                    }
+                });
+            });
+        } catch (err) {
+            console.warn("Service worker registration failed:", err);
+        }
+    });
+    let reloading = false;
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+}
+
+// Calls listener(available) when an update is or stops being available,
+// returns an unsubscribe function
+export function onUpdateAvailable(listener) {
+    listeners.add(listener);
+    listener(waitingWorker !== null);
+    return () => listeners.delete(listener);
+}
+
+// Activate the waiting version, the page reloads when it takes over
+export function applyUpdate() {
+    waitingWorker?.postMessage({ type: "SKIP_WAITING" });
+}
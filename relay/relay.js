@@ -0,0 +1,220 @@
+// Live view relay: forwards samples from publishing phones to subscribing
+// browsers in the same room, and keeps the latest Ruuvi Gateway HTTP post
+// for the app's gateway source (gateway.js). Plain Node, no dependencies,
+// so it runs on a laptop or Raspberry Pi in the sauna cabin without
+// internet. See README.md for the protocol.
+//
+//   node relay/relay.js [port]
+
+import http from "node:http";
+import { MAX_PAYLOAD, OPCODES, acceptKey, encodeFrame, decodeFrame } from "./websocket.js";
+import {
+    PROTOCOL_VERSION, DEFAULT_RELAY_PORT, HISTORY_LIMIT,
+    parseMessage, encodeMessage, historyMessage, sampleMessage, statusMessage, errorMessage
+} from "../remoteProtocol.js";
+
+const port = Number(process.argv[2] ?? process.env.PORT ?? DEFAULT_RELAY_PORT);
+// Room name -> { publishers, subscribers, history }
+const rooms = new Map();
+
+function getRoom(name) {
+    let room = rooms.get(name);
+    if (!room) {
+        room = { publishers: new Set(), subscribers: new Set(), history: [] };
+        rooms.set(name, room);
+    }
+    return room;
+}
+
+// Server side connection, the framing is in websocket.js
+function createClient(socket) {
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+    const client = {
+        role: null,
+        room: null,
+        onMessage: () => {},
+        onClose: () => {},
+        send(message) {
+            if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(encodeMessage(message))));
+        },
+        close(code = 1000) {
+            const payload = Buffer.alloc(2);
+            payload.writeUInt16BE(code);
+            if (!socket.destroyed) socket.end(encodeFrame(OPCODES.close, payload));
+        }
+    };
+
+    function readFrame() {
+        const frame = decodeFrame(buffer);
+        if (frame?.tooLarge) {
+            client.close(1009);
+            return null;
+        }
+        if (frame) buffer = buffer.subarray(frame.size);
+        return frame;
+    }
+
+    socket.on("data", chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = readFrame())) {
+            if (frame.opcode === OPCODES.close) {
+                client.close();
+                return;
+            }
+            if (frame.opcode === OPCODES.ping) {
+                socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                continue;
+            }
+            if (frame.opcode === OPCODES.pong || frame.opcode === OPCODES.binary) continue;
+            fragments.push(frame.payload);
+            if (frame.fin) {
+                const text = Buffer.concat(fragments).toString("utf8");
+                fragments = [];
+                client.onMessage(text);
+            }
+        }
+    });
+    // Upgraded HTTP sockets stay half open, a client going away without a
+    // close frame would otherwise never be dropped from its room
+    socket.on("end", () => socket.destroy());
+    socket.on("close", () => client.onClose());
+    socket.on("error", () => socket.destroy());
+    return client;
+}
+
+function broadcastStatus(name) {
+    const room = getRoom(name);
+    const status = statusMessage(name, room.publishers.size, room.subscribers.size);
+    for (const client of [...room.publishers, ...room.subscribers]) client.send(status);
+}
+
+function handleMessage(client, text) {
+    const message = parseMessage(text);
+    if (!message) {
+        client.send(errorMessage("Malformed message"));
+        return;
+    }
+    if (message.type === "hello") {
+        if (message.version !== PROTOCOL_VERSION) {
+            client.send(errorMessage(`Unsupported protocol version ${message.version}, this relay speaks ${PROTOCOL_VERSION}`));
+            client.close(1002);
+            return;
+        }
+        if (client.room !== null) return;
+        client.role = message.role;
+        client.room = message.room;
+        const room = getRoom(message.room);
+        room[message.role === "publisher" ? "publishers" : "subscribers"].add(client);
+        if (message.role === "subscriber") client.send(historyMessage(room.history));
+        broadcastStatus(message.room);
+        return;
+    }
+    if (message.type === "sample" && client.role === "publisher") {
+        const room = getRoom(client.room);
+        room.history.push(message.sample);
+        if (room.history.length > HISTORY_LIMIT) room.history.shift();
+        const forwarded = sampleMessage(message.sample);
+        for (const subscriber of room.subscribers) subscriber.send(forwarded);
+        return;
+    }
+    client.send(errorMessage(`Unexpected ${message.type} message`));
+}
+
+const CORS_HEADERS = {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type"
+};
+// Latest payload POSTed by a Ruuvi Gateway, served to the app's gateway source
+let gatewayPayload = null;
+
+function respond(response, status, body = null) {
+    response.writeHead(status, body === null ? CORS_HEADERS : { ...CORS_HEADERS, "Content-Type": "application/json" });
+    response.end(body === null ? undefined : JSON.stringify(body));
+}
+
+function receiveGatewayPayload(request, response) {
+    const chunks = [];
+    let size = 0;
+    request.on("data", chunk => {
+        size += chunk.length;
+        if (size > MAX_PAYLOAD) {
+            respond(response, 413);
+            request.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    request.on("end", () => {
+        let payload;
+        try {
+            payload = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+        } catch {
+            payload = null;
+        }
+        if (!payload?.data?.tags && !payload?.tags) {
+            respond(response, 400, { error: "Expected a Ruuvi Gateway payload with data.tags" });
+            return;
+        }
+        gatewayPayload = payload;
+        respond(response, 204);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://relay");
+    if (request.method === "OPTIONS") {
+        respond(response, 204);
+        return;
+    }
+    if (pathname === "/gateway") {
+        if (request.method === "POST") {
+            receiveGatewayPayload(request, response);
+        } else if (gatewayPayload) {
+            respond(response, 200, gatewayPayload);
+        } else {
+            respond(response, 404, { error: "No gateway has posted yet" });
+        }
+        return;
+    }
+    // Anything else gets the room status, handy for checking the relay
+    const status = Array.from(rooms, ([name, room]) => ({
+        room: name,
+        publishers: room.publishers.size,
+        subscribers: room.subscribers.size,
+        samples: room.history.length
+    }));
+    respond(response, 200, { version: PROTOCOL_VERSION, rooms: status });
+});
+
+server.on("upgrade", (request, socket) => {
+    const key = request.headers["sec-websocket-key"];
+    if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return;
+    }
+    socket.write([
+        "HTTP/1.1 101 Switching Protocols",
+        "Upgrade: websocket",
+        "Connection: Upgrade",
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        "", ""
+    ].join("\r\n"));
+    socket.setNoDelay(true);
+    const client = createClient(socket);
+    client.onMessage = text => handleMessage(client, text);
+    client.onClose = () => {
+        if (client.room === null) return;
+        const room = getRoom(client.room);
+        room.publishers.delete(client);
+        room.subscribers.delete(client);
+        broadcastStatus(client.room);
+    };
+});
+
+server.listen(port, () => {
+    // Port 0 picks a free one, e.g. for the tests
+    console.log(`Löyly relay listening on ws://0.0.0.0:${server.address().port}`);
+});
@@ -0,0 +1,194 @@
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import http from "node:http";
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { OPCODES, decodeFrame } from "./websocket.js";
+import { HISTORY_LIMIT, PROTOCOL_VERSION, helloMessage, sampleMessage } from "../remoteProtocol.js";
+
+let relay, port;
+
+// Start relay.js on a free port and read the port from its log line
+beforeAll(async () => {
+    relay = spawn(process.execPath, [new URL("./relay.js", import.meta.url).pathname, "0"], { stdio: ["ignore", "pipe", "inherit"] });
+    port = await new Promise((resolve, reject) => {
+        relay.stdout.on("data", chunk => {
+            const match = /:(\d+)/.exec(chunk.toString());
+            if (match) resolve(Number(match[1]));
+        });
+        relay.on("exit", code => reject(new Error(`Relay exited with ${code}`)));
+    });
+});
+
+afterAll(() => {
+    relay?.kill();
+});
+
+// Client frames have to be masked
+function maskedFrame(text) {
+    const payload = Buffer.from(text);
+    const mask = crypto.randomBytes(4);
+    const header = payload.length < 126
+        ? Buffer.from([0x80 | OPCODES.text, 0x80 | payload.length])
+        : Buffer.from([0x80 | OPCODES.text, 0x80 | 126, payload.length >> 8, payload.length & 0xFF]);
+    return Buffer.concat([header, mask, payload.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+// WebSocket client collecting the relay's messages
+function connect() {
+    return new Promise((resolve, reject) => {
+        const request = http.request({
+            host: "127.0.0.1",
+            port,
+            headers: {
+                Connection: "Upgrade",
+                Upgrade: "websocket",
+                "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+                "Sec-WebSocket-Version": "13"
+            }
+        });
+        request.on("error", reject);
+        request.on("upgrade", (response, socket, head) => {
+            const messages = [];
+            let buffer = head;
+            let closed = false;
+            socket.on("data", chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let frame;
+                while ((frame = decodeFrame(buffer))) {
+                    buffer = buffer.subarray(frame.size);
+                    if (frame.opcode === OPCODES.text) messages.push(JSON.parse(frame.payload.toString()));
+                }
+            });
+            socket.on("close", () => {
+                closed = true;
+            });
+            resolve({
+                messages,
+                get closed() {
+                    return closed;
+                },
+                send: message => socket.write(maskedFrame(JSON.stringify(message))),
+                close: () => socket.destroy(),
+                // Resolves to the count-th message of type
+                async next(type, count = 1) {
+                    await waitFor(() => messages.filter(m => m.type === type).length >= count);
+                    return messages.filter(m => m.type === type)[count - 1];
+                }
+            });
+        });
+        request.end();
+    });
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+    const until = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > until) throw new Error("Timed out");
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+async function fetchJson(path, options) {
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, options);
+    return { status: response.status, body: response.status === 204 ? null : await response.json() };
+}
+
+const sample = i => ({ mac: "cb:b8:33:4c:88:4f", ts: 1700000000000 + i * 1000, temperature: 80 + i / 100, humidity: 10 });
+
+describe("relay", () => {
+    it("joins rooms and fans samples out to the subscribers", async () => {
+        const publisher = await connect();
+        const subscriber = await connect();
+        publisher.send(helloMessage("publisher", "fanout"));
+        await publisher.next("status");
+        subscriber.send(helloMessage("subscriber", "fanout"));
+        expect(await subscriber.next("history")).toEqual({ type: "history", samples: [] });
+        expect(await publisher.next("status", 2)).toEqual({ type: "status", room: "fanout", publishers: 1, subscribers: 1 });
+
+        publisher.send(sampleMessage(sample(1)));
+        expect(await subscriber.next("sample")).toEqual(sampleMessage(sample(1)));
+        // Samples go to subscribers only
+        expect(publisher.messages.some(m => m.type === "sample")).toBe(false);
+
+        subscriber.close();
+        expect(await publisher.next("status", 3)).toMatchObject({ publishers: 1, subscribers: 0 });
+        publisher.close();
+    });
+
+    it("keeps rooms apart", async () => {
+        const publisher = await connect();
+        const other = await connect();
+        publisher.send(helloMessage("publisher", "sauna-a"));
+        other.send(helloMessage("subscriber", "sauna-b"));
+        await other.next("history");
+        publisher.send(sampleMessage(sample(1)));
+        await publisher.next("status");
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(other.messages.some(m => m.type === "sample")).toBe(false);
+        publisher.close();
+        other.close();
+    });
+
+    it("replays the latest HISTORY_LIMIT samples to late subscribers", async () => {
+        const publisher = await connect();
+        const early = await connect();
+        publisher.send(helloMessage("publisher", "history"));
+        early.send(helloMessage("subscriber", "history"));
+        await early.next("history");
+        for (let i = 0; i < HISTORY_LIMIT + 10; i++) publisher.send(sampleMessage(sample(i)));
+        // The relay has stored them all once they have been forwarded
+        await early.next("sample", HISTORY_LIMIT + 10);
+
+        const late = await connect();
+        late.send(helloMessage("subscriber", "history"));
+        const { samples } = await late.next("history");
+        expect(samples).toHaveLength(HISTORY_LIMIT);
+        expect(samples[0]).toEqual(sample(10));
+        expect(samples.at(-1)).toEqual(sample(HISTORY_LIMIT + 9));
+        for (const client of [publisher, early, late]) client.close();
+    });
+
+    it("reports errors and refuses other protocol versions", async () => {
+        const client = await connect();
+        client.send({ type: "sample", sample: sample(1) });
+        expect((await client.next("error")).message).toMatch(/Unexpected sample/);
+        client.send({ type: "nonsense" });
+        expect((await client.next("error", 2)).message).toMatch(/Malformed/);
+        client.send({ ...helloMessage("subscriber", "old"), version: PROTOCOL_VERSION + 1 });
+        expect((await client.next("error", 3)).message).toMatch(/Unsupported protocol version/);
+        await waitFor(() => client.closed);
+    });
+
+    it("lists the rooms", async () => {
+        const subscriber = await connect();
+        subscriber.send(helloMessage("subscriber", "listed"));
+        await subscriber.next("history");
+        const { status, body } = await fetchJson("/");
+        expect(status).toBe(200);
+        expect(body.version).toBe(PROTOCOL_VERSION);
+        expect(body.rooms).toContainEqual({ room: "listed", publishers: 0, subscribers: 1, samples: 0 });
+        subscriber.close();
+    });
+});
+
+describe("relay /gateway", () => {
+    const gateway = { data: { tags: { "C8:25:2D:8E:9C:2C": { rssi: -62, timestamp: "1700000000", data: "0201061BFF99040512FC5394C37C0004FFFC040CAC364200CDCBB8334C884F" } } } };
+
+    it("serves the latest gateway post", async () => {
+        expect((await fetchJson("/gateway")).status).toBe(404);
+        const posted = await fetchJson("/gateway", { method: "POST", body: JSON.stringify(gateway), headers: { "Content-Type": "application/json" } });
+        expect(posted.status).toBe(204);
+        expect(await fetchJson("/gateway")).toEqual({ status: 200, body: gateway });
+    });
+
+    it("refuses posts that aren't gateway payloads", async () => {
+        expect((await fetchJson("/gateway", { method: "POST", body: "{\"hello\":1}" })).status).toBe(400);
+        expect((await fetchJson("/gateway", { method: "POST", body: "not json" })).status).toBe(400);
+    });
+
+    it("allows cross-origin requests", async () => {
+        const response = await fetch(`http://127.0.0.1:${port}/gateway`, { method: "OPTIONS" });
+        expect(response.status).toBe(204);
+        expect(response.headers.get("access-control-allow-origin")).toBe("*");
+    });
+});
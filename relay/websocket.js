@@ -0,0 +1,64 @@
+// Minimal RFC 6455 framing for the server side of the relay: the handshake
+// accept key and encoding and decoding of single frames. Works on Buffers
+// only, the sockets are handled in relay.js.
+
+import crypto from "node:crypto";
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+export const MAX_PAYLOAD = 1024 * 1024;
+export const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+// Sec-WebSocket-Accept for the Sec-WebSocket-Key of a client
+export function acceptKey(key) {
+    return crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+}
+
+// Unmasked final frame, servers never mask
+export function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// First frame of buffer as { fin, opcode, payload, size } where size is the
+// number of bytes it took, { tooLarge: true } for a payload over
+// maxPayload, or null until the whole frame has arrived
+export function decodeFrame(buffer, maxPayload = MAX_PAYLOAD) {
+    if (buffer.length < 2) return null;
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    if (length > maxPayload) return { tooLarge: true };
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + i % 4];
+    }
+    return { fin, opcode, payload, size: offset + length };
+}
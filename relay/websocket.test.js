@@ -0,0 +1,64 @@
+import { describe, it, expect } from "vitest";
+import { acceptKey, encodeFrame, decodeFrame, OPCODES } from "./websocket.js";
+import fixtures from "../fixtures/websocket-frames.json";
+
+const hex = text => Buffer.from(text, "hex");
+
+describe("acceptKey", () => {
+    it("answers the handshake example of RFC 6455", () => {
+        expect(acceptKey(fixtures.handshake.key)).toBe(fixtures.handshake.accept);
+    });
+});
+
+describe("encodeFrame", () => {
+    it("encodes a short text frame", () => {
+        expect(encodeFrame(OPCODES.text, Buffer.from("Hello")).toString("hex").toUpperCase()).toBe(fixtures.unmaskedText);
+    });
+
+    it("uses the 16 and 64 bit lengths", () => {
+        expect(encodeFrame(OPCODES.binary, Buffer.alloc(256)).subarray(0, 4)).toEqual(hex(fixtures.binary256Header));
+        expect(encodeFrame(OPCODES.binary, Buffer.alloc(65536)).subarray(0, 10)).toEqual(hex(fixtures.binary65536Header));
+    });
+});
+
+describe("decodeFrame", () => {
+    it("unmasks client frames", () => {
+        const frame = decodeFrame(hex(fixtures.maskedText));
+        expect(frame).toMatchObject({ fin: true, opcode: OPCODES.text, size: 11 });
+        expect(frame.payload.toString()).toBe("Hello");
+    });
+
+    it("reads fragments", () => {
+        const [first, last] = fixtures.fragmentedText.map(text => decodeFrame(hex(text)));
+        expect(first).toMatchObject({ fin: false, opcode: OPCODES.text });
+        expect(last).toMatchObject({ fin: true, opcode: OPCODES.continuation });
+        expect(Buffer.concat([first.payload, last.payload]).toString()).toBe("Hello");
+    });
+
+    it("reads control frames", () => {
+        expect(decodeFrame(hex(fixtures.maskedPing))).toMatchObject({ opcode: OPCODES.ping });
+    });
+
+    it("waits for the rest of a frame", () => {
+        const bytes = hex(fixtures.maskedText);
+        expect(decodeFrame(bytes.subarray(0, 1))).toBeNull();
+        expect(decodeFrame(bytes.subarray(0, 8))).toBeNull();
+        expect(decodeFrame(hex(fixtures.binary256Header).subarray(0, 3))).toBeNull();
+    });
+
+    it("reads frames back to back", () => {
+        const bytes = Buffer.concat(fixtures.fragmentedText.map(hex));
+        const first = decodeFrame(bytes);
+        expect(decodeFrame(bytes.subarray(first.size)).payload.toString()).toBe("lo");
+    });
+
+    it("round trips long frames", () => {
+        const payload = Buffer.alloc(70000, 7);
+        const frame = decodeFrame(encodeFrame(OPCODES.binary, payload));
+        expect(frame.payload).toEqual(payload);
+    });
+
+    it("refuses payloads over the limit", () => {
+        expect(decodeFrame(hex(fixtures.binary65536Header), 1024)).toEqual({ tooLarge: true });
+    });
+});
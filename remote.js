@@ -0,0 +1,162 @@
+// remote.js
+// Live view sharing over a WebSocket relay (relay/relay.js, protocol in
+// relay/README.md). The phone holding the Bluetooth scan publishes every
+// ingested sample; other browsers use the remote sensor, which feeds the
+// relayed samples through the same onUpdate interface as the Bluetooth
+// sensors.
+import { createConnection, backoffDelay } from "./connection";
+import { helloMessage, sampleMessage, encodeMessage, parseMessage } from "./remoteProtocol";
+
+export function webSocketUnavailableReason() {
+    return typeof WebSocket === "undefined" ? "WebSocket is not available in this browser." : null;
+}
+
+// Socket to the relay that says hello on open and reconnects with backoff
+// until closed. onOpen, onMessage and onClose(wasOpen) are optional.
+function createRelaySocket({ url, role, room, onOpen = () => {}, onMessage = () => {}, onClose = () => {} }) {
+    let socket = null;
+    let reconnectTimer = null;
+    let attempt = 0;
+    let closed = false;
+
+    function connect() {
+        const ws = new WebSocket(url);
+        let opened = false;
+        socket = ws;
+        ws.onopen = () => {
+            opened = true;
+            attempt = 0;
+            ws.send(encodeMessage(helloMessage(role, room)));
+            onOpen();
+        };
+        ws.onmessage = event => {
+            const message = parseMessage(event.data);
+            if (message) onMessage(message);
+        };
+        ws.onclose = () => {
+            if (socket !== ws) return;
+            socket = null;
+            if (closed) return;
+            onClose(opened);
+            reconnectTimer = setTimeout(() => {
+                reconnectTimer = null;
+                attempt += 1;
+                connect();
+            }, backoffDelay(attempt));
+        };
+    }
+
+    connect();
+    return {
+        get open() {
+            return socket?.readyState === WebSocket.OPEN;
+        },
+        send(message) {
+            if (socket?.readyState !== WebSocket.OPEN) return false;
+            socket.send(encodeMessage(message));
+            return true;
+        },
+        close() {
+            closed = true;
+            if (reconnectTimer) clearTimeout(reconnectTimer);
+            reconnectTimer = null;
+            const ws = socket;
+            socket = null;
+            ws?.close();
+        }
+    };
+}
+
+// Forwards samples to the relay. Samples published while the relay is
+// unreachable are dropped, the relay only keeps recent history anyway.
+// onStatus gets { connected, publishers, subscribers }.
+export function createPublisher({ url, room, onStatus = () => {} }) {
+    let status = { connected: false, publishers: 0, subscribers: 0 };
+
+    function update(changes) {
+        status = { ...status, ...changes };
+        onStatus(status);
+    }
+
+    const socket = createRelaySocket({
+        url,
+        role: "publisher",
+        room,
+        onOpen: () => update({ connected: true }),
+        onMessage: message => {
+            if (message.type === "status") {
+                update({ publishers: message.publishers, subscribers: message.subscribers });
+            } else if (message.type === "error") {
+                console.warn("Relay:", message.message);
+            }
+        },
+        onClose: () => update({ connected: false, publishers: 0, subscribers: 0 })
+    });
+
+    return {
+        publish(sample) {
+            return socket.send(sampleMessage(sample));
+        },
+        close() {
+            socket.close();
+        }
+    };
+}
+
+// Sensor source subscribing to a relay room. Samples keep their original
+// receive time and tag, and arrive calibrated by the publishing phone.
+export function createRemoteSensor(onUpdate, { url, room, ...options } = {}) {
+    const connection = createConnection(options);
+    // Latest timestamp per tag, the relay resends its history on reconnect
+    const lastTs = new Map();
+    let socket = null;
+
+    function receive(sample) {
+        if (sample.ts != null && sample.ts <= (lastTs.get(sample.mac) ?? -Infinity)) return;
+        if (sample.ts != null) lastTs.set(sample.mac, sample.ts);
+        // Samples were calibrated by the sender, the calibration version
+        // tells the ingestor not to calibrate them again
+        const { id, ...rest } = sample;
+        connection.data();
+        onUpdate({ ...rest, calibrationVersion: rest.calibrationVersion ?? 0 });
+    }
+
+    return {
+        connection,
+        async start() {
+            const unavailable = webSocketUnavailableReason();
+            if (unavailable) {
+                connection.fail(unavailable);
+                return;
+            }
+            if (!url) {
+                connection.fail("No relay address set, see Settings.");
+                return;
+            }
+            connection.start();
+            socket = createRelaySocket({
+                url,
+                role: "subscriber",
+                room,
+                onMessage: message => {
+                    if (message.type === "history") {
+                        message.samples.forEach(receive);
+                    } else if (message.type === "sample") {
+                        receive(message.sample);
+                    } else if (message.type === "error") {
+                        socket?.close();
+                        connection.fail(`Relay: ${message.message}`);
+                    }
+                },
+                onClose: wasOpen => connection.reconnecting(
+                    wasOpen ? "Lost connection to the relay, reconnecting" : `Relay ${url} is not reachable, retrying`
+                )
+            });
+        },
+        stop() {
+            socket?.close();
+            socket = null;
+            connection.stop();
+        }
+    };
+}
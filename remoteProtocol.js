@@ -0,0 +1,59 @@
+// remoteProtocol.js
+// Messages of the live view sharing protocol, see relay/README.md. Shared
+// by the browser (remote.js) and the Node relay, so this module has no
+// imports.
+
+export const PROTOCOL_VERSION = 1;
+export const DEFAULT_RELAY_PORT = 8787;
+// Samples the relay keeps per room for subscribers that join late
+export const HISTORY_LIMIT = 600;
+
+export const ROLES = ["publisher", "subscriber"];
+
+export function helloMessage(role, room) {
+    return { type: "hello", version: PROTOCOL_VERSION, role, room };
+}
+
+export function sampleMessage(sample) {
+    return { type: "sample", sample };
+}
+
+export function historyMessage(samples) {
+    return { type: "history", samples };
+}
+
+export function statusMessage(room, publishers, subscribers) {
+    return { type: "status", room, publishers, subscribers };
+}
+
+export function errorMessage(message) {
+    return { type: "error", message };
+}
+
+export function encodeMessage(message) {
+    return JSON.stringify(message);
+}
+
+// Parse and validate a received message, null if it isn't one
+export function parseMessage(text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!message || typeof message !== "object") return null;
+    switch (message.type) {
+        case "hello":
+            return ROLES.includes(message.role) && typeof message.room === "string" ? message : null;
+        case "sample":
+            return message.sample && typeof message.sample === "object" ? message : null;
+        case "history":
+            return Array.isArray(message.samples) ? message : null;
+        case "status":
+        case "error":
+            return message;
+        default:
+            return null;
+    }
+}
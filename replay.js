@@ -0,0 +1,66 @@
+// replay.js
+// Sensor source that plays back stored or imported samples through the
+// same onUpdate interface as the Bluetooth sensors, keeping the original
+// spacing of the samples divided by speed. Replayed samples are only
+// shown, never stored or checked against the alert rules.
+import { createConnection } from "./connection";
+
+export const REPLAY_SPEEDS = [1, 10, 60];
+
+// Replayed samples get their own tag so they don't mix with the real tag's samples
+export function replayMac(mac) {
+    return `replay:${mac ?? "unknown"}`;
+}
+
+export function createReplaySensor(onUpdate, { samples = [], speed = 1, loop = false, ...options } = {}) {
+    const connection = createConnection(options);
+    const sorted = samples.filter(s => s.ts != null).sort((a, b) => a.ts - b.ts);
+    let timer = null;
+    let index = 0;
+
+    function emit() {
+        timer = null;
+        if (index >= sorted.length) {
+            if (!loop || !sorted.length) {
+                connection.stop();
+                return;
+            }
+            index = 0;
+        }
+        // Replayed samples are stamped with the receive time by ingestion.
+        // The stored values are replayed as they were calibrated.
+        const { id, ts, measurement_sequence_number, rawTemperature, rawHumidity, calibrationVersion, ...sample } = sorted[index];
+        connection.data();
+        onUpdate({
+            ...sample,
+            name: `Replay of ${sample.name ?? sample.mac ?? "samples"}`,
+            mac: replayMac(sample.mac)
+        });
+        index += 1;
+        const next = sorted[index];
+        const delay = next ? (next.ts - ts) / speed : 1000 / speed;
+        timer = setTimeout(emit, Math.max(0, delay));
+    }
+
+    return {
+        connection,
+        replay: true,
+        async start() {
+            if (!sorted.length) {
+                connection.fail("Nothing to replay");
+                return;
+            }
+            connection.start();
+            index = 0;
+            emit();
+        },
+        stop() {
+            if (timer) clearTimeout(timer);
+            timer = null;
+            connection.stop();
+        },
+        get progress() {
+            return sorted.length ? index / sorted.length : 0;
+        }
+    };
+}
@@ -1,44 +1,180 @@
 // ruuvi.js
-// Ruuvi Data Format 5 decoder (binary, 24 bytes)
+import { createConnection, backoffDelay, bluetoothUnavailableReason } from "./connection";
+import { encodeLogReadCommand, parseLogRecord, isLogRecord, createLogAssembler } from "./ruuviLog";
+
+// Ruuvi manufacturer data decoders. Each decoder takes the manufacturer
+// specific payload (company id 0x0499 already stripped, first byte is the
+// data format) and returns a sample or null if the payload is not valid.
+
+function formatMac(dataView, offset, length) {
+    return Array.from({ length }, (_, i) => dataView.getUint8(offset + i).toString(16).padStart(2, '0')).join(":");
+}
+
+function isFormat(dataView, format, length) {
+    return dataView instanceof DataView
+        && dataView.byteLength === length
+        && dataView.getUint8(0) === format;
+}
+
+// Data Format 3 (RAWv1, 14 bytes)
+export function decodeRuuviDF3(dataView) {
+    if (!isFormat(dataView, 0x03, 14)) return null;
+    const humidity = dataView.getUint8(1) / 2.0;
+    const tempInt = dataView.getUint8(2);
+    const tempFrac = dataView.getUint8(3);
+    // Sign is stored in the MSB of the integer part
+    const temperature = (tempInt & 0x80 ? -1 : 1) * ((tempInt & 0x7F) + tempFrac / 100.0);
+    const pressure = (dataView.getUint16(4, false) + 50000) / 100.0;
+    return {
+        dataFormat: 3,
+        humidity,
+        temperature,
+        pressure,
+        acceleration_x: dataView.getInt16(6, false),
+        acceleration_y: dataView.getInt16(8, false),
+        acceleration_z: dataView.getInt16(10, false),
+        battery: dataView.getUint16(12, false),
+        txPower: null,
+        movement_counter: null,
+        measurement_sequence_number: null,
+        mac: null
+    };
+}
+
+// Data Format 5 (RAWv2, 24 bytes)
 export function decodeRuuviDF5(dataView) {
-    if (!(dataView instanceof DataView)&& dataView.getUint8(0) !== 0x05) return null;
-    try {
-        let tempRaw = dataView.getInt16(1, false);
-        const temperature = tempRaw === -32768 ? null : +(tempRaw / 200.0);
-        const humidityRaw = dataView.getUint16(3, false);
-        const humidity = humidityRaw === 0xFFFF ? null : +(humidityRaw / 400.0);
-        const pressureRaw = dataView.getUint16(5, false);
-        const pressure = pressureRaw === 0xFFFF ? null : +((pressureRaw + 50000) / 100.0);
-        let accX = dataView.getInt16(7, false);
-        let accY = dataView.getInt16(9, false);
-        let accZ = dataView.getInt16(11, false);
-        if (accX === -32768) accX = null;
-        if (accY === -32768) accY = null;
-        if (accZ === -32768) accZ = null;
-        const powerInfo = dataView.getUint8(13);
-        const batteryVoltage = powerInfo >> 5;
-        const txPowerRaw = powerInfo & 0x1F;
-        const battery = batteryVoltage === 0b1111111 ? null : 1600 + batteryVoltage;
-        const txPower = txPowerRaw === 0b11111 ? null : -40 + (txPowerRaw * 2);
-        const movement_counter = dataView.getUint8(15);
-        const measurement_sequence_number = dataView.getUint16(16, false);
-        //const mac = Array.from({length: 6}, (_, i) => dataView.getUint8(18 + i).toString(16).padStart(2, '0')).join(":");
-        return {
-            humidity,
-            temperature,
-            pressure,
-            acceleration_x: accX,
-            acceleration_y: accY,
-            acceleration_z: accZ,
-            battery,
-            txPower,
-            movement_counter,
-            measurement_sequence_number,
-            //mac
-        };
-    } catch (e) {
-        return null;
-    }
+    if (!isFormat(dataView, 0x05, 24)) return null;
+    const tempRaw = dataView.getInt16(1, false);
+    const temperature = tempRaw === -32768 ? null : tempRaw / 200.0;
+    const humidityRaw = dataView.getUint16(3, false);
+    const humidity = humidityRaw === 0xFFFF ? null : humidityRaw / 400.0;
+    const pressureRaw = dataView.getUint16(5, false);
+    const pressure = pressureRaw === 0xFFFF ? null : (pressureRaw + 50000) / 100.0;
+    let accX = dataView.getInt16(7, false);
+    let accY = dataView.getInt16(9, false);
+    let accZ = dataView.getInt16(11, false);
+    if (accX === -32768) accX = null;
+    if (accY === -32768) accY = null;
+    if (accZ === -32768) accZ = null;
+    // 11 bits of battery voltage above 1600 mV, 5 bits of tx power
+    const powerInfo = dataView.getUint16(13, false);
+    const batteryRaw = powerInfo >> 5;
+    const txPowerRaw = powerInfo & 0x1F;
+    const battery = batteryRaw === 0x7FF ? null : 1600 + batteryRaw;
+    const txPower = txPowerRaw === 0x1F ? null : -40 + (txPowerRaw * 2);
+    const movementRaw = dataView.getUint8(15);
+    const sequenceRaw = dataView.getUint16(16, false);
+    return {
+        dataFormat: 5,
+        humidity,
+        temperature,
+        pressure,
+        acceleration_x: accX,
+        acceleration_y: accY,
+        acceleration_z: accZ,
+        battery,
+        txPower,
+        movement_counter: movementRaw === 0xFF ? null : movementRaw,
+        measurement_sequence_number: sequenceRaw === 0xFFFF ? null : sequenceRaw,
+        mac: formatMac(dataView, 18, 6)
+    };
+}
+
+// Luminosity in DF6 is a logarithmic 8 bit code
+function decodeDF6Luminosity(code) {
+    if (code === 0xFF) return null;
+    return Math.exp(code * Math.log(65536) / 254) - 1;
+}
+
+// Data Format 6 (Ruuvi Air, 20 bytes)
+export function decodeRuuviDF6(dataView) {
+    if (!isFormat(dataView, 0x06, 20)) return null;
+    const tempRaw = dataView.getInt16(1, false);
+    const humidityRaw = dataView.getUint16(3, false);
+    const pressureRaw = dataView.getUint16(5, false);
+    const pm25Raw = dataView.getUint16(7, false);
+    const co2Raw = dataView.getUint16(9, false);
+    const flags = dataView.getUint8(16);
+    // VOC and NOx are 9 bit values, the LSBs live in the flags byte
+    const vocRaw = (dataView.getUint8(11) << 1) | ((flags >> 7) & 1);
+    const noxRaw = (dataView.getUint8(12) << 1) | ((flags >> 6) & 1);
+    return {
+        dataFormat: 6,
+        humidity: humidityRaw === 0xFFFF ? null : humidityRaw / 400.0,
+        temperature: tempRaw === -32768 ? null : tempRaw / 200.0,
+        pressure: pressureRaw === 0xFFFF ? null : (pressureRaw + 50000) / 100.0,
+        pm2_5: pm25Raw === 0xFFFF ? null : pm25Raw / 10.0,
+        co2: co2Raw === 0xFFFF ? null : co2Raw,
+        voc: vocRaw === 0x1FF ? null : vocRaw,
+        nox: noxRaw === 0x1FF ? null : noxRaw,
+        luminosity: decodeDF6Luminosity(dataView.getUint8(13)),
+        calibrationInProgress: (flags & 1) === 1,
+        // Ruuvi Air has no accelerometer or battery
+        acceleration_x: null,
+        acceleration_y: null,
+        acceleration_z: null,
+        battery: null,
+        txPower: null,
+        movement_counter: null,
+        measurement_sequence_number: dataView.getUint8(15),
+        // Only the three lowest bytes of the MAC are broadcast
+        mac: formatMac(dataView, 17, 3)
+    };
+}
+
+// Extended Data Format E1 (40 bytes)
+export function decodeRuuviE1(dataView) {
+    if (!isFormat(dataView, 0xE1, 40)) return null;
+    const uint16 = (offset, scale = 1) => {
+        const raw = dataView.getUint16(offset, false);
+        return raw === 0xFFFF ? null : raw / scale;
+    };
+    const uint24 = offset => (dataView.getUint8(offset) << 16) | dataView.getUint16(offset + 1, false);
+    const tempRaw = dataView.getInt16(1, false);
+    const pressure = uint16(5);
+    const flags = dataView.getUint8(28);
+    const vocRaw = (dataView.getUint8(17) << 1) | ((flags >> 7) & 1);
+    const noxRaw = (dataView.getUint8(18) << 1) | ((flags >> 6) & 1);
+    const luminosityRaw = uint24(19);
+    const sequenceRaw = uint24(25);
+    return {
+        dataFormat: 0xE1,
+        humidity: uint16(3, 400.0),
+        temperature: tempRaw === -32768 ? null : tempRaw / 200.0,
+        pressure: pressure === null ? null : (pressure + 50000) / 100.0,
+        pm1_0: uint16(7, 10.0),
+        pm2_5: uint16(9, 10.0),
+        pm4_0: uint16(11, 10.0),
+        pm10_0: uint16(13, 10.0),
+        co2: uint16(15),
+        voc: vocRaw === 0x1FF ? null : vocRaw,
+        nox: noxRaw === 0x1FF ? null : noxRaw,
+        luminosity: luminosityRaw === 0xFFFFFF ? null : luminosityRaw / 100.0,
+        calibrationInProgress: (flags & 1) === 1,
+        acceleration_x: null,
+        acceleration_y: null,
+        acceleration_z: null,
+        battery: null,
+        txPower: null,
+        movement_counter: null,
+        measurement_sequence_number: sequenceRaw === 0xFFFFFF ? null : sequenceRaw,
+        mac: formatMac(dataView, 34, 6)
+    };
+}
+
+// Decoders by data format byte
+export const RUUVI_FORMATS = {
+    0x03: decodeRuuviDF3,
+    0x05: decodeRuuviDF5,
+    0x06: decodeRuuviDF6,
+    0xE1: decodeRuuviE1
+};
+
+// Decode any supported Ruuvi payload, dispatching on the format byte
+export function decodeRuuvi(dataView) {
+    if (!(dataView instanceof DataView) || dataView.byteLength < 1) return null;
+    const decode = RUUVI_FORMATS[dataView.getUint8(0)];
+    return decode ? decode(dataView) : null;
 }
 
 export function apparentTemperature(T, RH) {
@@ -48,33 +184,49 @@ export function apparentTemperature(T, RH) {
     return AT;
 }
 
-export function createBleScanSensor(onUpdate) {
+// Sensor factories take onUpdate(sample) and options for the connection
+// state machine ({ onStateChange(state, error), staleTimeoutMs }), see
+// connection.js. Errors are reported as the "failed" state. namePrefix
+// limits scanning to tags with names starting with it, empty scans all.
+export function createBleScanSensor(onUpdate, options = {}) {
+    const connection = createConnection(options);
     let bleScan = null;
     let advListener = null;
     return {
+        connection,
         async start() {
+            const unavailable = bluetoothUnavailableReason({ scan: true });
+            if (unavailable) {
+                connection.fail(unavailable);
+                return;
+            }
+            connection.start();
             try {
-                bleScan = await navigator.bluetooth.requestLEScan({ filters: [{ namePrefix: "Ruuvi" }] });
+                const { namePrefix = "Ruuvi" } = options;
+                bleScan = await navigator.bluetooth.requestLEScan(namePrefix
+                    ? { filters: [{ namePrefix }] }
+                    : { acceptAllAdvertisements: true });
                 advListener = event => {
                     for (const [companyId, dataView] of event.manufacturerData) {
-                        if (companyId === 0x0499 && dataView.byteLength === 24) {
-                            const decoded = decodeRuuviDF5(dataView);
-                            if (decoded) {
-                                const at = apparentTemperature(decoded.temperature, decoded.humidity);
-                                const sample = {
-                                    name: event.device?.name ?? null,
-                                    mac: event.device?.id ?? null,
-                                    ...decoded,
-                                    apparentTemperature: at
-                                };
-                                onUpdate(sample);
-                            }
+                        if (companyId !== 0x0499) continue;
+                        const decoded = decodeRuuvi(dataView);
+                        if (decoded) {
+                            const at = apparentTemperature(decoded.temperature, decoded.humidity);
+                            const sample = {
+                                name: event.device?.name ?? null,
+                                ...decoded,
+                                mac: decoded.mac ?? event.device?.id ?? null,
+                                rssi: event.rssi ?? null,
+                                apparentTemperature: at
+                            };
+                            connection.data();
+                            onUpdate(sample);
                         }
                     }
                 };
                 navigator.bluetooth.addEventListener('advertisementreceived', advListener);
             } catch (error) {
-                onUpdate({ temperature: null, humidity: null, apparentTemperature: null, error: error.toString() });
+                connection.fail(error.message || error.toString());
             }
         },
         stop() {
@@ -82,24 +234,37 @@ export function createBleScanSensor(onUpdate) {
             if (advListener) navigator.bluetooth.removeEventListener('advertisementreceived', advListener);
             bleScan = null;
             advListener = null;
+            connection.stop();
         }
     };
 }
 
-export function createDebugSensor(onUpdate) {
+// Fake tag for testing without hardware. options.baseline is the
+// { temperature, humidity } it settles back to after a fake löyly.
+export function createDebugSensor(onUpdate, options = {}) {
+    const connection = createConnection(options);
     let interval = null;
-    const BASELINE_RH = 5;
-    const BASELINE_TEMP = 60;
+    const BASELINE_RH = options.baseline?.humidity ?? 5;
+    const BASELINE_TEMP = options.baseline?.temperature ?? 60;
     let trueTemp = BASELINE_TEMP, trueRH = BASELINE_RH, fakeTemp = BASELINE_TEMP, fakeRH = BASELINE_RH;
     let running = false;
     function fakeLoyly() {
         trueRH = Math.min(trueRH + 10, 100);
     }
     return {
+        connection,
         async start() {
             running = true;
+            connection.start();
             trueTemp = BASELINE_TEMP; trueRH = BASELINE_RH; fakeTemp = BASELINE_TEMP; fakeRH = BASELINE_RH;
-            onUpdate({ temperature: fakeTemp, humidity: fakeRH, apparentTemperature: apparentTemperature(fakeTemp, fakeRH) });
+            connection.data();
+            onUpdate({
+                name: "Debug Sensor",
+                mac: "debug-mac",
+                temperature: fakeTemp,
+                humidity: fakeRH,
+                apparentTemperature: apparentTemperature(fakeTemp, fakeRH)
+            });
             interval = setInterval(() => {
                 if (trueRH > BASELINE_RH) {
                     trueRH -= Math.max((trueRH - BASELINE_RH) * 0.08, 0.05);
@@ -108,6 +273,7 @@ export function createDebugSensor(onUpdate) {
                 const tau = 2.0, dt = 1.0, alpha = 1 - Math.exp(-dt / tau);
                 fakeTemp += alpha * (trueTemp - fakeTemp);
                 fakeRH += alpha * (trueRH - fakeRH);
+                connection.data();
                 onUpdate({
                     name: "Debug Sensor",
                     mac: "debug-mac",
@@ -123,6 +289,7 @@ export function createDebugSensor(onUpdate) {
             running = false;
             if (interval) clearInterval(interval);
             interval = null;
+            connection.stop();
         },
         fakeLoyly,
         getBaselineRH: () => BASELINE_RH,
@@ -130,9 +297,9 @@ export function createDebugSensor(onUpdate) {
     };
 }
 
-export function getLoylyColor(val) {
-    let mintemp = 20;
-    let maxtemp = 150;
+// Color for a löyly value, range is the [min, max] of the heat model in use
+export function getLoylyColor(val, range = [20, 150]) {
+    let [mintemp, maxtemp] = range;
     let t = Math.max(mintemp, Math.min(maxtemp, Number(val)));
     let norm = (t - mintemp) / (maxtemp - mintemp);
     norm = 1 - norm;
@@ -141,49 +308,192 @@ export function getLoylyColor(val) {
     return `hsl(${hue}, 100%, 50%)`;
 }
 
-export function createRuuviNusSensor(onUpdate) {
+const NUS_SERVICE = "6e400001-b5a3-f393-e0a9-e50e24dcca9e";
+const NUS_RX_CHARACTERISTIC = "6e400002-b5a3-f393-e0a9-e50e24dcca9e"; // write
+const NUS_TX_CHARACTERISTIC = "6e400003-b5a3-f393-e0a9-e50e24dcca9e"; // notify
+const MAX_RECONNECT_ATTEMPTS = 8;
+// Give up a log download when the tag has been silent this long
+const LOG_IDLE_TIMEOUT_MS = 10 * 1000;
+
+export function createRuuviNusSensor(onUpdate, options = {}) {
+    const connection = createConnection(options);
     let device = null;
     let server = null;
     let nusService = null;
     let nusChar = null;
+    let nusRxChar = null;
     let notificationHandler = null;
+    let logHandler = null;
+    let lastMac = null;
+    // Resolved with the MAC once a data frame brings one, see waitForMac
+    const macWaiters = new Set();
+    let reconnectTimer = null;
+    let attempt = 0;
+    let stopped = true;
+
+    async function connectGatt() {
+        server = await device.gatt.connect();
+        nusService = await server.getPrimaryService(NUS_SERVICE);
+        nusChar = await nusService.getCharacteristic(NUS_TX_CHARACTERISTIC);
+        nusRxChar = await nusService.getCharacteristic(NUS_RX_CHARACTERISTIC);
+        await nusChar.startNotifications();
+        nusChar.addEventListener('characteristicvaluechanged', notificationHandler);
+    }
+
+    // Reconnect with backoff until MAX_RECONNECT_ATTEMPTS is reached
+    function scheduleReconnect() {
+        if (stopped) return;
+        if (attempt >= MAX_RECONNECT_ATTEMPTS) {
+            connection.fail(`Lost connection to ${device?.name ?? "the tag"} and could not reconnect.`);
+            return;
+        }
+        connection.reconnecting(`Connection lost, reconnecting (attempt ${attempt + 1}/${MAX_RECONNECT_ATTEMPTS})`);
+        reconnectTimer = setTimeout(async () => {
+            reconnectTimer = null;
+            attempt += 1;
+            try {
+                await connectGatt();
+                attempt = 0;
+            } catch (error) {
+                console.debug("Reconnect failed:", error);
+                scheduleReconnect();
+            }
+        }, backoffDelay(attempt));
+    }
+
+    // Web Bluetooth only gives a per-origin device id, not the MAC. Samples
+    // are stored by MAC, so it has to come from a data frame of the tag.
+    function waitForMac(timeoutMs) {
+        if (lastMac) return Promise.resolve(lastMac);
+        return new Promise((resolve, reject) => {
+            const waiter = mac => {
+                clearTimeout(timer);
+                macWaiters.delete(waiter);
+                resolve(mac);
+            };
+            const timer = setTimeout(() => {
+                macWaiters.delete(waiter);
+                reject(new Error("The tag has not sent its MAC address yet, try again once its readings show up"));
+            }, timeoutMs);
+            macWaiters.add(waiter);
+        });
+    }
+
+    function handleDisconnected() {
+        if (nusChar && notificationHandler) {
+            nusChar.removeEventListener('characteristicvaluechanged', notificationHandler);
+        }
+        scheduleReconnect();
+    }
+
     return {
+        connection,
         async start() {
+            const unavailable = bluetoothUnavailableReason();
+            if (unavailable) {
+                connection.fail(unavailable);
+                return;
+            }
+            stopped = false;
+            attempt = 0;
+            connection.start();
             try {
+                const { namePrefix = "Ruuvi" } = options;
                 device = await navigator.bluetooth.requestDevice({
                     filters: [
-                        { namePrefix: "Ruuvi" },
-                        { services: ["6e400001-b5a3-f393-e0a9-e50e24dcca9e"] } // NUS UUID is required
+                        ...(namePrefix ? [{ namePrefix }] : []),
+                        { services: [NUS_SERVICE] } // NUS UUID is required
                     ]
                 });
-                server = await device.gatt.connect();
-                nusService = await server.getPrimaryService("6e400001-b5a3-f393-e0a9-e50e24dcca9e");
-                nusChar = await nusService.getCharacteristic("6e400003-b5a3-f393-e0a9-e50e24dcca9e"); // RX characteristic (notify)
                 notificationHandler = async (event) => {
                     const value = event.target.value;
-                    // Always try to parse as Ruuvi DF5
-                    const decoded = decodeRuuviDF5(value);
+                    if (isLogRecord(value)) {
+                        connection.data();
+                        if (logHandler) logHandler(parseLogRecord(value));
+                        return;
+                    }
+                    const decoded = decodeRuuvi(value);
                     if (decoded) {
+                        if (decoded.mac) {
+                            lastMac = decoded.mac;
+                            for (const waiter of macWaiters) waiter(lastMac);
+                        }
                         const at = apparentTemperature(decoded.temperature, decoded.humidity);
                         const sample = {
                             name: device?.name ?? null,
-                            mac: device?.id ?? null,
                             ...decoded,
+                            mac: decoded.mac ?? device?.id ?? null,
                             apparentTemperature: at
                         };
+                        connection.data();
                         onUpdate(sample);
                     }
                 };
-                await nusChar.startNotifications();
-                nusChar.addEventListener('characteristicvaluechanged', notificationHandler);
+                device.addEventListener('gattserverdisconnected', handleDisconnected);
+                await connectGatt();
             } catch (error) {
-                onUpdate({ temperature: null, humidity: null, apparentTemperature: null, error: error.toString() });
+                connection.fail(error.message || error.toString());
             }
         },
+        get deviceId() {
+            return device?.id ?? null;
+        },
+        // Download the tag's internal log since startTs. Resolves to
+        // samples with temperature, humidity and pressure.
+        async downloadLog(startTs, onProgress = () => {}) {
+            if (!nusRxChar || connection.state === "reconnecting") {
+                throw new Error("Not connected to a tag");
+            }
+            const mac = await waitForMac(LOG_IDLE_TIMEOUT_MS);
+            if (logHandler) throw new Error("Log download already in progress");
+            const assembler = createLogAssembler();
+            try {
+                await new Promise((resolve, reject) => {
+                    let idleTimer = null;
+                    const restartIdleTimer = () => {
+                        clearTimeout(idleTimer);
+                        idleTimer = setTimeout(() => {
+                            // Some firmware never sends the end marker
+                            if (assembler.count > 0) resolve();
+                            else reject(new Error("The tag did not send any log data"));
+                        }, LOG_IDLE_TIMEOUT_MS);
+                    };
+                    logHandler = record => {
+                        assembler.push(record);
+                        onProgress(assembler.count);
+                        if (assembler.done) {
+                            clearTimeout(idleTimer);
+                            resolve();
+                        } else {
+                            restartIdleTimer();
+                        }
+                    };
+                    restartIdleTimer();
+                    const now = Date.now();
+                    nusRxChar.writeValue(encodeLogReadCommand(now, startTs)).catch(error => {
+                        clearTimeout(idleTimer);
+                        reject(error);
+                    });
+                });
+            } finally {
+                logHandler = null;
+            }
+            return assembler.samples().map(sample => ({
+                name: device?.name ?? null,
+                mac,
+                ...sample,
+                apparentTemperature: apparentTemperature(sample.temperature, sample.humidity)
+            }));
+        },
         stop() {
+            stopped = true;
+            if (reconnectTimer) clearTimeout(reconnectTimer);
             if (nusChar && notificationHandler) {
                 nusChar.removeEventListener('characteristicvaluechanged', notificationHandler);
             }
+            if (device) {
+                device.removeEventListener('gattserverdisconnected', handleDisconnected);
+            }
             if (server && server.connected) {
                 server.disconnect();
             }
@@ -191,7 +501,12 @@ export function createRuuviNusSensor(onUpdate) {
             server = null;
             nusService = null;
             nusChar = null;
+            nusRxChar = null;
             notificationHandler = null;
+            logHandler = null;
+            lastMac = null;
+            reconnectTimer = null;
+            connection.stop();
         }
     };
 }
@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { decodeRuuvi, decodeRuuviDF3, decodeRuuviDF5, decodeRuuviDF6, decodeRuuviE1 } from "./ruuvi";
+import fixtures from "./fixtures/ruuvi-advertisements.json";
+
+function dataView(hex) {
+    return new DataView(Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16)).buffer);
+}
+
+function expectFields(sample, expected) {
+    for (const [field, value] of Object.entries(expected)) {
+        if (typeof value === "number" && !Number.isInteger(value)) {
+            expect(sample[field], field).toBeCloseTo(value, 2);
+        } else {
+            expect(sample[field], field).toBe(value);
+        }
+    }
+}
+
+describe("decodeRuuviDF3", () => {
+    it("decodes the valid test vector", () => {
+        expectFields(decodeRuuviDF3(dataView(fixtures.df3.payload)), fixtures.df3.expected);
+    });
+
+    it("takes the temperature sign from the integer byte", () => {
+        expectFields(decodeRuuviDF3(dataView(fixtures.df3Negative.payload)), fixtures.df3Negative.expected);
+    });
+});
+
+describe("decodeRuuviDF5", () => {
+    it("decodes the valid test vector", () => {
+        expectFields(decodeRuuviDF5(dataView(fixtures.df5.payload)), fixtures.df5.expected);
+    });
+
+    it("turns the not available markers into nulls", () => {
+        expectFields(decodeRuuviDF5(dataView(fixtures.df5Invalid.payload)), fixtures.df5Invalid.expected);
+    });
+
+    it("rejects payloads of the wrong length", () => {
+        expect(decodeRuuviDF5(dataView(fixtures.df5.payload.slice(0, -2)))).toBeNull();
+    });
+});
+
+describe("decodeRuuviDF6", () => {
+    it("decodes the valid test vector", () => {
+        const sample = decodeRuuviDF6(dataView(fixtures.df6.payload));
+        expectFields(sample, fixtures.df6.expected);
+        // The 8 bit log scale is only accurate to a few percent
+        expect(sample.luminosity / fixtures.df6.luminosity).toBeCloseTo(1, 1);
+    });
+
+    it("turns the not available markers into nulls", () => {
+        expectFields(decodeRuuviDF6(dataView(fixtures.df6Invalid.payload)), fixtures.df6Invalid.expected);
+    });
+
+    it("rejects payloads of the wrong length", () => {
+        expect(decodeRuuviDF6(dataView(fixtures.df6.payload + "00"))).toBeNull();
+    });
+});
+
+describe("decodeRuuviE1", () => {
+    it("decodes the valid test vector", () => {
+        expectFields(decodeRuuviE1(dataView(fixtures.e1.payload)), fixtures.e1.expected);
+    });
+
+    it("turns the not available markers into nulls", () => {
+        expectFields(decodeRuuviE1(dataView(fixtures.e1Invalid.payload)), fixtures.e1Invalid.expected);
+    });
+
+    it("rejects payloads of the wrong length", () => {
+        expect(decodeRuuviE1(dataView(fixtures.e1.payload.slice(0, -2)))).toBeNull();
+    });
+});
+
+describe("decodeRuuvi", () => {
+    it("dispatches on the data format byte", () => {
+        expect(decodeRuuvi(dataView(fixtures.df3.payload)).dataFormat).toBe(3);
+        expect(decodeRuuvi(dataView(fixtures.df5.payload)).dataFormat).toBe(5);
+        expect(decodeRuuvi(dataView(fixtures.df6.payload)).dataFormat).toBe(6);
+        expect(decodeRuuvi(dataView(fixtures.e1.payload)).dataFormat).toBe(0xE1);
+    });
+
+    it("ignores unknown formats", () => {
+        expect(decodeRuuvi(dataView("0400"))).toBeNull();
+        expect(decodeRuuvi(new DataView(new ArrayBuffer(0)))).toBeNull();
+    });
+});
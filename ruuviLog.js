@@ -0,0 +1,100 @@
+// ruuviLog.js
+// RuuviTag log history over the Nordic UART Service. The app writes a
+// log read command to the RX characteristic and the tag answers with one
+// 11 byte notification per logged value:
+//
+//   [destination, source, operation, timestamp (u32 BE, s), value (i32 BE)]
+//
+// Temperature and humidity are in 1/100 units and pressure in Pa. The
+// end of the log is marked by a record whose timestamp and value bytes
+// are all 0xFF.
+
+export const ENDPOINT_TEMPERATURE = 0x30;
+export const ENDPOINT_HUMIDITY = 0x31;
+export const ENDPOINT_PRESSURE = 0x32;
+export const ENDPOINT_ENVIRONMENTAL = 0x3A;
+export const OP_LOG_VALUE_WRITE = 0x10;
+export const OP_LOG_VALUE_READ = 0x11;
+export const LOG_RECORD_LENGTH = 11;
+
+const ENDPOINT_FIELDS = {
+    [ENDPOINT_TEMPERATURE]: { field: "temperature", scale: 0.01 },
+    [ENDPOINT_HUMIDITY]: { field: "humidity", scale: 0.01 },
+    [ENDPOINT_PRESSURE]: { field: "pressure", scale: 0.01 } // Pa to hPa
+};
+
+// Read all environmental log values since startTs. The tag uses nowTs to
+// translate its internal clock to ours. Times in ms, sent as seconds.
+export function encodeLogReadCommand(nowTs, startTs) {
+    const bytes = new Uint8Array(LOG_RECORD_LENGTH);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, ENDPOINT_ENVIRONMENTAL);
+    view.setUint8(1, ENDPOINT_ENVIRONMENTAL);
+    view.setUint8(2, OP_LOG_VALUE_READ);
+    view.setUint32(3, Math.floor(nowTs / 1000), false);
+    view.setUint32(7, Math.max(0, Math.floor(startTs / 1000)), false);
+    return bytes;
+}
+
+export function isLogRecord(dataView) {
+    return dataView instanceof DataView
+        && dataView.byteLength === LOG_RECORD_LENGTH
+        && dataView.getUint8(2) === OP_LOG_VALUE_WRITE;
+}
+
+// Returns { field, ts, value }, { end: true } for the end marker, or null
+export function parseLogRecord(dataView) {
+    if (!isLogRecord(dataView)) return null;
+    let end = true;
+    for (let i = 3; i < LOG_RECORD_LENGTH; i++) {
+        if (dataView.getUint8(i) !== 0xFF) end = false;
+    }
+    if (end) return { end: true };
+    const endpoint = ENDPOINT_FIELDS[dataView.getUint8(0)];
+    if (!endpoint) return null;
+    return {
+        field: endpoint.field,
+        ts: dataView.getUint32(3, false) * 1000,
+        value: dataView.getInt32(7, false) * endpoint.scale
+    };
+}
+
+// Collects parsed records into samples, one per logged timestamp
+export function createLogAssembler() {
+    const byTs = new Map();
+    let done = false;
+    return {
+        push(record) {
+            if (!record) return;
+            if (record.end) {
+                done = true;
+                return;
+            }
+            let sample = byTs.get(record.ts);
+            if (!sample) {
+                sample = { ts: record.ts };
+                byTs.set(record.ts, sample);
+            }
+            sample[record.field] = record.value;
+        },
+        get done() {
+            return done;
+        },
+        get count() {
+            return byTs.size;
+        },
+        samples() {
+            return Array.from(byTs.values()).sort((a, b) => a.ts - b.ts);
+        }
+    };
+}
+
+// Drop logged samples that are within toleranceMs of a stored sample, so
+// the log only fills the gaps in the live data. Both lists sorted by ts.
+export function logSamplesForGaps(logSamples, storedSamples, toleranceMs) {
+    let j = 0;
+    return logSamples.filter(sample => {
+        while (j < storedSamples.length && storedSamples[j].ts < sample.ts - toleranceMs) j++;
+        return !(j < storedSamples.length && storedSamples[j].ts <= sample.ts + toleranceMs);
+    });
+}
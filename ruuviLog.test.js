@@ -0,0 +1,68 @@
+import { describe, it, expect } from "vitest";
+import { encodeLogReadCommand, parseLogRecord, isLogRecord, createLogAssembler, logSamplesForGaps } from "./ruuviLog";
+import fixtures from "./fixtures/ruuvi-log.json";
+
+function dataView(hex) {
+    return new DataView(Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16)).buffer);
+}
+
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("").toUpperCase();
+}
+
+describe("encodeLogReadCommand", () => {
+    it("encodes the environmental log read with times in seconds", () => {
+        const { nowTs, startTs, bytes } = fixtures.command;
+        expect(toHex(encodeLogReadCommand(nowTs, startTs))).toBe(bytes);
+    });
+
+    it("clamps a start before the epoch", () => {
+        expect(toHex(encodeLogReadCommand(fixtures.command.nowTs, -1000)).slice(-8)).toBe("00000000");
+    });
+});
+
+describe("parseLogRecord", () => {
+    it("parses temperature, humidity and pressure records", () => {
+        const [temperature, humidity, pressure] = fixtures.notifications.map(hex => parseLogRecord(dataView(hex)));
+        expect(temperature).toEqual({ field: "temperature", ts: 1700000000000, value: expect.closeTo(85.37, 5) });
+        expect(humidity).toEqual({ field: "humidity", ts: 1700000000000, value: expect.closeTo(12.5, 5) });
+        expect(pressure).toEqual({ field: "pressure", ts: 1700000000000, value: expect.closeTo(1008.52, 5) });
+    });
+
+    it("reads negative values as signed", () => {
+        expect(parseLogRecord(dataView(fixtures.notifications[6])).value).toBeCloseTo(-5.25, 5);
+    });
+
+    it("recognises the end marker", () => {
+        expect(parseLogRecord(dataView(fixtures.notifications.at(-1)))).toEqual({ end: true });
+    });
+
+    it("ignores other notifications", () => {
+        expect(isLogRecord(dataView("3A3A116553F3586553F100"))).toBe(false);
+        expect(parseLogRecord(dataView("3030106553F100"))).toBeNull();
+        expect(parseLogRecord(dataView("4040106553F10000002159"))).toBeNull();
+    });
+});
+
+describe("createLogAssembler", () => {
+    it("collects the records into one sample per timestamp", () => {
+        const assembler = createLogAssembler();
+        for (const hex of fixtures.notifications) assembler.push(parseLogRecord(dataView(hex)));
+        expect(assembler.done).toBe(true);
+        expect(assembler.count).toBe(fixtures.samples.length);
+        const samples = assembler.samples();
+        fixtures.samples.forEach((expected, i) => {
+            for (const [field, value] of Object.entries(expected)) {
+                expect(samples[i][field], field).toBeCloseTo(value, 5);
+            }
+        });
+    });
+});
+
+describe("logSamplesForGaps", () => {
+    it("keeps only logged samples away from stored ones", () => {
+        const logged = [0, 60, 120, 180, 240].map(s => ({ ts: s * 1000 }));
+        const stored = [{ ts: 55 * 1000 }, { ts: 241 * 1000 }];
+        expect(logSamplesForGaps(logged, stored, 10 * 1000).map(s => s.ts)).toEqual([0, 120000, 180000]);
+    });
+});
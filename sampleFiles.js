@@ -0,0 +1,276 @@
+// sampleFiles.js
+// Sample export to CSV and JSON, and parsing of those files and of
+// Ruuvi Station CSV exports back into samples. Annotations (see
+// annotations.js) are included in JSON exports and go to a CSV file of
+// their own.
+import { apparentTemperature } from "./ruuvi";
+
+export const SAMPLE_FIELDS = [
+    "ts",
+    "mac",
+    "name",
+    "dataFormat",
+    "temperature",
+    "humidity",
+    "pressure",
+    "apparentTemperature",
+    "acceleration_x",
+    "acceleration_y",
+    "acceleration_z",
+    "battery",
+    "txPower",
+    "movement_counter",
+    "measurement_sequence_number",
+    "rssi",
+    "rawTemperature",
+    "rawHumidity",
+    "calibrationVersion",
+    "dewPoint",
+    "absoluteHumidity",
+    "vaporPressure",
+    // Samples per minute of a minute average (see compaction.js), empty for
+    // raw samples
+    "count"
+];
+
+const NUMERIC_FIELDS = new Set(SAMPLE_FIELDS.filter(f => f !== "mac" && f !== "name"));
+
+function csvCell(value) {
+    if (value == null) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with an extra human readable time column
+export function samplesToCsv(samples) {
+    const header = ["time", ...SAMPLE_FIELDS];
+    const rows = samples.map(sample => [
+        new Date(sample.ts).toISOString(),
+        ...SAMPLE_FIELDS.map(field => sample[field])
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+export const ANNOTATION_FIELDS = ["ts", "end", "mac", "kind", "text"];
+
+function pickFields(object, fields) {
+    return Object.fromEntries(fields.map(field => [field, object[field] ?? null]));
+}
+
+export function samplesToJson(samples, annotations = []) {
+    return JSON.stringify({
+        format: "loyly-samples",
+        version: 1,
+        samples: samples.map(sample => pickFields(sample, SAMPLE_FIELDS)),
+        annotations: annotations.map(annotation => pickFields(annotation, ANNOTATION_FIELDS))
+    }, null, 2);
+}
+
+export function annotationsToCsv(annotations) {
+    const header = ["time", ...ANNOTATION_FIELDS];
+    const rows = annotations.map(annotation => [
+        new Date(annotation.ts).toISOString(),
+        ...ANNOTATION_FIELDS.map(field => annotation[field])
+    ]);
+    return [header, ...rows].map(row => row.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// RFC 4180 style CSV, delimiter guessed from the header line
+export function parseCsv(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+    const rows = [];
+    let row = [], cell = "", quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            row.push(cell);
+            cell = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && text[i + 1] === "\n") i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = "";
+        } else {
+            cell += c;
+        }
+    }
+    if (cell !== "" || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ""));
+}
+
+function parseNumber(text) {
+    if (text == null || text.trim() === "") return null;
+    const value = Number(text.trim().replace(",", "."));
+    return isNaN(value) ? null : value;
+}
+
+function parseTime(text) {
+    if (text == null || text.trim() === "") return null;
+    const trimmed = text.trim();
+    if (/^\d+$/.test(trimmed)) {
+        const value = Number(trimmed);
+        // Unix seconds or milliseconds
+        return value < 1e11 ? value * 1000 : value;
+    }
+    const ts = Date.parse(trimmed.replace(" ", "T"));
+    return isNaN(ts) ? null : ts;
+}
+
+function unitOf(header) {
+    return header.match(/\(([^)]*)\)/)?.[1]?.trim().toLowerCase() ?? null;
+}
+
+// Column parsers for Ruuvi Station style headers, e.g. "Pressure (hPa)"
+const STATION_COLUMNS = [
+    { match: /^(date|time|timestamp)/i, field: "ts", parse: parseTime },
+    { match: /mac/i, field: "mac", parse: text => text.trim() || null },
+    { match: /^name/i, field: "name", parse: text => text.trim() || null },
+    { match: /^temperature/i, field: "temperature", parse: (text, unit) => {
+        const value = parseNumber(text);
+        if (value === null) return null;
+        if (unit?.includes("f")) return (value - 32) * 5 / 9;
+        if (unit?.includes("k")) return value - 273.15;
+        return value;
+    } },
+    { match: /^(relative )?humidity/i, field: "humidity", parse: parseNumber },
+    { match: /^pressure/i, field: "pressure", parse: (text, unit) => {
+        const value = parseNumber(text);
+        if (value === null) return null;
+        if (unit === "pa") return value / 100;
+        if (unit === "inhg") return value * 33.8639;
+        if (unit === "mmhg") return value * 1.33322;
+        return value;
+    } },
+    { match: /^battery/i, field: "battery", parse: (text, unit) => {
+        const value = parseNumber(text);
+        return value !== null && unit === "v" ? Math.round(value * 1000) : value;
+    } },
+    ...["x", "y", "z"].map(axis => ({
+        match: new RegExp(`^acceleration ${axis}`, "i"),
+        field: `acceleration_${axis}`,
+        parse: (text, unit) => {
+            const value = parseNumber(text);
+            return value !== null && unit === "g" ? Math.round(value * 1000) : value;
+        }
+    })),
+    { match: /^movement/i, field: "movement_counter", parse: parseNumber },
+    { match: /sequence/i, field: "measurement_sequence_number", parse: parseNumber },
+    { match: /^tx ?power/i, field: "txPower", parse: parseNumber }
+];
+
+function columnParser(header) {
+    const name = header.trim();
+    if (name === "time") return null;
+    if (SAMPLE_FIELDS.includes(name)) {
+        return {
+            field: name,
+            parse: name === "ts" ? parseTime : NUMERIC_FIELDS.has(name) ? parseNumber : text => text || null
+        };
+    }
+    const column = STATION_COLUMNS.find(c => c.match.test(name));
+    if (!column) return null;
+    const unit = unitOf(name);
+    return { field: column.field, parse: text => column.parse(text, unit) };
+}
+
+function completeSample(sample, defaults) {
+    const completed = { ...sample, mac: sample.mac ?? defaults.mac };
+    for (const field of SAMPLE_FIELDS) {
+        if (!(field in completed)) completed[field] = null;
+    }
+    if (completed.apparentTemperature == null) {
+        completed.apparentTemperature = apparentTemperature(completed.temperature, completed.humidity);
+    }
+    return completed;
+}
+
+// Ruuvi Station names export files after the tag, which often includes the mac
+function macFromFilename(filename) {
+    const match = filename?.match(/([0-9a-f]{2}[:_-]?){5}[0-9a-f]{2}/i);
+    if (!match) return null;
+    return match[0].replace(/[:_-]/g, "").match(/../g).join(":").toLowerCase();
+}
+
+// Parse an exported JSON or CSV file (ours or Ruuvi Station's) into samples
+export function parseSampleFile(text, filename = "") {
+    const defaults = { mac: macFromFilename(filename) };
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+        const parsed = JSON.parse(trimmed);
+        const samples = Array.isArray(parsed) ? parsed : parsed.samples;
+        if (!Array.isArray(samples)) throw new Error("No samples found in JSON file");
+        return samples
+            .map(sample => ({ ...sample, ts: typeof sample.ts === "string" ? parseTime(sample.ts) : sample.ts }))
+            .filter(sample => sample.ts != null)
+            .map(sample => completeSample(sample, defaults));
+    }
+
+    const [header, ...rows] = parseCsv(trimmed);
+    if (!header) return [];
+    const columns = header.map(columnParser);
+    if (!columns.some(c => c?.field === "ts")) {
+        throw new Error("CSV file has no date or time column");
+    }
+    const samples = [];
+    for (const row of rows) {
+        const sample = {};
+        columns.forEach((column, i) => {
+            if (column && row[i] !== undefined) sample[column.field] = column.parse(row[i]);
+        });
+        if (sample.ts == null) continue;
+        for (const key of Object.keys(sample)) {
+            if (sample[key] === null) delete sample[key];
+        }
+        samples.push(completeSample(sample, defaults));
+    }
+    return samples;
+}
+
+// Whether a CSV file is an annotations export rather than samples
+export function isAnnotationCsv(text) {
+    const [header] = parseCsv(text.trim().split(/\r?\n/, 1)[0] ?? "");
+    return Boolean(header?.includes("kind") && header.includes("text"));
+}
+
+// Annotations of an exported JSON file or annotations CSV, empty for
+// other files
+export function parseAnnotations(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith("{")) {
+        const annotations = JSON.parse(trimmed).annotations;
+        return Array.isArray(annotations) ? annotations : [];
+    }
+    if (!isAnnotationCsv(trimmed)) return [];
+    const [header, ...rows] = parseCsv(trimmed);
+    return rows.map(row => {
+        const cell = field => row[header.indexOf(field)] ?? "";
+        return {
+            ts: parseTime(cell("ts")),
+            end: parseTime(cell("end")),
+            mac: cell("mac") || null,
+            kind: cell("kind"),
+            text: cell("text")
+        };
+    });
+}
+
+// Key used to recognise samples that are already stored
+export function sampleKey(sample) {
+    return `${sample.mac ?? ""}|${sample.measurement_sequence_number ?? ""}|${sample.ts}`;
+}
@@ -0,0 +1,144 @@
+import { describe, it, expect } from "vitest";
+import { samplesToCsv, samplesToJson, parseSampleFile, parseCsv, annotationsToCsv, parseAnnotations, isAnnotationCsv, SAMPLE_FIELDS } from "./sampleFiles";
+import { aggregateByMinute, aggregateFromAverage } from "./compaction";
+import stationCsv from "./fixtures/ruuvi-station.csv?raw";
+
+const START = Date.UTC(2024, 0, 6, 17, 0, 0);
+
+function sample(i, extra = {}) {
+    return {
+        ts: START + i * 1000,
+        mac: "c5:7a:3b:12:9f:01",
+        name: "Sauna, upper bench",
+        dataFormat: 5,
+        temperature: 80 + i / 10,
+        humidity: 12.5,
+        pressure: 1008.52,
+        apparentTemperature: 82.3,
+        acceleration_x: 4,
+        acceleration_y: -4,
+        acceleration_z: 1036,
+        battery: 2977,
+        txPower: 4,
+        movement_counter: 66,
+        measurement_sequence_number: 205 + i,
+        rssi: -60,
+        rawTemperature: 80 + i / 10,
+        rawHumidity: 12.5,
+        calibrationVersion: null,
+        dewPoint: 10.2,
+        absoluteHumidity: 36.1,
+        vaporPressure: 5.9,
+        count: null,
+        ...extra
+    };
+}
+
+const samples = [sample(0), sample(1), sample(2, { humidity: null, name: 'The "hot" one' })];
+
+// A minute average as querySamplesOrAggregates returns them
+const average = aggregateByMinute([sample(-120), sample(-110), sample(-100)])[0];
+
+describe("samplesToCsv", () => {
+    it("round-trips through parseSampleFile", () => {
+        expect(parseSampleFile(samplesToCsv(samples))).toEqual(samples);
+    });
+
+    it("starts with a readable time and quotes cells that need it", () => {
+        const [header, first] = parseCsv(samplesToCsv(samples));
+        expect(header).toEqual(["time", ...SAMPLE_FIELDS]);
+        expect(first[0]).toBe("2024-01-06T17:00:00.000Z");
+        expect(samplesToCsv(samples).split("\n")[1]).toContain('"Sauna, upper bench"');
+    });
+
+    it("marks minute averages with their sample count", () => {
+        const [parsed] = parseSampleFile(samplesToCsv([average]));
+        expect(parsed.count).toBe(3);
+        expect(parsed.ts).toBe(average.ts);
+        expect(parsed.temperature).toBeCloseTo(average.temperature);
+    });
+});
+
+describe("samplesToJson", () => {
+    const annotations = [{ ts: START, end: START + 60000, mac: null, kind: "note", text: "Birch whisk", id: 3 }];
+
+    it("round-trips samples and annotations", () => {
+        const json = samplesToJson([average, ...samples], annotations);
+        const parsed = parseSampleFile(json);
+        expect(parsed.slice(1)).toEqual(samples);
+        expect(parsed[0]).toMatchObject({ ts: average.ts, count: 3, temperature: average.temperature });
+        expect(parseAnnotations(json)).toEqual([{ ts: START, end: START + 60000, mac: null, kind: "note", text: "Birch whisk" }]);
+    });
+
+    it("reads a bare array of samples with ISO times", () => {
+        const [parsed] = parseSampleFile(JSON.stringify([{ ts: "2024-01-06T17:00:00Z", mac: "a", temperature: 80, humidity: 10 }]));
+        expect(parsed.ts).toBe(START);
+        expect(parsed.count).toBeNull();
+        expect(parsed.apparentTemperature).toBeGreaterThan(80);
+    });
+
+    it("refuses JSON without samples", () => {
+        expect(() => parseSampleFile('{"foo": 1}')).toThrow("No samples");
+    });
+});
+
+describe("aggregateFromAverage", () => {
+    it("restores an exported minute average as an aggregate", () => {
+        const [parsed] = parseSampleFile(samplesToJson([average]));
+        const aggregate = aggregateFromAverage(parsed);
+        expect(aggregate).toMatchObject({ mac: average.mac, ts: average.ts, count: 3, temperature: average.temperature });
+        // Min and max aren't exported
+        expect(aggregate.temperatureMin).toBe(average.temperature);
+        expect(aggregate.temperatureMax).toBe(average.temperature);
+    });
+});
+
+describe("Ruuvi Station CSV", () => {
+    const parsed = parseSampleFile(stationCsv, "ruuvi-station-C5_7A_3B_12_9F_01.csv");
+
+    it("converts the units of the Station columns", () => {
+        expect(parsed).toHaveLength(4);
+        expect(parsed[0]).toMatchObject({
+            ts: new Date("2024-01-06T17:00:00").getTime(),
+            mac: "c5:7a:3b:12:9f:01",
+            temperature: 78.45,
+            humidity: 12.5,
+            pressure: 1008.52,
+            battery: 2977,
+            acceleration_x: 4,
+            acceleration_y: -4,
+            acceleration_z: 1036,
+            movement_counter: 66,
+            measurement_sequence_number: 205,
+            txPower: 4,
+            count: null
+        });
+        expect(parsed[0].apparentTemperature).toBeGreaterThan(78.45);
+    });
+
+    it("leaves empty cells null", () => {
+        expect(parsed[2]).toMatchObject({ temperature: null, humidity: null, apparentTemperature: null });
+    });
+
+    it("reads Fahrenheit, semicolons and decimal commas", () => {
+        const [row] = parseSampleFile("Date;Temperature (°F);Humidity (%)\n1704560400;176,0;10\n");
+        expect(row.ts).toBe(1704560400 * 1000);
+        expect(row.temperature).toBeCloseTo(80);
+        expect(row.humidity).toBe(10);
+        expect(row.mac).toBeNull();
+    });
+
+    it("refuses a CSV without a time column", () => {
+        expect(() => parseSampleFile("Temperature (°C)\n80\n")).toThrow("no date or time column");
+    });
+});
+
+describe("annotationsToCsv", () => {
+    it("round-trips and is told apart from samples", () => {
+        const annotations = [{ ts: START, end: null, mac: "a", kind: "note", text: "Water, then more water" }];
+        const csv = annotationsToCsv(annotations);
+        expect(isAnnotationCsv(csv)).toBe(true);
+        expect(isAnnotationCsv(samplesToCsv(samples))).toBe(false);
+        expect(parseAnnotations(csv)).toEqual(annotations);
+    });
+});
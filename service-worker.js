@@ -1,17 +1,56 @@
-const CACHE_NAME = 'fallback-cache';
+// Service worker precaching the built app shell, so the app starts without
+// a network connection. vite-plugin-pwa replaces self.__WB_MANIFEST with the
+// list of built files and their revisions (see vite.config.js).
+
+const manifest = self.__WB_MANIFEST;
+const CACHE_PREFIX = 'app-shell-';
+
+// One cache per build, named after the revisions of its files
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+const CACHE_NAME = CACHE_PREFIX + hashString(JSON.stringify(manifest));
+
+function resolve(url) {
+  return new URL(url, self.registration.scope).href;
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    // Icons may be listed twice, once as files and once from the web app manifest
+    caches.open(CACHE_NAME).then(cache => cache.addAll(Array.from(new Set(manifest.map(entry => resolve(entry.url))))))
+  );
+  // Wait for the page to accept the update, see pwa.js
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
 
-/*
 self.addEventListener('fetch', event => {
-  event.respondWith(handleRequest(event.request));
+  const { request } = event;
+  if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+  event.respondWith(handleRequest(request));
 });
 
 async function handleRequest(request) {
-  try {
-    const response = await fetch(request);
-    const cache = await caches.open(CACHE_NAME);
-    cache.put(request, response.clone());
-    return response;
-  } catch {
-    return await caches.match(request);
-  }
-}*/
\ No newline at end of file
+  const cache = await caches.open(CACHE_NAME);
+  // All navigations get the app shell
+  const key = request.mode === 'navigate' ? resolve('index.html') : request;
+  const cached = await cache.match(key, { ignoreSearch: true });
+  return cached ?? fetch(request);
+}
@@ -0,0 +1,138 @@
+// sessions.js
+// Streaming sauna session segmentation. A session starts when the
+// temperature of a tag rises above startTemp and ends when it has stayed
+// below endTemp for cooldownMs, or when no samples arrive for maxGapMs.
+
+export const SESSION_DEFAULTS = {
+    startTemp: 45,
+    endTemp: 40,
+    cooldownMs: 10 * 60 * 1000,
+    maxGapMs: 15 * 60 * 1000,
+    minDurationMs: 5 * 60 * 1000
+};
+
+export function createSession(mac, ts) {
+    return {
+        mac,
+        start: ts,
+        end: null,
+        lastTs: ts,
+        peakApparentTemperature: null,
+        peakTemperature: null,
+        loylyCount: 0,
+        duration: 0
+    };
+}
+
+export function createSessionDetector(options = {}) {
+    const { startTemp, endTemp, cooldownMs, maxGapMs, minDurationMs } = { ...SESSION_DEFAULTS, ...options };
+    // Per tag: { session, lastTs, coolingSince }
+    const states = new Map();
+
+    function getState(mac) {
+        let state = states.get(mac);
+        if (!state) {
+            state = { session: null, lastTs: null, coolingSince: null };
+            states.set(mac, state);
+        }
+        return state;
+    }
+
+    function close(state, end, events) {
+        const session = state.session;
+        session.end = end;
+        session.duration = end - session.start;
+        events.push({ type: session.duration < minDurationMs ? "discard" : "end", session });
+        state.session = null;
+        state.coolingSince = null;
+    }
+
+    // Feed one sample, returns a list of { type, session } events where type
+    // is "start", "update", "end" or "discard" (ended but too short).
+    function push(sample) {
+        const events = [];
+        const { mac = null, ts, temperature, apparentTemperature } = sample;
+        if (ts == null) return events;
+        const state = getState(mac);
+
+        if (state.session && state.lastTs !== null && ts - state.lastTs > maxGapMs) {
+            close(state, state.lastTs, events);
+        }
+        state.lastTs = ts;
+        if (temperature == null) return events;
+
+        if (!state.session) {
+            if (temperature < startTemp) return events;
+            state.session = createSession(mac, ts);
+            events.push({ type: "start", session: state.session });
+        }
+
+        const session = state.session;
+        session.lastTs = ts;
+        session.duration = ts - session.start;
+        if (session.peakTemperature === null || temperature > session.peakTemperature) {
+            session.peakTemperature = temperature;
+        }
+        if (apparentTemperature != null && (session.peakApparentTemperature === null || apparentTemperature > session.peakApparentTemperature)) {
+            session.peakApparentTemperature = apparentTemperature;
+        }
+
+        if (temperature < endTemp) {
+            if (state.coolingSince === null) state.coolingSince = ts;
+            if (ts - state.coolingSince >= cooldownMs) {
+                close(state, state.coolingSince, events);
+                return events;
+            }
+        } else {
+            state.coolingSince = null;
+        }
+        if (!events.some(e => e.session === session)) {
+            events.push({ type: "update", session });
+        }
+        return events;
+    }
+
+    // Close sessions that have not received samples since now - maxGapMs
+    function flush(now = Date.now()) {
+        const events = [];
+        for (const state of states.values()) {
+            if (state.session && now - state.lastTs > maxGapMs) {
+                close(state, state.lastTs, events);
+            }
+        }
+        return events;
+    }
+
+    // Continue an unfinished session, e.g. one loaded from storage after a reload
+    function resume(session) {
+        const state = getState(session.mac);
+        state.session = session;
+        state.lastTs = session.lastTs;
+        state.coolingSince = null;
+    }
+
+    return {
+        push,
+        flush,
+        resume,
+        getActiveSession: mac => states.get(mac)?.session ?? null,
+        getActiveSessions: () => Array.from(states.values(), state => state.session).filter(Boolean)
+    };
+}
+
+// Run the detector over a list of samples sorted by ts. Sessions that are
+// still going on at time now are returned with end set to null.
+export function detectSessions(samples, options, now = Date.now()) {
+    const detector = createSessionDetector(options);
+    const sessions = [];
+    const collect = events => {
+        for (const { type, session } of events) {
+            if (type === "end") sessions.push(session);
+        }
+    };
+    for (const sample of samples) {
+        collect(detector.push(sample));
+    }
+    collect(detector.flush(now));
+    return sessions.concat(detector.getActiveSessions());
+}
@@ -0,0 +1,138 @@
+// settings.js
+// User settings: defaults, units and JSON import/export. Settings are
+// stored in the settings table (see db.js) and read with useSetting.
+
+import { WINDOW_MS } from "./ruuvi";
+import { DEFAULT_STALE_TIMEOUT_MS } from "./connection";
+import { DEFAULT_HEAT_MODEL } from "./heatIndex";
+import { DEFAULT_RETENTION_DAYS } from "./compaction";
+import { CHART_PANELS, DEFAULT_CHART_PANELS } from "./chartPanels";
+import { DEFAULT_RELAY_PORT } from "./remoteProtocol";
+
+export const SETTINGS_DEFAULTS = {
+    temperatureUnit: "C",
+    pressureUnit: "hPa",
+    chartWindow: WINDOW_MS,
+    heatModel: DEFAULT_HEAT_MODEL,
+    // Colour scale [min, max] per heat model id, missing ones use the model range
+    colorRanges: {},
+    // Shown chart panels in order and their line colours, see chartPanels.js
+    chartPanels: DEFAULT_CHART_PANELS,
+    chartColors: Object.fromEntries(Object.entries(CHART_PANELS).map(([id, panel]) => [id, panel.color])),
+    // Only tags whose name starts with this are scanned, empty scans everything
+    scanNamePrefix: "Ruuvi",
+    // scan, gatt, gateway or remote (subscribe to the relay below)
+    sensorMode: "scan",
+    staleTimeoutMs: DEFAULT_STALE_TIMEOUT_MS,
+    heatUpTarget: 70,
+    retentionDays: DEFAULT_RETENTION_DAYS,
+    alertDefaults: { hysteresis: 2, noDataSeconds: 120 },
+    debugBaseline: { temperature: 60, humidity: 5 },
+    // Live view sharing through relay/relay.js, see remote.js
+    shareEnabled: false,
+    relayUrl: `ws://localhost:${DEFAULT_RELAY_PORT}`,
+    relayRoom: "sauna",
+    // Ruuvi Gateway JSON to poll, see gateway.js. The token is only needed
+    // when the gateway has authentication enabled.
+    gatewayUrl: `http://localhost:${DEFAULT_RELAY_PORT}/gateway`,
+    gatewayToken: "",
+    // Id of the sauna in use, see locations.js. Null shows all tags.
+    activeLocation: null
+};
+
+export const TEMPERATURE_UNITS = {
+    C: { label: "°C", convert: c => c, invert: c => c },
+    F: { label: "°F", convert: c => c * 9 / 5 + 32, invert: f => (f - 32) * 5 / 9 }
+};
+
+export const PRESSURE_UNITS = {
+    hPa: { label: "hPa", digits: 1, convert: hPa => hPa, invert: hPa => hPa },
+    inHg: { label: "inHg", digits: 2, convert: hPa => hPa * 0.02953, invert: inHg => inHg / 0.02953 }
+};
+
+export function getTemperatureUnit(id) {
+    return TEMPERATURE_UNITS[id] ?? TEMPERATURE_UNITS.C;
+}
+
+export function getPressureUnit(id) {
+    return PRESSURE_UNITS[id] ?? PRESSURE_UNITS.hPa;
+}
+
+// Copy of samples with the given temperature-valued keys converted
+export function convertSamples(samples, unit, keys = ["temperature"]) {
+    if (unit === TEMPERATURE_UNITS.C) return samples;
+    return samples.map(sample => {
+        const converted = { ...sample };
+        for (const key of keys) {
+            if (typeof sample[key] === "number") converted[key] = unit.convert(sample[key]);
+        }
+        return converted;
+    });
+}
+
+// Sample keys holding temperatures in °C
+export const TEMPERATURE_KEYS = ["temperature", "dewPoint"];
+
+// Copy of samples with temperatures and pressure in the display units
+// { temperature, pressure }. The löyly of a heat model giving a temperature
+// (see heatIndex.js) is converted too.
+export function toDisplayUnits(samples, units, heatModel = null) {
+    if (units.temperature === TEMPERATURE_UNITS.C && units.pressure === PRESSURE_UNITS.hPa) return samples;
+    const keys = heatModel?.temperature ? [...TEMPERATURE_KEYS, "apparentTemperature"] : TEMPERATURE_KEYS;
+    return convertSamples(samples, units.temperature, keys).map(sample => (
+        typeof sample.pressure === "number" ? { ...sample, pressure: units.pressure.convert(sample.pressure) } : sample
+    ));
+}
+
+const SETTINGS_FILE_VERSION = 1;
+
+// JSON of the user settings and tag names. Internal bookkeeping stored in
+// the same table (e.g. compaction progress) is left out.
+export function settingsToJson(stored, tags = []) {
+    const settings = {};
+    for (const key of Object.keys(SETTINGS_DEFAULTS)) {
+        if (stored[key] !== undefined) settings[key] = stored[key];
+    }
+    const tagAliases = Object.fromEntries(tags.filter(tag => tag.alias).map(tag => [tag.mac, tag.alias]));
+    return JSON.stringify({ version: SETTINGS_FILE_VERSION, settings, tagAliases }, null, 2);
+}
+
+// typeof, telling null and arrays apart from objects
+function typeOf(value) {
+    if (value === null) return "null";
+    return Array.isArray(value) ? "array" : typeof value;
+}
+
+// Types a setting may have where that isn't just the type of its default
+const SETTING_TYPES = {
+    // A window length in ms or "session"
+    chartWindow: ["number", "string"],
+    activeLocation: ["number", "null"]
+};
+
+function hasSettingType(key, value) {
+    return (SETTING_TYPES[key] ?? [typeOf(SETTINGS_DEFAULTS[key])]).includes(typeOf(value));
+}
+
+// Parse a settings file into { settings, tagAliases }. Unknown keys and
+// values of the wrong type are dropped.
+export function parseSettingsFile(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== "object" || typeof data.settings !== "object") {
+        throw new Error("Not a settings file");
+    }
+    if (data.version > SETTINGS_FILE_VERSION) {
+        throw new Error(`Settings file version ${data.version} is newer than this app`);
+    }
+    const settings = {};
+    for (const [key, value] of Object.entries(data.settings ?? {})) {
+        if (key in SETTINGS_DEFAULTS && hasSettingType(key, value)) {
+            settings[key] = value;
+        }
+    }
+    const tagAliases = {};
+    for (const [mac, alias] of Object.entries(data.tagAliases ?? {})) {
+        if (typeof alias === "string") tagAliases[mac] = alias;
+    }
+    return { settings, tagAliases };
+}
@@ -0,0 +1,72 @@
+import { describe, it, expect } from "vitest";
+import { parseSettingsFile, settingsToJson, toDisplayUnits, SETTINGS_DEFAULTS, TEMPERATURE_UNITS, PRESSURE_UNITS } from "./settings";
+import { getHeatModel } from "./heatIndex";
+
+function settingsFile(settings, extra = {}) {
+    return JSON.stringify({ version: 1, settings, ...extra });
+}
+
+describe("parseSettingsFile", () => {
+    it("round-trips the exported settings and tag names", () => {
+        const stored = {
+            ...SETTINGS_DEFAULTS,
+            temperatureUnit: "F",
+            chartWindow: "session",
+            colorRanges: { loyly: [50, 110] },
+            activeLocation: 3,
+            aggregatedUntil: 1704560400000
+        };
+        const tags = [{ mac: "a", alias: "Upper bench" }, { mac: "b", alias: null }];
+        const { settings, tagAliases } = parseSettingsFile(settingsToJson(stored, tags));
+        const { aggregatedUntil, ...expected } = stored;
+        expect(settings).toEqual(expected);
+        expect(tagAliases).toEqual({ a: "Upper bench" });
+    });
+
+    it("keeps an active location or none", () => {
+        expect(parseSettingsFile(settingsFile({ activeLocation: 3 })).settings).toEqual({ activeLocation: 3 });
+        expect(parseSettingsFile(settingsFile({ activeLocation: null })).settings).toEqual({ activeLocation: null });
+        expect(parseSettingsFile(settingsFile({ activeLocation: { id: 3 } })).settings).toEqual({});
+    });
+
+    it("takes a chart window length or the session", () => {
+        expect(parseSettingsFile(settingsFile({ chartWindow: 600000 })).settings).toEqual({ chartWindow: 600000 });
+        expect(parseSettingsFile(settingsFile({ chartWindow: "session" })).settings).toEqual({ chartWindow: "session" });
+        expect(parseSettingsFile(settingsFile({ chartWindow: [1] })).settings).toEqual({});
+    });
+
+    it("drops unknown keys and values of the wrong type", () => {
+        const { settings, tagAliases } = parseSettingsFile(settingsFile({
+            temperatureUnit: 1,
+            heatUpTarget: "70",
+            chartPanels: { loyly: true },
+            colorRanges: null,
+            shareEnabled: true,
+            theme: "dark"
+        }, { tagAliases: { a: 1, b: "Lower bench" } }));
+        expect(settings).toEqual({ shareEnabled: true });
+        expect(tagAliases).toEqual({ b: "Lower bench" });
+    });
+
+    it("refuses other files and newer versions", () => {
+        expect(() => parseSettingsFile("[]")).toThrow("Not a settings file");
+        expect(() => parseSettingsFile('{"samples": []}')).toThrow("Not a settings file");
+        expect(() => parseSettingsFile(JSON.stringify({ version: 2, settings: {} }))).toThrow("newer than this app");
+    });
+});
+
+describe("toDisplayUnits", () => {
+    const samples = [{ temperature: 80, dewPoint: 30, apparentTemperature: 30, pressure: 1000 }];
+    const units = { temperature: TEMPERATURE_UNITS.F, pressure: PRESSURE_UNITS.hPa };
+
+    it("converts the löyly of a heat model giving a temperature", () => {
+        expect(toDisplayUnits(samples, units, getHeatModel("dewpoint"))).toEqual([
+            { temperature: 176, dewPoint: 86, apparentTemperature: 86, pressure: 1000 }
+        ]);
+    });
+
+    it("leaves the other heat models as they are", () => {
+        expect(toDisplayUnits(samples, units, getHeatModel("steadman"))[0].apparentTemperature).toBe(30);
+        expect(toDisplayUnits(samples, units)[0].apparentTemperature).toBe(30);
+    });
+});
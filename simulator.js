@@ -0,0 +1,167 @@
+// simulator.js
+// Physical sauna simulator for demos and for testing detectors and charts
+// without a RuuviTag. Lumped model with heat flows in W and capacities in J/K:
+//
+//   heater -> stones -> air (+ walls) -> outside, via walls and ventilation
+//
+// Löyly water evaporates from the stones, taking latent heat from them and
+// adding vapour to the air. The reported values pass through a first order
+// sensor lag.
+import { createConnection } from "./connection";
+import { apparentTemperature } from "./ruuvi";
+import { saturationVaporPressure } from "./heatIndex";
+
+export const SIMULATOR_DEFAULTS = {
+    volume: 10,                // m³
+    heaterPower: 6000,         // W
+    setpoint: 85,              // thermostat °C
+    thermostatHysteresis: 2,   // °C
+    stoneCapacity: 25000,      // J/K, about 30 kg of stones
+    stoneTransfer: 40,         // W/K from stones to air
+    airCapacity: 120000,       // J/K, air together with wall surfaces
+    wallLoss: 55,              // W/K through walls
+    ventilationRate: 3,        // air changes per hour
+    doorExchange: 0.5,         // m³/s while the door is open
+    outsideTemp: 20,           // °C
+    outsideRH: 50,             // %
+    throwAmount: 150,          // g of water per löyly
+    evaporationTau: 8,         // s
+    sensorTauTemp: 20,         // s
+    sensorTauRH: 5,            // s
+    noise: 0.05,               // standard deviation of reading noise
+    speed: 1                   // simulated seconds per real second
+};
+
+const AIR_VOLUMETRIC_HEAT = 1200; // J/(m³K)
+const LATENT_HEAT = 2600;          // J/g to heat water to 100 °C and evaporate it
+const STEP_S = 1;
+
+function vaporDensity(T, RH) {
+    return 216.7 * (RH / 100) * saturationVaporPressure(T) / (273.15 + T);
+}
+
+function relativeHumidity(T, density) {
+    const e = density * (273.15 + T) / 216.7;
+    return Math.min(100, 100 * e / saturationVaporPressure(T));
+}
+
+function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+// The simulation state without timers, advanced by step()
+export function createSaunaModel(params = {}) {
+    const p = { ...SIMULATOR_DEFAULTS, ...params };
+    const outsideDensity = vaporDensity(p.outsideTemp, p.outsideRH);
+    const state = {
+        time: 0,
+        airTemp: p.outsideTemp,
+        stoneTemp: p.outsideTemp,
+        vapor: outsideDensity * p.volume, // g
+        water: 0,                         // g on the stones
+        heaterOn: true,
+        heaterEnabled: true,
+        doorOpenUntil: 0,
+        sensorTemp: p.outsideTemp,
+        sensorRH: p.outsideRH
+    };
+
+    function step(dt = STEP_S) {
+        const doorOpen = state.time < state.doorOpenUntil;
+        const exchange = p.ventilationRate * p.volume / 3600 + (doorOpen ? p.doorExchange : 0); // m³/s
+
+        // Thermostat
+        if (state.airTemp < p.setpoint - p.thermostatHysteresis / 2) state.heaterOn = true;
+        if (state.airTemp > p.setpoint + p.thermostatHysteresis / 2) state.heaterOn = false;
+        const heater = state.heaterEnabled && state.heaterOn ? p.heaterPower : 0;
+
+        // Löyly water evaporating from hot stones
+        let evaporated = 0;
+        if (state.water > 0 && state.stoneTemp > 100) {
+            evaporated = Math.min(state.water * (1 - Math.exp(-dt / p.evaporationTau)),
+                (state.stoneTemp - 100) * p.stoneCapacity / LATENT_HEAT);
+            state.water -= evaporated;
+        }
+
+        const toAir = p.stoneTransfer * (state.stoneTemp - state.airTemp);
+        const toOutside = (p.wallLoss + exchange * AIR_VOLUMETRIC_HEAT) * (state.airTemp - p.outsideTemp);
+        state.stoneTemp += (heater - toAir) * dt / p.stoneCapacity - evaporated * LATENT_HEAT / p.stoneCapacity;
+        state.airTemp += (toAir - toOutside) * dt / p.airCapacity;
+
+        const density = state.vapor / p.volume;
+        state.vapor += evaporated - exchange * dt * (density - outsideDensity);
+
+        // Sensor lag
+        const rh = relativeHumidity(state.airTemp, state.vapor / p.volume);
+        state.sensorTemp += (state.airTemp - state.sensorTemp) * (1 - Math.exp(-dt / p.sensorTauTemp));
+        state.sensorRH += (rh - state.sensorRH) * (1 - Math.exp(-dt / p.sensorTauRH));
+        state.time += dt;
+    }
+
+    return {
+        params: p,
+        state,
+        step,
+        throwLoyly(amount = p.throwAmount) {
+            state.water += amount;
+        },
+        openDoor(seconds = 10) {
+            state.doorOpenUntil = state.time + seconds;
+        },
+        setHeater(enabled) {
+            state.heaterEnabled = enabled;
+        },
+        reading() {
+            const temperature = state.sensorTemp + gaussian() * p.noise;
+            const humidity = Math.max(0, Math.min(100, state.sensorRH + gaussian() * p.noise));
+            return { temperature, humidity };
+        }
+    };
+}
+
+// Sensor factory around the model, one sample per real second
+export function createSimulatorSensor(onUpdate, { params = {}, ...options } = {}) {
+    const connection = createConnection(options);
+    let model = null;
+    let interval = null;
+
+    function emit() {
+        const { temperature, humidity } = model.reading();
+        connection.data();
+        onUpdate({
+            name: "Simulator",
+            mac: "simulator",
+            temperature,
+            humidity,
+            apparentTemperature: apparentTemperature(temperature, humidity)
+        });
+    }
+
+    return {
+        connection,
+        async start() {
+            model = createSaunaModel(params);
+            connection.start();
+            emit();
+            interval = setInterval(() => {
+                // Whole steps keep the model stable at high speeds, the rest
+                // is one shorter step so slow motion moves every second too
+                const speed = Math.max(0, model.params.speed);
+                for (let i = 0; i < Math.floor(speed); i++) model.step();
+                if (speed % 1 > 0) model.step(speed % 1);
+                emit();
+            }, 1000);
+        },
+        stop() {
+            if (interval) clearInterval(interval);
+            interval = null;
+            connection.stop();
+        },
+        fakeLoyly: amount => model?.throwLoyly(amount),
+        openDoor: seconds => model?.openDoor(seconds),
+        setHeater: enabled => model?.setHeater(enabled),
+        get model() {
+            return model;
+        }
+    };
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { createSimulatorSensor } from "./simulator";
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+// Simulated seconds after the given real seconds at a speed
+function simulatedTime(speed, seconds) {
+    vi.useFakeTimers();
+    const sensor = createSimulatorSensor(() => {}, { params: { speed }, staleTimeoutMs: 0 });
+    sensor.start();
+    vi.advanceTimersByTime(seconds * 1000);
+    const { time } = sensor.model.state;
+    sensor.stop();
+    return time;
+}
+
+describe("createSimulatorSensor", () => {
+    it("runs the model at the given speed", () => {
+        expect(simulatedTime(1, 10)).toBe(10);
+        expect(simulatedTime(5, 10)).toBe(50);
+    });
+
+    it("moves in slow motion and at fractional speeds", () => {
+        expect(simulatedTime(0.5, 10)).toBeCloseTo(5);
+        expect(simulatedTime(2.5, 10)).toBeCloseTo(25);
+    });
+});
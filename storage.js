@@ -0,0 +1,31 @@
+// storage.js
+// Browser storage quota readout and persistence
+
+export const STORAGE_WARNING_RATIO = 0.8;
+
+// { usage, quota, ratio } in bytes plus whether storage is persistent, or
+// null where the browser can't tell
+export async function getStorageEstimate() {
+    if (!navigator.storage?.estimate) return null;
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const persisted = await navigator.storage.persisted?.() ?? false;
+    return { usage, quota, ratio: quota ? usage / quota : 0, persisted };
+}
+
+// Ask the browser not to evict the stored samples under storage pressure.
+// Resolves to whether storage is persistent.
+export async function requestPersistentStorage() {
+    if (!navigator.storage?.persist) return false;
+    if (await navigator.storage.persisted()) return true;
+    return navigator.storage.persist();
+}
+
+export function formatBytes(bytes) {
+    const units = ["B", "kB", "MB", "GB", "TB"];
+    let value = bytes, unit = 0;
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit += 1;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
@@ -0,0 +1,45 @@
+// timeWindow.js
+// Chart time window selection and zoom/pan arithmetic. A view is
+// { end, windowMs } where end is the timestamp at the right edge of the
+// chart, or null when following live data.
+
+export const WINDOW_OPTIONS = [
+    { label: "1 min", value: 60 * 1000 },
+    { label: "5 min", value: 5 * 60 * 1000 },
+    { label: "30 min", value: 30 * 60 * 1000 },
+    { label: "2 h", value: 2 * 60 * 60 * 1000 },
+    { label: "Session", value: "session" }
+];
+
+export const MIN_WINDOW_MS = 30 * 1000;
+export const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function clampWindow(windowMs) {
+    return Math.min(MAX_WINDOW_MS, Math.max(MIN_WINDOW_MS, windowMs));
+}
+
+// Zoom by factor (> 1 zooms out) keeping the time under anchor fixed.
+// Anchor is the position on the chart as a fraction from the right edge.
+export function zoomView(view, factor, anchor, now) {
+    const windowMs = clampWindow(view.windowMs * factor);
+    if (view.end === null) {
+        // Live views stay anchored to now
+        return { end: null, windowMs };
+    }
+    const anchorTs = view.end - anchor * view.windowMs;
+    return clampToNow({ end: anchorTs + anchor * windowMs, windowMs }, now);
+}
+
+// Move the view deltaMs into the past (negative moves towards now)
+export function panView(view, deltaMs, now) {
+    const end = (view.end ?? now) - deltaMs;
+    return clampToNow({ end, windowMs: view.windowMs }, now);
+}
+
+// Views reaching the present turn back into live views
+export function clampToNow(view, now) {
+    if (view.end !== null && view.end >= now) {
+        return { end: null, windowMs: view.windowMs };
+    }
+    return view;
+}
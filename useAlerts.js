@@ -0,0 +1,27 @@
+import { useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db } from "./db";
+
+// All alert rules, see alerts.js
+export function useAlertRules() {
+  const [rules, setRules] = useState([]);
+  useEffect(() => {
+    const sub = liveQuery(() => db.alertRules.toArray()).subscribe({
+      next: setRules
+    });
+    return () => sub.unsubscribe();
+  }, []);
+  return rules;
+}
+
+// The latest fired alerts, newest first
+export function useFiredAlerts(limit = 50) {
+  const [alerts, setAlerts] = useState([]);
+  useEffect(() => {
+    const sub = liveQuery(() => db.alerts.orderBy("ts").reverse().limit(limit).toArray()).subscribe({
+      next: setAlerts
+    });
+    return () => sub.unsubscribe();
+  }, [limit]);
+  return alerts;
+}
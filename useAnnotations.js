@@ -0,0 +1,53 @@
+import { useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db, queryAnnotations } from "./db";
+import { matchesQuery } from "./annotations";
+
+// Annotations touching the last windowMs or [from, to], optionally only
+// those of the given tag mac and those for all tags. Pass windowMs or
+// from and to, nulls disable the query.
+function useAnnotationQuery(windowMs, from, to, mac) {
+  const [annotations, setAnnotations] = useState([]);
+  useEffect(() => {
+    if (windowMs == null && (from == null || to == null)) {
+      setAnnotations([]);
+      return;
+    }
+    const sub = liveQuery(() => windowMs != null
+      ? queryAnnotations({ from: Date.now() - windowMs, mac })
+      : queryAnnotations({ from, to, mac })
+    ).subscribe({
+      next: setAnnotations
+    });
+    return () => sub.unsubscribe();
+  }, [windowMs, from, to, mac]);
+  return annotations;
+}
+
+export function useRecentAnnotations(windowMs, mac = null) {
+  return useAnnotationQuery(windowMs, null, null, mac);
+}
+
+export function useAnnotationsInRange(from, to, mac = null) {
+  return useAnnotationQuery(null, from, to, mac);
+}
+
+// Annotations matching a search query, newest first. An empty query
+// disables the search.
+export function useAnnotationSearch(query) {
+  const [annotations, setAnnotations] = useState(null);
+  useEffect(() => {
+    if (!query.trim()) {
+      setAnnotations(null);
+      return;
+    }
+    const sub = liveQuery(() => db.annotations.orderBy("ts").reverse()
+      .filter(annotation => matchesQuery(annotation, query))
+      .toArray()
+    ).subscribe({
+      next: setAnnotations
+    });
+    return () => sub.unsubscribe();
+  }, [query]);
+  return annotations;
+}
@@ -0,0 +1,18 @@
+import { useMemo } from "react";
+import { useSetting } from "./useSetting";
+import { getHeatModel } from "./heatIndex";
+import { useActiveLocation } from "./useLocations";
+
+// The heat index model selected by the user as [model, modelId, setModelId],
+// with the colour scale range of the active location or from the settings
+export function useHeatModel() {
+  const [modelId, setModelId] = useSetting("heatModel");
+  const [colorRanges] = useSetting("colorRanges");
+  const [location] = useActiveLocation();
+  const range = location?.colorRanges?.[modelId] ?? colorRanges[modelId];
+  const model = useMemo(() => {
+    const base = getHeatModel(modelId);
+    return range ? { ...base, range } : base;
+  }, [modelId, range?.[0], range?.[1]]);
+  return [model, modelId, setModelId];
+}
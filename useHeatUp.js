@@ -0,0 +1,56 @@
+import { useEffect, useState } from "react";
+import { db, querySamples, sessionSamples } from "./db";
+import { HEATUP_DEFAULTS, fitPastHeatUp, combineHeatUps, predictHeatUp } from "./heatup";
+
+const PAST_HEATUPS = 5;
+const PREDICTION_INTERVAL_MS = 30 * 1000;
+
+// Curve parameters learned from the latest finished sessions of a tag
+async function loadHeatUpPrior(mac) {
+  const sessions = await db.sessions.where("mac").equals(mac).filter(s => s.end !== null).reverse().sortBy("start");
+  const fits = [];
+  for (const session of sessions.slice(0, PAST_HEATUPS)) {
+    // Heating starts well before the session start temperature is reached
+    fits.push(fitPastHeatUp(await sessionSamples(session, HEATUP_DEFAULTS.lookbackMs)));
+  }
+  return combineHeatUps(fits);
+}
+
+// Heat-up prediction for a tag towards target °C, see heatup.js. Updated
+// periodically, null when the tag isn't heating up.
+export function useHeatUpPrediction(mac, target) {
+  const [prior, setPrior] = useState(null);
+  const [prediction, setPrediction] = useState(null);
+
+  useEffect(() => {
+    setPrior(null);
+    if (mac == null) return;
+    let cancelled = false;
+    loadHeatUpPrior(mac).then(result => {
+      if (!cancelled) setPrior(result);
+    }).catch(err => console.error("Loading past heat-ups failed:", err));
+    return () => { cancelled = true; };
+  }, [mac]);
+
+  useEffect(() => {
+    setPrediction(null);
+    if (mac == null || target == null) return;
+    let cancelled = false;
+    async function update() {
+      try {
+        const samples = await querySamples({ from: Date.now() - HEATUP_DEFAULTS.lookbackMs, mac });
+        if (!cancelled) setPrediction(predictHeatUp(samples, target, prior));
+      } catch (err) {
+        console.error("Heat-up prediction failed:", err);
+      }
+    }
+    update();
+    const interval = setInterval(update, PREDICTION_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [mac, target, prior]);
+
+  return prediction;
+}
@@ -0,0 +1,25 @@
+import { useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db } from "./db";
+import { useSetting } from "./useSetting";
+
+// All saunas, see locations.js
+export function useLocations() {
+  const [locations, setLocations] = useState([]);
+  useEffect(() => {
+    const sub = liveQuery(() => db.locations.orderBy("name").toArray()).subscribe({
+      next: setLocations
+    });
+    return () => sub.unsubscribe();
+  }, []);
+  return locations;
+}
+
+// The location the app is used in as [location, locationId, setLocationId],
+// location null when none is selected
+export function useActiveLocation() {
+  const locations = useLocations();
+  const [locationId, setLocationId] = useSetting("activeLocation");
+  const location = locations.find(l => l.id === locationId) ?? null;
+  return [location, locationId, setLocationId];
+}
@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db } from "./db";
+
+function forTag(collection, mac) {
+  return mac === null ? collection : collection.filter(e => e.mac === mac);
+}
+
+// Löyly throws from the last windowMs, optionally only those of the given tag mac.
+// A null windowMs disables the query.
+export function useRecentLoylyEvents(windowMs, mac = null) {
+  const [events, setEvents] = useState([]);
+  useEffect(() => {
+    if (windowMs == null) {
+      setEvents([]);
+      return;
+    }
+    const sub = liveQuery(async () => {
+      const now = Date.now();
+      return forTag(db.loylyEvents.where("ts").above(now - windowMs), mac).toArray();
+    }).subscribe({
+      next: setEvents
+    });
+    return () => sub.unsubscribe();
+  }, [windowMs, mac]);
+  return events;
+}
+
+// Löyly throws with from <= ts <= to, optionally only those of the given tag mac
+export function useLoylyEventsInRange(from, to, mac = null) {
+  const [events, setEvents] = useState([]);
+  useEffect(() => {
+    if (from == null || to == null) {
+      setEvents([]);
+      return;
+    }
+    const sub = liveQuery(async () => {
+      return forTag(db.loylyEvents.where("ts").between(from, to, true, true), mac).toArray();
+    }).subscribe({
+      next: setEvents
+    });
+    return () => sub.unsubscribe();
+  }, [from, to, mac]);
+  return events;
+}
@@ -1,12 +1,24 @@
 import { useEffect, useState } from "react";
-import { liveQuery } from "dexie";
+import Dexie, { liveQuery } from "dexie";
 import { db } from "./db";
 
-export function useRecentSamples(windowMs) {
+// Samples from the last windowMs, optionally only those of the given tag mac.
+// A null windowMs disables the query.
+export function useRecentSamples(windowMs, mac = null) {
   const [samples, setSamples] = useState([]);
   useEffect(() => {
+    if (windowMs == null) {
+      setSamples([]);
+      return;
+    }
     const sub = liveQuery(async () => {
       const now = Date.now();
+      if (mac !== null) {
+        return db.samples
+          .where("[mac+ts]")
+          .between([mac, now - windowMs], [mac, Dexie.maxKey], false, true)
+          .toArray();
+      }
       return db.samples
         .where("ts")
         .above(now - windowMs)
@@ -15,6 +27,81 @@ export function useRecentSamples(windowMs) {
       next: setSamples
     });
     return () => sub.unsubscribe();
-  }, [windowMs]);
+  }, [windowMs, mac]);
   return samples;
 }
+
+// Samples with from <= ts <= to, optionally only those of the given tag mac
+export function useSamplesInRange(from, to, mac = null) {
+  const [samples, setSamples] = useState([]);
+  useEffect(() => {
+    if (from == null || to == null) {
+      setSamples([]);
+      return;
+    }
+    const sub = liveQuery(async () => {
+      if (mac !== null) {
+        return db.samples
+          .where("[mac+ts]")
+          .between([mac, from], [mac, to], true, true)
+          .toArray();
+      }
+      return db.samples
+        .where("ts")
+        .between(from, to, true, true)
+        .toArray();
+    }).subscribe({
+      next: setSamples
+    });
+    return () => sub.unsubscribe();
+  }, [from, to, mac]);
+  return samples;
+}
+
+// Latest sample of each of the given tag macs as { mac: sample }
+export function useLatestSamples(macs) {
+  const [latest, setLatest] = useState({});
+  const key = macs.join(",");
+  useEffect(() => {
+    const list = key ? key.split(",") : [];
+    const sub = liveQuery(async () => {
+      const samples = await Promise.all(list.map(mac => db.samples
+        .where("[mac+ts]")
+        .between([mac, Dexie.minKey], [mac, Dexie.maxKey])
+        .last()));
+      return Object.fromEntries(samples.filter(Boolean).map(sample => [sample.mac, sample]));
+    }).subscribe({
+      next: setLatest
+    });
+    return () => sub.unsubscribe();
+  }, [key]);
+  return latest;
+}
+
+// Per-minute aggregates with from <= ts <= to, for history whose raw
+// samples have been pruned, see compaction.js
+export function useAggregatesInRange(from, to, mac = null) {
+  const [aggregates, setAggregates] = useState([]);
+  useEffect(() => {
+    if (from == null || to == null) {
+      setAggregates([]);
+      return;
+    }
+    const sub = liveQuery(async () => {
+      if (mac !== null) {
+        return db.aggregates
+          .where("[mac+ts]")
+          .between([mac, from], [mac, to], true, true)
+          .toArray();
+      }
+      return db.aggregates
+        .where("ts")
+        .between(from, to, true, true)
+        .toArray();
+    }).subscribe({
+      next: setAggregates
+    });
+    return () => sub.unsubscribe();
+  }, [from, to, mac]);
+  return aggregates;
+}
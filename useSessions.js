@@ -0,0 +1,15 @@
+import { useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db } from "./db";
+
+// All detected sessions, newest first
+export function useSessions() {
+  const [sessions, setSessions] = useState(null);
+  useEffect(() => {
+    const sub = liveQuery(() => db.sessions.orderBy("start").reverse().toArray()).subscribe({
+      next: setSessions
+    });
+    return () => sub.unsubscribe();
+  }, []);
+  return sessions;
+}
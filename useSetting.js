@@ -0,0 +1,34 @@
+import { useCallback, useContext, useMemo } from "react";
+import { setSetting } from "./db";
+import { SettingsContext } from "./SettingsProvider";
+import { SETTINGS_DEFAULTS, getTemperatureUnit, getPressureUnit } from "./settings";
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// A single persisted setting as [value, setValue], see settings.js for the
+// defaults. Object valued settings get missing fields from the default.
+export function useSetting(key, defaultValue = SETTINGS_DEFAULTS[key]) {
+  const stored = useContext(SettingsContext);
+  const update = useCallback(newValue => setSetting(key, newValue), [key]);
+  const storedValue = stored[key];
+  const value = useMemo(() => {
+    if (storedValue == null) return defaultValue;
+    if (isPlainObject(defaultValue) && isPlainObject(storedValue)) return { ...defaultValue, ...storedValue };
+    return storedValue;
+  }, [storedValue, defaultValue]);
+  return [value, update];
+}
+
+// All stored settings as { key: value }
+export function useStoredSettings() {
+  return useContext(SettingsContext);
+}
+
+// The display units selected by the user as { temperature, pressure }
+export function useUnits() {
+  const [temperatureUnit] = useSetting("temperatureUnit");
+  const [pressureUnit] = useSetting("pressureUnit");
+  return { temperature: getTemperatureUnit(temperatureUnit), pressure: getPressureUnit(pressureUnit) };
+}
@@ -0,0 +1,23 @@
+import { useEffect, useState } from "react";
+import { getStorageEstimate } from "./storage";
+
+const POLL_MS = 60 * 1000;
+
+// Storage usage, refreshed every minute
+export function useStorageEstimate() {
+  const [estimate, setEstimate] = useState(null);
+  useEffect(() => {
+    let cancelled = false;
+    async function update() {
+      const result = await getStorageEstimate();
+      if (!cancelled) setEstimate(result);
+    }
+    update();
+    const interval = setInterval(update, POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+  return estimate;
+}
@@ -0,0 +1,19 @@
+import { useEffect, useState } from "react";
+import { liveQuery } from "dexie";
+import { db } from "./db";
+
+// All tags that have logged samples with their stored settings. logSample
+// and importSamples add the tag rows, see db.js.
+export function useTags() {
+  const [tags, setTags] = useState([]);
+  useEffect(() => {
+    const sub = liveQuery(async () => {
+      const stored = await db.tags.toArray();
+      return stored.map(tag => ({ alias: null, ...tag }));
+    }).subscribe({
+      next: setTags
+    });
+    return () => sub.unsubscribe();
+  }, []);
+  return tags;
+}
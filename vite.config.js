@@ -1,21 +1,49 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { VitePWA } from 'vite-plugin-pwa';
 
 
 const rollupOptions = {
   input: {
-    main: 'index.html',
-    sw: 'service-worker.js'
+    main: 'index.html'
   },
   output: {
-    entryFileNames: asset => asset.name === 'sw' ? 'service-worker.js' : '[name].js',
+    entryFileNames: '[name].js',
     chunkFileNames: '[name].js',
     assetFileNames: '[name][extname]'
   }
 }
 
+// The service worker is our own service-worker.js with the list of built
+// files injected, registration and update prompts are in pwa.js
+const pwa = VitePWA({
+  strategies: 'injectManifest',
+  srcDir: '.',
+  filename: 'service-worker.js',
+  injectRegister: false,
+  registerType: 'prompt',
+  injectManifest: {
+    globPatterns: ['**/*.{js,css,html,png,svg,ico}']
+  },
+  manifest: {
+    name: 'Löylymittari',
+    short_name: 'Löyly',
+    description: 'RuuviTag sauna löyly meter',
+    start_url: './',
+    scope: './',
+    display: 'standalone',
+    background_color: '#13171f',
+    theme_color: '#13171f',
+    icons: [
+      { src: 'icon-192.png', sizes: '192x192', type: 'image/png' },
+      { src: 'icon-512.png', sizes: '512x512', type: 'image/png' },
+      { src: 'icon-maskable-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' }
+    ]
+  }
+});
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), pwa],
   base: './',
   build: {
     outDir: './docs',
@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+// Tests cover the pure modules (decoders, parsers, detectors) and run in
+// Node, without the app's build plugins
+export default defineConfig({
+  test: {
+    include: ['**/*.test.js'],
+    exclude: ['node_modules/**', 'docs/**'],
+    environment: 'node'
+  }
+});